@@ -8,11 +8,17 @@
  * No third-party dependencies. Node >= 18 recommended.
  */
 
+import { AsyncLocalStorage } from "node:async_hooks";
 import { spawn } from "node:child_process";
+import crypto from "node:crypto";
 import fs from "node:fs";
+import http from "node:http";
 import os from "node:os";
 import path from "node:path";
 import process from "node:process";
+import readline from "node:readline";
+import { fileURLToPath } from "node:url";
+import zlib from "node:zlib";
 
 const STATE_FILE_DEFAULT = process.env.IOS_SIM_STATE_FILE || path.join(process.cwd(), ".ios-sim-state.json");
 
@@ -20,15 +26,143 @@ function nowIsoCompact() {
   return new Date().toISOString().replace(/[:.]/g, "-");
 }
 
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
 function isMacOS() {
   return process.platform === "darwin";
 }
 
-function exitWithError(message, extra = {}) {
-  const payload = { ok: false, error: message, ...extra };
+// ---- errors ----
+//
+// Every failure carries a stable `code` (E_*). The code picks the process exit status by
+// category and an optional remediation `hint` (see references/TROUBLESHOOTING.md), so callers
+// can branch on codes instead of English messages. `assertion` is not an error category: it
+// is the status of failed assertions/comparisons, which are results rather than errors.
+
+const EXIT_CODES = { usage: 1, host: 2, assertion: 3, device: 4, ui: 5, timeout: 6, tool: 7, internal: 8 };
+
+const ERROR_CODES = {
+  E_USAGE: { category: "usage" },
+  E_CONFIRMATION_REQUIRED: { category: "usage", hint: "Destructive command: re-run with --yes if this is intended." },
+  E_UNSUPPORTED: { category: "usage" },
+  E_FILE_NOT_FOUND: { category: "usage", hint: "Check the path; relative paths resolve against the current directory." },
+  E_INVALID_FILE: { category: "usage" },
+  E_NO_SNAPSHOT: { category: "usage", hint: "Save one first with `ui snapshot --name <name>`." },
+  E_NOT_MACOS: { category: "host", hint: "Run on a macOS gateway/node with Xcode installed, or use --backend fake." },
+  E_NO_XCRUN: { category: "host", hint: "Install Xcode (or the Command Line Tools) and select it: `sudo xcode-select -s /Applications/Xcode.app`, then `xcodebuild -runFirstLaunch`." },
+  E_NO_IDB: { category: "host", hint: "UI automation needs idb: `brew tap facebook/fb && brew install idb-companion` and `python3 -m pip install --upgrade fb-idb`." },
+  E_NO_RUNTIME: { category: "host", hint: "Install an iOS Simulator runtime in Xcode → Settings → Platforms, then check `list runtimes`." },
+  E_NO_DEVICE: { category: "device", hint: "Run `list` to see simulators, then `select --name ...` or pass --udid." },
+  E_NO_DEVICE_TYPE: { category: "device", hint: "Run `list device-types` to see the device types and the runtimes that support them." },
+  E_DEVICE_NOT_BOOTED: { category: "device", hint: "Boot it first: `boot --wait` (or `select --name ... --boot`)." },
+  E_DEVICE_STATE: { category: "device", hint: "The simulator is in the wrong state for this command; check `list` (e.g. shut it down before erasing)." },
+  E_UI_NO_MATCH: { category: "ui", hint: "The accessibility label may differ from the visible text: check `ui summary --limit 50` or `ui tree`, or `ui wait` for the screen to settle." },
+  E_UI_AMBIGUOUS: { category: "ui", hint: "Narrow the query, or use --selector with type=... / index=<n>." },
+  E_UI_EMPTY: { category: "ui", hint: "idb sees no UI: make sure the simulator is booted (`boot --wait`) and pass --udid when several are booted." },
+  E_STALE_REF: { category: "ui", hint: "Refs expire when the screen changes: run `ui outline` again." },
+  E_TIMEOUT: { category: "timeout" },
+  E_APP_NOT_INSTALLED: { category: "tool", hint: "Install it first with `app install --app <path/to/App.app>`." },
+  E_APP_NOT_RUNNING: { category: "tool" },
+  E_SIMCTL_FAILED: { category: "tool" },
+  E_IDB_FAILED: { category: "tool", hint: "If idb cannot reach the simulator, check it is booted and try `idb ui describe-all --udid <UDID>` directly." },
+  E_UNEXPECTED_OUTPUT: { category: "tool" },
+  E_REPLAY_MISMATCH: { category: "tool", hint: "Replay the exact command line that was recorded, against the same UDID." },
+  E_INTERNAL: { category: "internal", hint: "Unexpected failure inside ios-sim itself; re-run with the same arguments and report the output if it persists." },
+};
+
+function errorInfo(code) {
+  const info = ERROR_CODES[code] || ERROR_CODES.E_INTERNAL;
+  return { exitCode: EXIT_CODES[info.category], hint: info.hint };
+}
+
+function exitWithError(message, extra = {}, code = "E_USAGE") {
+  const { exitCode, hint } = errorInfo(code);
+  const payload = { ok: false, error: message, code, ...extra, ...(hint ? { hint } : {}) };
   // Always JSON on stderr for easy parsing
   process.stderr.write(JSON.stringify(payload) + "\n");
-  process.exit(1);
+  process.exit(exitCode);
+}
+
+class CliError extends Error {
+  constructor(message, extra = {}, code = "E_USAGE") {
+    super(message);
+    this.name = "CliError";
+    this.extra = extra;
+    this.code = code;
+    this.hint = errorInfo(code).hint;
+  }
+}
+
+// A simctl/idb invocation that exited non-zero (or was killed). `code` is the classified E_*
+// code; the tool's own exit status is `exitCode`.
+class CommandError extends Error {
+  constructor(message, { cmd, args, exitCode, signal = null, stdout = "", stderr = "", code = "E_SIMCTL_FAILED" }) {
+    super(message);
+    this.name = "CommandError";
+    this.cmd = cmd;
+    this.args = args;
+    this.exitCode = exitCode;
+    this.signal = signal;
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.code = code;
+    this.hint = errorInfo(code).hint;
+  }
+}
+
+// Commands throw instead of exiting so they can also be reused in-process (e.g. by `run`).
+// The top-level handler in main() turns errors into the usual stderr JSON + exit status.
+function fail(message, extra = {}, code = "E_USAGE") {
+  throw new CliError(message, extra, code);
+}
+
+// Non-fatal notices, e.g. a device leased by another session. emit(), batch, serve and the
+// JavaScript API attach them to the result they produced as `warnings` (and to the text summary).
+// A CLI process runs one command, so its warnings go to pendingWarnings; batch lines, serve/mcp
+// requests and Simulator calls each run in their own warningScope so concurrent calls keep theirs.
+const pendingWarnings = [];
+const warningScope = new AsyncLocalStorage();
+
+function warn(code, message, extra = {}) {
+  (warningScope.getStore() ?? pendingWarnings).push({ code, message, ...extra });
+}
+
+function withWarnings(result, pending = warningScope.getStore() ?? pendingWarnings) {
+  const warnings = pending.splice(0);
+  if (!warnings.length || !result || typeof result !== "object") return result;
+  const summary = Array.isArray(result.summary) ? [...result.summary, ...warnings.map((w) => `⚠ ${w.message}`)] : undefined;
+  return { ...result, warnings, ...(summary ? { summary } : {}) };
+}
+
+async function collectWarnings(fn) {
+  const pending = [];
+  const result = await warningScope.run(pending, fn);
+  return withWarnings(result, pending);
+}
+
+// Known simctl/idb stderr, most specific first. `sub` limits a rule to one simctl subcommand.
+const TOOL_FAILURES = [
+  { re: /Invalid device type/i, code: "E_NO_DEVICE_TYPE" },
+  { re: /Invalid runtime/i, code: "E_NO_RUNTIME" },
+  { re: /Invalid device:|Target with udid .* is not available|No device with UDID/i, code: "E_NO_DEVICE" },
+  { re: /No devices are booted|current state: Shutdown|is not booted|Unable to lookup in current state/i, code: "E_DEVICE_NOT_BOOTED" },
+  { re: /Unable to .+ in current state/i, code: "E_DEVICE_STATE" },
+  { re: /unknown to FrontBoard|not installed|FBSOpenApplicationServiceErrorDomain, code=4/i, code: "E_APP_NOT_INSTALLED" },
+  { re: /No such file/i, sub: "get_app_container", code: "E_APP_NOT_INSTALLED" },
+  { re: /found nothing to terminate/i, code: "E_APP_NOT_RUNNING" },
+  { re: /No such file|does not exist/i, code: "E_FILE_NOT_FOUND" },
+];
+
+function classifyToolFailure(cmd, args, { code, signal, stderr = "" }) {
+  const isIdb = cmd === "idb";
+  // run() kills with SIGKILL when its timeout expires.
+  if (code === null && signal === "SIGKILL") return "E_TIMEOUT";
+  const sub = isIdb ? null : args[0] === "simctl" ? args[1] : args[0];
+  const rule = TOOL_FAILURES.find((r) => r.re.test(stderr) && (!r.sub || r.sub === sub));
+  if (rule) return rule.code;
+  return isIdb ? "E_IDB_FAILED" : "E_SIMCTL_FAILED";
 }
 
 function parseArgv(argv) {
@@ -85,6 +219,7 @@ function toNumber(v, defaultValue = undefined) {
 }
 
 function emit(result, { pretty = false, text = false } = {}) {
+  result = withWarnings(result);
   if (text && Array.isArray(result?.summary)) {
     process.stdout.write(result.summary.join("\n") + "\n");
     return;
@@ -92,7 +227,31 @@ function emit(result, { pretty = false, text = false } = {}) {
   process.stdout.write(JSON.stringify(result, null, pretty ? 2 : 0) + "\n");
 }
 
-function loadState(stateFile) {
+// ---- state file + sessions ----
+//
+// The default session lives at the top level of the state file (udid, name, runtime, refs,
+// lastSnapshot, lease: the layout older versions wrote); named sessions live under `sessions`,
+// and the `devices` recorded by `ensure` and the `statusBars` overrides are shared by all of
+// them. loadState() returns the active session plus the shared maps; updateState() re-reads the
+// file under a lock and writes back only what changed, so agents working in other sessions are
+// never overwritten.
+
+const DEFAULT_SESSION = "default";
+const SHARED_STATE_KEYS = ["devices", "statusBars", "sessions"];
+const STATE_LOCK_TIMEOUT_MS = 5000;
+const STATE_LOCK_STALE_MS = 10000;
+const LEASE_TTL_MS = 30 * 60 * 1000;
+
+let activeSession = process.env.IOS_SIM_SESSION || DEFAULT_SESSION;
+
+// Selects the process-wide session; shared by the --session flag and the JavaScript API.
+function useSession(name = DEFAULT_SESSION) {
+  if (typeof name !== "string" || !/^[\w.-]+$/.test(name)) fail("Invalid --session (letters, digits, . _ - only)", { session: name });
+  activeSession = name;
+  return name;
+}
+
+function readStateFile(stateFile) {
   try {
     const raw = fs.readFileSync(stateFile, "utf8");
     const obj = JSON.parse(raw);
@@ -102,8 +261,153 @@ function loadState(stateFile) {
   }
 }
 
-function saveState(stateFile, state) {
-  fs.writeFileSync(stateFile, JSON.stringify(state, null, 2) + "\n", "utf8");
+function writeStateFile(stateFile, file) {
+  const tmp = `${stateFile}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(file, null, 2) + "\n", "utf8");
+  fs.renameSync(tmp, stateFile);
+}
+
+function sessionFields(file, name) {
+  if (name !== DEFAULT_SESSION) return { ...file.sessions?.[name] };
+  const own = { ...file };
+  for (const k of SHARED_STATE_KEYS) delete own[k];
+  return own;
+}
+
+// Every session with state, default first.
+function allSessions(file) {
+  const def = sessionFields(file, DEFAULT_SESSION);
+  return { ...(Object.keys(def).length ? { [DEFAULT_SESSION]: def } : {}), ...file.sessions };
+}
+
+function sharedFields(file) {
+  return Object.fromEntries(SHARED_STATE_KEYS.filter((k) => k !== "sessions" && file[k]).map((k) => [k, file[k]]));
+}
+
+function loadState(stateFile) {
+  const file = readStateFile(stateFile);
+  return { ...sessionFields(file, activeSession), ...sharedFields(file) };
+}
+
+// Moves a stale lock aside, then checks that the file moved is the stale one: between stat()
+// and rename() another process may have taken it over and written a fresh lock, which is put
+// back. rename() is atomic, so of two processes taking over the same lock only one gets it.
+function takeOverStaleLock(lockFile, stale) {
+  const aside = `${lockFile}.${process.pid}.stale`;
+  try {
+    fs.renameSync(lockFile, aside);
+  } catch (e) {
+    if (e.code === "ENOENT") return; // released or taken over in the meantime
+    throw e;
+  }
+  try {
+    const moved = fs.statSync(aside);
+    if (moved.mtimeMs !== stale.mtimeMs || moved.ino !== stale.ino) fs.linkSync(aside, lockFile);
+  } catch (e) {
+    if (e.code !== "EEXIST") throw e;
+  } finally {
+    fs.rmSync(aside, { force: true });
+  }
+}
+
+// Advisory lock file next to the state file. A lock older than STATE_LOCK_STALE_MS belonged to
+// a process that died mid-write and is taken over. Waiting is asynchronous so serve/mcp keep
+// answering other requests meanwhile.
+async function withStateLock(stateFile, fn) {
+  const lockFile = `${stateFile}.lock`;
+  const owner = `${process.pid} ${crypto.randomUUID()}`;
+  const deadline = Date.now() + STATE_LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockFile, owner, { flag: "wx" });
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      let stat;
+      try {
+        stat = fs.statSync(lockFile);
+      } catch {
+        continue; // released in the meantime
+      }
+      if (Date.now() - stat.mtimeMs > STATE_LOCK_STALE_MS) takeOverStaleLock(lockFile, stat);
+      else if (Date.now() > deadline) fail("State file is locked by another process", { stateFile, lockFile }, "E_TIMEOUT");
+      else await sleep(25);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    // Only remove our own lock: if fn outlived STATE_LOCK_STALE_MS, another process owns it now.
+    let current = null;
+    try {
+      current = fs.readFileSync(lockFile, "utf8");
+    } catch {}
+    if (current === owner) fs.rmSync(lockFile, { force: true });
+  }
+}
+
+// Read-modify-write of the active session: `fn` mutates the loadState()-shaped view.
+async function updateState(stateFile, fn) {
+  return await withStateLock(stateFile, () => {
+    const file = readStateFile(stateFile);
+    const before = sessionFields(file, activeSession);
+    const view = { ...structuredClone(before), ...structuredClone(sharedFields(file)) };
+    fn(view);
+    const own = { ...view };
+    for (const k of SHARED_STATE_KEYS) delete own[k];
+
+    let next = { ...file };
+    if (JSON.stringify(own) !== JSON.stringify(before)) {
+      const now = new Date().toISOString();
+      own.createdAt ??= now;
+      own.updatedAt = now;
+      next = activeSession === DEFAULT_SESSION
+        ? { ...own, ...(file.sessions ? { sessions: file.sessions } : {}) }
+        : { ...file, sessions: { ...file.sessions, [activeSession]: own } };
+    }
+    for (const k of SHARED_STATE_KEYS) {
+      if (k === "sessions") continue;
+      if (view[k]) next[k] = view[k];
+      else delete next[k];
+    }
+    writeStateFile(stateFile, next);
+    return view;
+  });
+}
+
+function leaseFor(udid) {
+  const now = Date.now();
+  return { udid, pid: process.pid, host: os.hostname(), acquiredAt: new Date(now).toISOString(), expiresAt: new Date(now + LEASE_TTL_MS).toISOString() };
+}
+
+function leaseLive(lease, udid = lease?.udid) {
+  return !!lease && lease.udid === udid && Date.parse(lease.expiresAt) > Date.now();
+}
+
+// Flags a device another session holds a live lease on (once per lease and process), and
+// renews the active session's own lease once it is past half its term.
+const flaggedLeases = new Set();
+
+async function checkLease(stateFile, udid) {
+  const file = readStateFile(stateFile);
+  for (const [name, session] of Object.entries(allSessions(file))) {
+    const { lease } = session;
+    if (name === activeSession || !leaseLive(lease, udid)) continue;
+    const key = `${name}:${udid}:${lease.acquiredAt}`;
+    if (flaggedLeases.has(key)) continue;
+    flaggedLeases.add(key);
+    warn("W_DEVICE_LEASED", `Device ${udid} is in use by session "${name}" (pid ${lease.pid} on ${lease.host}, lease until ${lease.expiresAt}).`, {
+      udid,
+      session: name,
+      lease,
+    });
+  }
+  const own = sessionFields(file, activeSession).lease;
+  if (leaseLive(own, udid) && Date.parse(own.expiresAt) - Date.now() < LEASE_TTL_MS / 2) {
+    await updateState(stateFile, (state) => {
+      state.lease = { ...own, expiresAt: new Date(Date.now() + LEASE_TTL_MS).toISOString() };
+    });
+  }
 }
 
 function normalise(s) {
@@ -158,19 +462,14 @@ async function run(cmd, args, {
 
     child.on("error", (err) => {
       if (killTimer) clearTimeout(killTimer);
-      reject(err);
+      reject(spawnError(cmd, err));
     });
 
     child.on("close", (code, signal) => {
       if (killTimer) clearTimeout(killTimer);
       const ok = code === 0;
       if (!ok && !allowNonZero) {
-        const error = new Error(`Command failed: ${cmd} ${args.join(" ")} (exit ${code}${signal ? `, signal ${signal}` : ""})`);
-        error.stdout = stdout;
-        error.stderr = stderr;
-        error.code = code;
-        error.signal = signal;
-        reject(error);
+        reject(commandError(cmd, args, { code, signal, stdout, stderr }));
         return;
       }
       resolve({ code, signal, stdout, stderr });
@@ -183,26 +482,127 @@ async function run(cmd, args, {
   });
 }
 
-async function runJson(cmd, args, opts = {}) {
-  const { stdout, stderr } = await run(cmd, args, opts);
+function commandError(cmd, args, { code, signal = null, stdout, stderr }) {
+  const message = `Command failed: ${cmd} ${args.join(" ")} (exit ${code}${signal ? `, signal ${signal}` : ""})`;
+  const errorCode = classifyToolFailure(cmd, args, { code, signal, stderr });
+  return new CommandError(message, { cmd, args, exitCode: code, signal, stdout, stderr, code: errorCode });
+}
+
+// A tool that could not be started at all (usually not installed).
+function spawnError(cmd, err) {
+  if (err?.code !== "ENOENT") return err;
+  const code = cmd === "idb" ? "E_NO_IDB" : cmd === "xcrun" ? "E_NO_XCRUN" : "E_USAGE";
+  return new CliError(`${cmd} not found in PATH`, { missing: cmd }, code);
+}
+
+// `tool` is `simctl` or `idb` (below), so JSON parsing is the same for every backend.
+async function runJson(tool, args, opts = {}) {
+  const { stdout, stderr } = await tool(args, opts);
   try {
     const trimmed = stdout.trim();
     const parsed = trimmed ? JSON.parse(trimmed) : null;
     return { json: parsed, stdout, stderr };
   } catch (e) {
-    const err = new Error(`Expected JSON from: ${cmd} ${args.join(" ")}`);
-    err.cause = e;
-    err.stdout = stdout;
-    err.stderr = stderr;
-    throw err;
+    fail(`Expected JSON from: ${tool.name} ${args.join(" ")}`, { cause: e.message, stdout, stderr }, "E_UNEXPECTED_OUTPUT");
+  }
+}
+
+// ---- backends ----
+//
+// Every simctl/idb invocation goes through the active backend. `real` spawns xcrun/idb;
+// `fake` (see "fake backend" below) emulates both in-process so the command logic can run
+// on Linux. Backends return run()-shaped results ({ code, signal, stdout, stderr }).
+
+const realBackend = {
+  name: "real",
+  simctl: (args, opts) => run("xcrun", ["simctl", ...args], opts),
+  idb: (args, opts) => run("idb", args, opts),
+  hasIdb: () => !!whichSync("idb"),
+};
+
+let backend = realBackend;
+
+// Selects the process-wide backend; shared by the CLI flags and the JavaScript API.
+function configureBackend({ backend: name = "real", fixture = null, stateFile = STATE_FILE_DEFAULT, record = null, replay = null } = {}) {
+  if (replay && record) fail("--record and --replay cannot be combined");
+  if (replay) {
+    backend = createReplayBackend(path.resolve(replay));
+  } else if (name === "fake") {
+    backend = createFakeBackend({ fixture, worldFile: path.join(path.dirname(path.resolve(stateFile)), ".ios-sim-fake.json") });
+  } else if (name === "real") {
+    backend = realBackend;
+  } else {
+    fail("Invalid --backend (expected real|fake)", { backend: name });
+  }
+  if (record) backend = createRecordingBackend(backend, path.resolve(record));
+  deviceCache = null;
+  return backend;
+}
+
+async function simctl(args, opts = {}) {
+  try {
+    return await backend.simctl(args, opts);
+  } finally {
+    if (DEVICE_MUTATIONS.includes(args[0])) deviceCache = null;
   }
 }
 
+async function idb(args, opts = {}) {
+  return await backend.idb(args, opts);
+}
+
+// For simctl calls that change state: a non-zero exit throws a classified CommandError unless
+// its stderr matches `benign` (the device/app is already in the requested state), in which
+// case the result comes back with `benign: true`.
+async function simctlChecked(args, { benign = null, ...opts } = {}) {
+  const res = await simctl(args, { ...opts, allowNonZero: true });
+  if (res.code === 0) return { ...res, benign: false };
+  if (benign && benign.test(res.stderr)) return { ...res, benign: true };
+  throw commandError(toolLabel("simctl"), args, res);
+}
+
 async function simctlListFull() {
-  const { json } = await runJson("xcrun", ["simctl", "list", "--json"]);
+  const { json } = await runJson(simctl, ["list", "--json"]);
+  return json;
+}
+
+// One section of `simctl list` (devices, runtimes, devicetypes), optionally narrowed by a search
+// term such as a UDID or "available". Much cheaper than the full list on hosts with many runtimes.
+async function simctlList(scope, term = null) {
+  const { json } = await runJson(simctl, ["list", "--json", scope, ...(term ? [term] : [])]);
   return json;
 }
 
+// ---- device cache ----
+//
+// Device lookups share one short-lived `simctl list devices` result per process, so a serve,
+// mcp or batch session doesn't re-list for every command. Any simctl call that changes device
+// state (see simctl() above) drops it.
+
+const DEVICE_CACHE_TTL_MS = 2000;
+const DEVICE_MUTATIONS = ["boot", "shutdown", "erase", "delete", "create", "clone", "rename"];
+let deviceCache = null;
+
+async function listDevices({ fresh = false } = {}) {
+  if (fresh || !deviceCache || Date.now() - deviceCache.at > DEVICE_CACHE_TTL_MS) {
+    const entry = { at: Date.now(), devices: simctlList("devices").then(flattenDevices) };
+    entry.devices.catch(() => {
+      if (deviceCache === entry) deviceCache = null;
+    });
+    deviceCache = entry;
+  }
+  return await deviceCache.devices;
+}
+
+// `list devices` has no runtimes section; the identifier carries platform and version
+// (com.apple.CoreSimulator.SimRuntime.iOS-17-5 → iOS 17.5).
+function runtimeFromIdentifier(runtimeId) {
+  const m = /SimRuntime\.([A-Za-z]+)-(\d+(?:-\d+)*)$/.exec(String(runtimeId || ""));
+  if (!m) return {};
+  const version = m[2].replace(/-/g, ".");
+  return { name: `${m[1]} ${version}`, version };
+}
+
 function flattenDevices(listJson) {
   // listJson.devices: { [runtimeId]: [{name, udid, state, isAvailable, availabilityError?...}, ...] }
   const runtimes = Array.isArray(listJson?.runtimes) ? listJson.runtimes : [];
@@ -214,7 +614,7 @@ function flattenDevices(listJson) {
   const out = [];
   const devicesObj = listJson?.devices || {};
   for (const [runtimeId, devs] of Object.entries(devicesObj)) {
-    const runtime = runtimeById.get(runtimeId) || {};
+    const runtime = runtimeById.get(runtimeId) || runtimeFromIdentifier(runtimeId);
     for (const d of (Array.isArray(devs) ? devs : [])) {
       out.push({
         runtimeId,
@@ -226,6 +626,7 @@ function flattenDevices(listJson) {
         state: d?.state,
         isAvailable: d?.isAvailable !== false,
         availabilityError: d?.availabilityError || null,
+        deviceTypeId: d?.deviceTypeIdentifier || null,
       });
     }
   }
@@ -281,8 +682,14 @@ function pickBestDevice(devices, { nameSubstr = null, runtimeSubstr = null } = {
 }
 
 async function resolveUdid({ udid, stateFile }) {
+  const resolved = await pickUdid({ udid, stateFile });
+  await checkLease(stateFile, resolved);
+  return resolved;
+}
+
+async function pickUdid({ udid, stateFile }) {
   if (udid) {
-    if (!looksLikeUuid(udid)) exitWithError(`Invalid --udid (expected UUID)`, { udid });
+    if (!looksLikeUuid(udid)) fail(`Invalid --udid (expected UUID)`, { udid });
     return udid;
   }
 
@@ -290,8 +697,7 @@ async function resolveUdid({ udid, stateFile }) {
   if (state?.udid && looksLikeUuid(state.udid)) return state.udid;
 
   // Fallback: if exactly one booted device, use it.
-  const listJson = await simctlListFull();
-  const devices = flattenDevices(listJson);
+  const devices = await listDevices();
   const booted = devices.filter((d) => d.state === "Booted" && d.isAvailable);
   if (booted.length === 1) return booted[0].udid;
 
@@ -299,37 +705,39 @@ async function resolveUdid({ udid, stateFile }) {
   const best = pickBestDevice(devices, { nameSubstr: "iPhone", runtimeSubstr: "iOS" }) || pickBestDevice(devices);
   if (best) return best.udid;
 
-  exitWithError("Could not resolve a simulator UDID. Use `select` or pass --udid.", { stateFile });
+  fail("Could not resolve a simulator UDID. Use `select` or pass --udid.", { stateFile }, "E_NO_DEVICE");
 }
 
-async function cmdHealth({ pretty, text }) {
-  const checks = [];
-
+// Host prerequisites for the real backend. Returns the failed health result when the host
+// cannot run simulators at all, otherwise null.
+async function checkSimulatorHost(checks) {
   const xcrunPath = whichSync("xcrun");
   checks.push({ name: "xcrun", ok: !!xcrunPath, path: xcrunPath });
 
   if (!isMacOS()) {
-    emit({
+    return {
       ok: false,
+      code: "E_NOT_MACOS",
+      hint: errorInfo("E_NOT_MACOS").hint,
       summary: [
         "Not running on macOS.",
         "Run this skill on a macOS gateway/node with Xcode tools installed.",
       ],
       checks,
-    }, { pretty, text });
-    process.exit(2);
+    };
   }
 
   if (!xcrunPath) {
-    emit({
+    return {
       ok: false,
+      code: "E_NO_XCRUN",
+      hint: errorInfo("E_NO_XCRUN").hint,
       summary: [
         "xcrun not found in PATH.",
         "Install Xcode Command Line Tools or full Xcode.",
       ],
       checks,
-    }, { pretty, text });
-    process.exit(2);
+    };
   }
 
   // Check simctl discoverable
@@ -337,22 +745,34 @@ async function cmdHealth({ pretty, text }) {
     const { stdout } = await run("xcrun", ["--find", "simctl"]);
     checks.push({ name: "simctl", ok: true, path: stdout.trim() });
   } catch (e) {
-    checks.push({ name: "simctl", ok: false, error: String(e?.stderr || e?.message || e) });
+    checks.push({ name: "simctl", ok: false, code: "E_NO_XCRUN", error: String(e?.stderr || e?.message || e) });
+  }
+  return null;
+}
+
+async function healthChecks() {
+  const checks = [];
+
+  if (backend.name === "real") {
+    const hostFailure = await checkSimulatorHost(checks);
+    if (hostFailure) return hostFailure;
+  } else {
+    checks.push({ name: "backend", ok: true, backend: backend.name });
   }
 
   // List devices
   try {
-    const listJson = await simctlListFull();
-    const devices = flattenDevices(listJson);
+    const devices = await listDevices({ fresh: true });
     const booted = devices.filter((d) => d.state === "Booted" && d.isAvailable);
     checks.push({ name: "simctl list", ok: true, deviceCount: devices.length, bootedCount: booted.length });
   } catch (e) {
-    checks.push({ name: "simctl list", ok: false, error: String(e?.stderr || e?.message || e) });
+    checks.push({ name: "simctl list", ok: false, code: e?.code || "E_SIMCTL_FAILED", error: String(e?.stderr || e?.message || e) });
   }
 
   // idb optional
-  const idbPath = whichSync("idb");
-  checks.push({ name: "idb", ok: !!idbPath, path: idbPath, optional: true });
+  const idbPath = backend.name === "real" ? whichSync("idb") : null;
+  const idbOk = backend.hasIdb();
+  checks.push({ name: "idb", ok: idbOk, path: idbPath, optional: true });
 
   const ok = checks.every((c) => c.ok || c.optional);
 
@@ -361,56 +781,180 @@ async function cmdHealth({ pretty, text }) {
   for (const c of checks) {
     summary.push(`${c.ok ? "✓" : c.optional ? "·" : "✗"} ${c.name}${c.path ? ` (${c.path})` : ""}`);
   }
-  if (!idbPath) summary.push("Install idb for UI automation: brew install idb-companion; pip install fb-idb");
+  if (!idbOk) summary.push("Install idb for UI automation: brew install idb-companion; pip install fb-idb");
+
+  const failedCheck = checks.find((c) => !c.ok && !c.optional);
+  const code = failedCheck?.code;
+  return { ok, ...(code ? { code, hint: errorInfo(code).hint } : {}), checks, summary };
+}
+
+async function cmdHealth({ pretty, text, _internalCall = false }) {
+  const result = await healthChecks();
+  if (!_internalCall) {
+    emit(result, { pretty, text });
+    process.exit(result.ok ? 0 : 2);
+  }
+  return result;
+}
+
+// Fixed-width text table for `--text` output: `columns` are [header, row => cell] pairs.
+function formatTable(rows, columns) {
+  const cells = rows.map((row) => columns.map(([, cell]) => String(cell(row) ?? "")));
+  const widths = columns.map(([header], i) => Math.max(header.length, ...cells.map((c) => c[i].length)));
+  const line = (values) => values.map((v, i) => (i === values.length - 1 ? v : v.padEnd(widths[i]))).join("  ").trimEnd();
+  return [line(columns.map(([header]) => header)), ...cells.map(line)];
+}
 
-  emit({ ok, checks, summary }, { pretty, text });
-  process.exit(ok ? 0 : 2);
+function deviceEntry(d) {
+  return {
+    name: d.name,
+    udid: d.udid,
+    runtime: d.runtimeName,
+    runtimeId: d.runtimeId,
+    state: d.state,
+    ...(d.isAvailable ? {} : { isAvailable: false, availabilityError: d.availabilityError }),
+  };
 }
 
-async function cmdList({ full, pretty, text }) {
-  const listJson = await simctlListFull();
-  const devices = flattenDevices(listJson);
+// Without filters only booted devices are listed; --state/--name/--runtime filter every available
+// device, and --all includes unavailable ones too.
+async function cmdList({ full, state, name, runtime, all, pruneUnavailable, yes, pretty, text, _internalCall = false }) {
+  let pruned = null;
+  if (toBool(pruneUnavailable, false)) {
+    if (!toBool(yes, false)) fail("Refusing to delete unavailable devices without --yes", { dangerous: true }, "E_CONFIRMATION_REQUIRED");
+    pruned = (await listDevices({ fresh: true })).filter((d) => !d.isAvailable).map(deviceEntry);
+    if (pruned.length) await simctlChecked(["delete", "unavailable"]);
+  }
+
+  const listJson = toBool(full, false) ? await simctlListFull() : null;
+  const devices = listJson ? flattenDevices(listJson) : await listDevices();
   const booted = devices.filter((d) => d.state === "Booted" && d.isAvailable);
   const available = devices.filter((d) => d.isAvailable);
+  const unavailable = devices.filter((d) => !d.isAvailable);
+
+  if (listJson) {
+    const result = { ok: true, list: listJson, ...(pruned ? { pruned } : {}) };
+    if (!_internalCall) emit(result, { pretty, text });
+    return result;
+  }
+
+  const filtered = !!(state || name || runtime || toBool(all, false));
+  let shown = toBool(all, false) ? devices : filtered ? available : booted;
+  if (state) shown = shown.filter((d) => normalise(d.state) === normalise(state));
+  if (name) shown = shown.filter((d) => normalise(d.name).includes(normalise(name)));
+  if (runtime) shown = shown.filter((d) => normalise(d.runtimeName).includes(normalise(runtime)) || normalise(d.runtimeId).includes(normalise(runtime)));
 
   const summary = [
     `Available devices: ${available.length}`,
     `Booted devices: ${booted.length}`,
+    ...(unavailable.length ? [`Unavailable devices: ${unavailable.length}${pruned ? "" : " (remove with --prune-unavailable --yes)"}`] : []),
+    ...(pruned ? [`Pruned: ${pruned.length} unavailable device(s)`] : []),
   ];
-  if (booted.length) {
-    for (const d of booted.slice(0, 5)) {
-      summary.push(`- ${d.name} (${d.runtimeName}) ${d.udid}`);
-    }
-    if (booted.length > 5) summary.push(`… +${booted.length - 5} more`);
+  if (shown.length) {
+    summary.push("", ...formatTable(shown, [
+      ["NAME", (d) => d.name],
+      ["RUNTIME", (d) => d.runtimeName],
+      ["STATE", (d) => d.state],
+      ["UDID", (d) => d.udid + (d.isAvailable ? "" : `  (unavailable: ${d.availabilityError || "unknown"})`)],
+    ]));
+  } else if (filtered) {
+    summary.push("No devices matched the filters.");
   }
 
-  if (full) {
-    emit({ ok: true, list: listJson }, { pretty, text });
-  } else {
-    emit({
-      ok: true,
-      devices: booted.map((d) => ({ name: d.name, udid: d.udid, runtime: d.runtimeName, state: d.state })),
-      counts: { available: available.length, booted: booted.length },
-      summary,
-    }, { pretty, text });
-  }
+  const result = {
+    ok: true,
+    devices: shown.map(deviceEntry),
+    counts: { available: available.length, booted: booted.length, unavailable: unavailable.length, shown: shown.length },
+    ...(pruned ? { pruned } : {}),
+    summary,
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+// `simctl list runtimes` includes supportedDeviceTypes on current Xcode versions; older ones
+// leave it out, so it is null there rather than empty.
+function runtimeEntry(r) {
+  return {
+    name: r.name,
+    identifier: r.identifier,
+    version: r.version || null,
+    buildversion: r.buildversion || null,
+    platform: r.platform || (r.name ? String(r.name).split(" ")[0] : null),
+    isAvailable: r.isAvailable !== false,
+    ...(r.isAvailable === false ? { availabilityError: r.availabilityError || null } : {}),
+    supportedDeviceTypes: Array.isArray(r.supportedDeviceTypes) ? r.supportedDeviceTypes.map((t) => t.name) : null,
+  };
+}
+
+async function cmdListRuntimes({ pretty, text, _internalCall = false }) {
+  const json = await simctlList("runtimes");
+  const runtimes = (Array.isArray(json?.runtimes) ? json.runtimes : []).map(runtimeEntry);
+  runtimes.sort((a, b) => String(a.platform).localeCompare(String(b.platform)) || -cmpVersions(a.version, b.version));
+
+  const summary = [
+    `Runtimes: ${runtimes.length} (${runtimes.filter((r) => r.isAvailable).length} available)`,
+    "",
+    ...formatTable(runtimes, [
+      ["NAME", (r) => r.name],
+      ["BUILD", (r) => r.buildversion],
+      ["AVAILABLE", (r) => (r.isAvailable ? "yes" : `no: ${r.availabilityError || "unknown"}`)],
+      ["DEVICE TYPES", (r) => (r.supportedDeviceTypes ? r.supportedDeviceTypes.length : "?")],
+      ["IDENTIFIER", (r) => r.identifier],
+    ]),
+  ];
+
+  const result = { ok: true, runtimes, summary };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdListDeviceTypes({ pretty, text, _internalCall = false }) {
+  const typesJson = await simctlList("devicetypes");
+  const runtimesJson = await simctlList("runtimes");
+  const runtimes = (Array.isArray(runtimesJson?.runtimes) ? runtimesJson.runtimes : []).map(runtimeEntry);
+
+  const deviceTypes = (Array.isArray(typesJson?.devicetypes) ? typesJson.devicetypes : []).map((t) => ({
+    name: t.name,
+    identifier: t.identifier,
+    productFamily: t.productFamily || null,
+    // Available runtimes that can run this type (null when simctl doesn't say).
+    runtimes: runtimes.some((r) => r.supportedDeviceTypes)
+      ? runtimes.filter((r) => r.isAvailable && r.supportedDeviceTypes?.includes(t.name)).map((r) => r.name)
+      : null,
+  }));
+
+  const summary = [
+    `Device types: ${deviceTypes.length}`,
+    "",
+    ...formatTable(deviceTypes, [
+      ["NAME", (t) => t.name],
+      ["FAMILY", (t) => t.productFamily],
+      ["RUNTIMES", (t) => (t.runtimes ? t.runtimes.join(", ") || "-" : "?")],
+      ["IDENTIFIER", (t) => t.identifier],
+    ]),
+  ];
+
+  const result = { ok: true, deviceTypes, summary };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
 }
 
-async function cmdSelect({ name, runtime, boot, wait, stateFile, pretty, text }) {
-  const listJson = await simctlListFull();
-  const devices = flattenDevices(listJson);
+async function cmdSelect({ name, runtime, boot, wait, stateFile, pretty, text, _internalCall = false }) {
+  const devices = await listDevices();
   const picked = pickBestDevice(devices, { nameSubstr: name, runtimeSubstr: runtime });
 
   if (!picked) {
-    exitWithError("No simulator matched selection.", { name, runtime });
+    fail("No simulator matched selection.", { name, runtime }, "E_NO_DEVICE");
   }
 
-  const state = loadState(stateFile);
-  state.udid = picked.udid;
-  state.name = picked.name;
-  state.runtime = picked.runtimeName;
-  state.updatedAt = new Date().toISOString();
-  saveState(stateFile, state);
+  await checkLease(stateFile, picked.udid);
+  await updateState(stateFile, (state) => {
+    state.udid = picked.udid;
+    state.name = picked.name;
+    state.runtime = picked.runtimeName;
+    state.lease = leaseFor(picked.udid);
+  });
 
   const summary = [
     `Selected: ${picked.name} (${picked.runtimeName})`,
@@ -423,95 +967,153 @@ async function cmdSelect({ name, runtime, boot, wait, stateFile, pretty, text })
     summary.push("Boot: " + (res.ok ? "ok" : "failed"));
   }
 
-  emit({
+  const result = {
     ok: true,
     selected: { name: picked.name, udid: picked.udid, runtime: picked.runtimeName, state: picked.state },
     stateFile,
     summary,
-  }, { pretty, text });
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
 }
 
+// "Booted" in the device list comes well before the device can take installs and launches.
+// `simctl bootstatus` blocks until its services are up, so it is the wait of choice; simctl
+// versions without it fall back to polling the device state and then `listapps`, which fails
+// until installd answers. Times are milliseconds since the wait started.
+const BOOT_POLL_MS = 1000;
+
 async function waitForBooted(udid, timeoutMs = 120000) {
   const start = Date.now();
+  const res = await simctl(["bootstatus", udid, "-b"], { allowNonZero: true, timeoutMs });
+  if (res.code === 0) return { ok: true, method: "bootstatus", state: "Booted", ready: true, readyMs: Date.now() - start };
+  if (res.signal === "SIGKILL" && res.code === null) {
+    return { ok: false, method: "bootstatus", ready: false, code: "E_TIMEOUT", error: "timeout waiting for the device to finish booting" };
+  }
+  return { ...await pollUntilReady(udid, start, timeoutMs), bootstatusError: res.stderr.trim() || `exit ${res.code}` };
+}
+
+async function pollUntilReady(udid, start, timeoutMs) {
+  let state = null;
+  let bootedMs = null;
   while (Date.now() - start < timeoutMs) {
-    const listJson = await simctlListFull();
-    const devices = flattenDevices(listJson);
-    const d = devices.find((x) => x.udid === udid);
-    if (d && d.state === "Booted") return { ok: true, state: d.state };
-    await new Promise((r) => setTimeout(r, 1000));
+    if (bootedMs === null) {
+      const d = flattenDevices(await simctlList("devices", udid)).find((x) => x.udid === udid);
+      if (!d) return { ok: false, method: "poll", ready: false, code: "E_NO_DEVICE", error: "device disappeared while booting" };
+      state = d.state;
+      if (state === "Booted") bootedMs = Date.now() - start;
+    }
+    if (bootedMs !== null) {
+      const probe = await simctl(["listapps", udid], { allowNonZero: true, timeoutMs: Math.max(1000, timeoutMs - (Date.now() - start)) });
+      if (probe.code === 0) return { ok: true, method: "poll", state, ready: true, bootedMs, readyMs: Date.now() - start };
+    }
+    await sleep(BOOT_POLL_MS);
   }
-  return { ok: false, error: "timeout waiting for Booted" };
+  const error = bootedMs === null ? "timeout waiting for Booted" : "timeout waiting for the device to accept installs";
+  return { ok: false, method: "poll", state, ready: false, bootedMs, code: "E_TIMEOUT", error };
 }
 
 async function cmdBoot({ udid, wait, timeout, stateFile, pretty, text, _internalCall = false }) {
+  const started = Date.now();
   const resolvedUdid = await resolveUdid({ udid, stateFile });
-  const allowNonZero = true; // boot on already booted sometimes returns non-zero
+  const timings = { resolveMs: Date.now() - started };
 
-  let bootCmd = { ok: true, stdout: "", stderr: "" };
-  try {
-    bootCmd = await run("xcrun", ["simctl", "boot", resolvedUdid], { allowNonZero });
-  } catch (e) {
-    bootCmd = { ok: false, stdout: e?.stdout || "", stderr: e?.stderr || "", error: e?.message || String(e) };
-  }
+  // Booting a booted device exits non-zero; that still counts as booted.
+  let phaseStart = Date.now();
+  const res = await simctlChecked(["boot", resolvedUdid], { benign: /current state: Booted/ });
+  const bootCmd = { code: res.code, stdout: res.stdout, stderr: res.stderr, alreadyBooted: res.benign };
+  timings.bootMs = Date.now() - phaseStart;
 
   let waited = { ok: true };
   if (toBool(wait, true)) {
     const timeoutMs = Math.max(1000, (toNumber(timeout, 120) ?? 120) * 1000);
+    phaseStart = Date.now();
     waited = await waitForBooted(resolvedUdid, timeoutMs);
+    timings.waitMs = Date.now() - phaseStart;
   }
+  timings.totalMs = Date.now() - started;
 
-  const ok = bootCmd.ok !== false && waited.ok;
+  const ok = waited.ok;
 
   const summary = [
-    `Boot: ${ok ? "ok" : "failed"}`,
+    `Boot: ${ok ? "ok" : "failed"}${bootCmd.alreadyBooted ? " (already booted)" : ""}`,
     `UDID: ${resolvedUdid}`,
-    ...(waited.ok ? ["State: Booted"] : [`Wait: ${waited.error || "failed"}`]),
+    ...(waited.ok ? [`State: Booted${waited.ready ? ", ready for installs" : ""}`] : [`Wait: ${waited.error || "failed"}`]),
+    `Time: ${Object.entries(timings).map(([k, v]) => `${k.replace(/Ms$/, "")} ${v}ms`).join(", ")}`,
   ];
 
-  const result = { ok, udid: resolvedUdid, boot: bootCmd, wait: waited, summary };
-  if (!_internalCall) emit(result, { pretty, text });
+  const result = {
+    ok,
+    udid: resolvedUdid,
+    boot: bootCmd,
+    wait: waited,
+    timings,
+    ...(waited.code ? { code: waited.code, hint: errorInfo(waited.code).hint } : {}),
+    summary,
+  };
+  if (!_internalCall) {
+    emit(result, { pretty, text });
+    if (waited.code) process.exitCode = errorInfo(waited.code).exitCode;
+  }
   return result;
 }
 
-async function cmdShutdown({ udid, all, stateFile, pretty, text }) {
+async function cmdShutdown({ udid, all, stateFile, pretty, text, _internalCall = false }) {
+  let result;
+  const alreadyShutdown = /current state: Shutdown/;
   if (toBool(all, false)) {
-    await run("xcrun", ["simctl", "shutdown", "all"], { allowNonZero: true });
-    emit({ ok: true, summary: ["Shutdown: all"] }, { pretty, text });
-    return;
+    await simctlChecked(["shutdown", "all"], { benign: alreadyShutdown });
+    result = { ok: true, summary: ["Shutdown: all"] };
+  } else {
+    const resolvedUdid = await resolveUdid({ udid, stateFile });
+    const res = await simctlChecked(["shutdown", resolvedUdid], { benign: alreadyShutdown });
+    result = {
+      ok: true,
+      udid: resolvedUdid,
+      alreadyShutdown: res.benign,
+      summary: [`Shutdown: ${resolvedUdid}${res.benign ? " (already shut down)" : ""}`],
+    };
   }
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  await run("xcrun", ["simctl", "shutdown", resolvedUdid], { allowNonZero: true });
-  emit({ ok: true, udid: resolvedUdid, summary: [`Shutdown: ${resolvedUdid}`] }, { pretty, text });
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
 }
 
-async function cmdErase({ udid, all, yes, stateFile, pretty, text }) {
-  if (!toBool(yes, false)) exitWithError("Refusing to erase without --yes", { dangerous: true });
+async function cmdErase({ udid, all, yes, stateFile, pretty, text, _internalCall = false }) {
+  if (!toBool(yes, false)) fail("Refusing to erase without --yes", { dangerous: true }, "E_CONFIRMATION_REQUIRED");
+  let result;
   if (toBool(all, false)) {
-    await run("xcrun", ["simctl", "erase", "all"], { allowNonZero: true });
-    emit({ ok: true, summary: ["Erase: all"] }, { pretty, text });
-    return;
+    await simctlChecked(["erase", "all"]);
+    result = { ok: true, summary: ["Erase: all"] };
+  } else {
+    const resolvedUdid = await resolveUdid({ udid, stateFile });
+    await simctlChecked(["erase", resolvedUdid]);
+    result = { ok: true, udid: resolvedUdid, summary: [`Erase: ${resolvedUdid}`] };
   }
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  await run("xcrun", ["simctl", "erase", resolvedUdid], { allowNonZero: true });
-  emit({ ok: true, udid: resolvedUdid, summary: [`Erase: ${resolvedUdid}`] }, { pretty, text });
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
 }
 
-async function cmdDelete({ udid, yes, stateFile, pretty, text }) {
-  if (!toBool(yes, false)) exitWithError("Refusing to delete without --yes", { dangerous: true });
+async function cmdDelete({ udid, yes, stateFile, pretty, text, _internalCall = false }) {
+  if (!toBool(yes, false)) fail("Refusing to delete without --yes", { dangerous: true }, "E_CONFIRMATION_REQUIRED");
   const resolvedUdid = await resolveUdid({ udid, stateFile });
-  await run("xcrun", ["simctl", "delete", resolvedUdid], { allowNonZero: true });
-  emit({ ok: true, udid: resolvedUdid, summary: [`Delete: ${resolvedUdid}`] }, { pretty, text });
+  await simctlChecked(["delete", resolvedUdid]);
+  const result = { ok: true, udid: resolvedUdid, summary: [`Delete: ${resolvedUdid}`] };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
 }
 
-async function cmdCreate({ name, deviceType, runtime, stateFile, pretty, text }) {
-  if (!name || typeof name !== "string") exitWithError("Missing --name");
-  if (!deviceType || typeof deviceType !== "string") exitWithError("Missing --device-type");
-  if (!runtime || typeof runtime !== "string") exitWithError("Missing --runtime");
-
-  const listJson = await simctlListFull();
-  const devicetypes = Array.isArray(listJson?.devicetypes) ? listJson.devicetypes : [];
-  const runtimes = Array.isArray(listJson?.runtimes) ? listJson.runtimes : [];
+async function loadInventory() {
+  const devicetypesJson = await simctlList("devicetypes");
+  const runtimesJson = await simctlList("runtimes");
+  return {
+    devicetypes: Array.isArray(devicetypesJson?.devicetypes) ? devicetypesJson.devicetypes : [],
+    runtimes: Array.isArray(runtimesJson?.runtimes) ? runtimesJson.runtimes : [],
+  };
+}
 
+// Device type and runtime for `create`/`ensure` from substrings: the first type by name, the
+// newest available runtime. `source` names where the substrings came from, for error messages.
+function matchDeviceSpec({ devicetypes, runtimes }, { deviceType, runtime }, source = { deviceType: "--device-type", runtime: "--runtime" }) {
   const dtQ = normalise(deviceType);
   const rtQ = normalise(runtime);
 
@@ -519,7 +1121,7 @@ async function cmdCreate({ name, deviceType, runtime, stateFile, pretty, text })
     .filter((d) => d?.identifier && d?.name)
     .filter((d) => normalise(d.name).includes(dtQ) || normalise(d.identifier).includes(dtQ));
 
-  if (!dtMatches.length) exitWithError("No device type matched --device-type", { deviceType });
+  if (!dtMatches.length) fail(`No device type matched ${source.deviceType}`, { deviceType }, "E_NO_DEVICE_TYPE");
 
   // Prefer exact-ish match and common iPhone types
   dtMatches.sort((a, b) => String(a.name).localeCompare(String(b.name)));
@@ -529,434 +1131,4575 @@ async function cmdCreate({ name, deviceType, runtime, stateFile, pretty, text })
     .filter((r) => r?.identifier && r?.name && r?.isAvailable !== false)
     .filter((r) => normalise(r.name).includes(rtQ) || normalise(r.identifier).includes(rtQ));
 
-  if (!rtMatches.length) exitWithError("No runtime matched --runtime", { runtime });
+  if (!rtMatches.length) fail(`No runtime matched ${source.runtime}`, { runtime }, "E_NO_RUNTIME");
 
   rtMatches.sort((a, b) => -cmpVersions(a.version, b.version));
-  const rt = rtMatches[0];
+  return { dt, rt: rtMatches[0] };
+}
 
-  const { stdout } = await run("xcrun", ["simctl", "create", name, dt.identifier, rt.identifier]);
+async function cmdCreate({ name, deviceType, runtime, stateFile, pretty, text, _internalCall = false }) {
+  if (!name || typeof name !== "string") fail("Missing --name");
+  if (!deviceType || typeof deviceType !== "string") fail("Missing --device-type");
+  if (!runtime || typeof runtime !== "string") fail("Missing --runtime");
+
+  const { dt, rt } = matchDeviceSpec(await loadInventory(), { deviceType, runtime });
+  const { stdout } = await simctl(["create", name, dt.identifier, rt.identifier]);
   const createdUdid = stdout.trim();
 
-  const state = loadState(stateFile);
-  state.udid = createdUdid;
-  state.name = name;
-  state.runtime = rt.name;
-  state.updatedAt = new Date().toISOString();
-  saveState(stateFile, state);
+  await updateState(stateFile, (state) => {
+    state.udid = createdUdid;
+    state.name = name;
+    state.runtime = rt.name;
+    state.lease = leaseFor(createdUdid);
+  });
 
-  emit({
+  const result = {
     ok: true,
     created: { udid: createdUdid, name, deviceType: dt.name, runtime: rt.name },
     stateFile,
     summary: [`Created: ${name}`, `UDID: ${createdUdid}`],
-  }, { pretty, text });
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
 }
 
-async function cmdScreenshot({ udid, out, stateFile, pretty, text }) {
-  if (!out || typeof out !== "string") exitWithError("Missing --out <file.png>");
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  const outPath = path.resolve(out);
-  fs.mkdirSync(path.dirname(outPath), { recursive: true });
-
-  await run("xcrun", ["simctl", "io", resolvedUdid, "screenshot", outPath]);
-  emit({ ok: true, udid: resolvedUdid, out: outPath, summary: [`Screenshot: ${outPath}`] }, { pretty, text });
-}
+// ---- device config (ensure) ----
+//
+// A project config (ios-sim.config.json) declares its simulators under logical names:
+//   { "devices": { "phone": { "deviceType": "iPhone 15", "runtime": "iOS 17", "locale": "en_GB",
+//                             "appearance": "dark", "apps": ["build/App.app"], "boot": true } } }
+// `ensure` creates or reuses a simulator for each one and records it in the state file under
+// `devices.<name>`, which is what `--device <name>` resolves to.
 
-async function cmdRecordVideo({ udid, out, stateFile }) {
-  if (!out || typeof out !== "string") exitWithError("Missing --out <file.mp4>");
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  const outPath = path.resolve(out);
-  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+const CONFIG_FILE_DEFAULT = "ios-sim.config.json";
+const CONFIG_APPEARANCES = ["light", "dark"];
 
-  // This is intentionally a foreground process. Stop with Ctrl+C.
-  const child = spawn("xcrun", ["simctl", "io", resolvedUdid, "recordVideo", outPath], {
-    stdio: "inherit",
-    shell: false,
-  });
-  child.on("exit", (code) => process.exit(code ?? 0));
+function configPath(config) {
+  return path.resolve(typeof config === "string" ? config : process.env.IOS_SIM_CONFIG || CONFIG_FILE_DEFAULT);
 }
 
-async function cmdOpenUrl({ udid, url, stateFile, pretty, text }) {
-  if (!url || typeof url !== "string") exitWithError("Missing --url");
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  await run("xcrun", ["simctl", "openurl", resolvedUdid, url]);
-  emit({ ok: true, udid: resolvedUdid, url, summary: [`Open URL: ${url}`] }, { pretty, text });
+function loadConfig(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch {
+    fail("Config file not found", { config: file }, "E_FILE_NOT_FOUND");
+  }
+  let cfg;
+  try {
+    cfg = JSON.parse(raw);
+  } catch (e) {
+    fail("Config file is not valid JSON", { config: file, error: e.message }, "E_INVALID_FILE");
+  }
+  const invalid = (error) => fail(`Invalid config: ${error}`, { config: file }, "E_INVALID_FILE");
+  if (!cfg?.devices || typeof cfg.devices !== "object" || Array.isArray(cfg.devices) || !Object.keys(cfg.devices).length) {
+    invalid("`devices` must be an object of named devices");
+  }
+  for (const [name, d] of Object.entries(cfg.devices)) {
+    const at = `devices.${name}`;
+    if (!/^[\w.-]+$/.test(name)) invalid(`${at}: names may only use letters, digits, . _ -`);
+    if (!d || typeof d !== "object" || Array.isArray(d)) invalid(`${at} must be an object`);
+    for (const k of ["deviceType", "runtime"]) {
+      if (typeof d[k] !== "string" || !d[k]) invalid(`${at}.${k} is required`);
+    }
+    if (d.name !== undefined && (typeof d.name !== "string" || !d.name)) invalid(`${at}.name must be a non-empty string`);
+    if (d.locale !== undefined && !/^[a-z]{2,3}(?:[_-][A-Za-z0-9]+)*$/.test(d.locale)) invalid(`${at}.locale must look like en_GB`);
+    if (d.appearance !== undefined && !CONFIG_APPEARANCES.includes(d.appearance)) invalid(`${at}.appearance must be light or dark`);
+    if (d.apps !== undefined && !(Array.isArray(d.apps) && d.apps.every((a) => typeof a === "string"))) invalid(`${at}.apps must be an array of .app paths`);
+    if (d.boot !== undefined && typeof d.boot !== "boolean") invalid(`${at}.boot must be true or false`);
+  }
+  return cfg;
 }
 
-async function cmdClipboardGet({ udid, stateFile, pretty, text }) {
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  const { stdout } = await run("xcrun", ["simctl", "pbpaste", resolvedUdid], { allowNonZero: true });
-  emit({ ok: true, udid: resolvedUdid, text: stdout, summary: ["Clipboard read"] }, { pretty, text });
+// `--device <name[,name...]>` -> the UDID(s) `ensure` recorded, comma-joined like `--udid a,b`.
+function logicalDeviceUdids(stateFile, device) {
+  if (typeof device !== "string" || !device.trim()) fail("Missing value for --device <name>");
+  const recorded = loadState(stateFile).devices || {};
+  return device.split(",").map((n) => n.trim()).filter(Boolean).map((n) => {
+    const udid = recorded[n]?.udid;
+    if (!udid) fail(`Device "${n}" has not been set up; run \`ensure\` first`, { device: n, known: Object.keys(recorded) }, "E_NO_DEVICE");
+    return udid;
+  }).join(",");
 }
 
-async function cmdClipboardSet({ udid, text: clipText, stateFile, pretty, text }) {
-  if (clipText === undefined) exitWithError("Missing --text");
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  await run("xcrun", ["simctl", "pbcopy", resolvedUdid], { stdin: String(clipText) });
-  emit({ ok: true, udid: resolvedUdid, summary: ["Clipboard set"] }, { pretty, text });
+async function setAppearance(udid, appearance) {
+  await simctlChecked(["ui", udid, "appearance", appearance]);
 }
 
-async function cmdAppInstall({ udid, app, stateFile, pretty, text }) {
-  if (!app || typeof app !== "string") exitWithError("Missing --app <path/to/App.app>");
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  const appPath = path.resolve(app);
-  if (!fs.existsSync(appPath)) exitWithError("App path does not exist", { app: appPath });
-
-  await run("xcrun", ["simctl", "install", resolvedUdid, appPath]);
-  emit({ ok: true, udid: resolvedUdid, app: appPath, summary: [`Installed: ${path.basename(appPath)}`] }, { pretty, text });
+// Takes effect for apps launched afterwards; SpringBoard picks it up on the next boot.
+async function setLocale(udid, locale) {
+  const domain = "Apple Global Domain";
+  await simctlChecked(["spawn", udid, "defaults", "write", domain, "AppleLocale", "-string", locale.replace(/-/g, "_")]);
+  await simctlChecked(["spawn", udid, "defaults", "write", domain, "AppleLanguages", "-array", locale.replace(/_/g, "-")]);
 }
 
-async function cmdAppUninstall({ udid, bundleId, stateFile, pretty, text }) {
-  if (!bundleId || typeof bundleId !== "string") exitWithError("Missing --bundle-id");
-  if (!looksLikeBundleId(bundleId)) exitWithError("Invalid --bundle-id", { bundleId });
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-
-  await run("xcrun", ["simctl", "uninstall", resolvedUdid, bundleId], { allowNonZero: true });
-  emit({ ok: true, udid: resolvedUdid, bundleId, summary: [`Uninstalled: ${bundleId}`] }, { pretty, text });
+// Bundle id and versions from an XML Info.plist, or null if it is missing, binary or has no id.
+function xmlPlistInfo(plistPath) {
+  let xml;
+  try {
+    xml = fs.readFileSync(plistPath, "utf8");
+  } catch {
+    return null;
+  }
+  const value = (key) => xml.match(new RegExp(`<key>${key}</key>\\s*<string>([^<]+)</string>`))?.[1].trim();
+  const bundleId = value("CFBundleIdentifier");
+  return bundleId ? { bundleId, version: value("CFBundleVersion"), shortVersion: value("CFBundleShortVersionString") } : null;
 }
 
-async function cmdAppLaunch({ udid, bundleId, passthroughArgs, stateFile, pretty, text }) {
-  if (!bundleId || typeof bundleId !== "string") exitWithError("Missing --bundle-id");
-  if (!looksLikeBundleId(bundleId)) exitWithError("Invalid --bundle-id", { bundleId });
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-
-  const args = ["simctl", "launch", resolvedUdid, bundleId, ...passthroughArgs];
-  const { stdout, stderr, code } = await run("xcrun", args, { allowNonZero: true });
-  emit({
-    ok: code === 0,
-    udid: resolvedUdid,
-    bundleId,
-    pid: stdout.trim() || null,
-    stderr: stderr.trim() || null,
-    summary: [`Launch: ${bundleId}`, stdout.trim() ? `PID: ${stdout.trim()}` : "No PID returned"],
-  }, { pretty, text });
+// Xcode writes binary Info.plists, which plutil converts; null if that fails too.
+async function appBundleInfo(appPath) {
+  const plistPath = path.join(appPath, "Info.plist");
+  const info = xmlPlistInfo(plistPath);
+  if (info || !fs.existsSync(plistPath)) return info;
+  try {
+    const { stdout } = await run("plutil", ["-convert", "json", "-o", "-", plistPath]);
+    const plist = JSON.parse(stdout);
+    if (typeof plist.CFBundleIdentifier !== "string") return null;
+    return { bundleId: plist.CFBundleIdentifier, version: plist.CFBundleVersion, shortVersion: plist.CFBundleShortVersionString };
+  } catch {
+    return null;
+  }
 }
 
-async function cmdAppTerminate({ udid, bundleId, stateFile, pretty, text }) {
-  if (!bundleId || typeof bundleId !== "string") exitWithError("Missing --bundle-id");
-  if (!looksLikeBundleId(bundleId)) exitWithError("Invalid --bundle-id", { bundleId });
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
+// `simctl listapps` prints an old-style plist keyed by bundle id; only the versions at the top
+// level of each app's entry are read.
+async function installedApps(udid) {
+  const { stdout } = await simctlChecked(["listapps", udid]);
+  const apps = {};
+  let current = null;
+  for (const line of stdout.split("\n")) {
+    const app = line.match(/^ {4}"?([^"\s=]+)"? = +\{/);
+    if (app) {
+      current = apps[app[1]] = {};
+      continue;
+    }
+    const field = current && line.match(/^ {8}(CFBundleVersion|CFBundleShortVersionString) = "?([^";]*)"?;/);
+    if (field) current[field[1] === "CFBundleVersion" ? "version" : "shortVersion"] = field[2];
+  }
+  return apps;
+}
 
-  await run("xcrun", ["simctl", "terminate", resolvedUdid, bundleId], { allowNonZero: true });
-  emit({ ok: true, udid: resolvedUdid, bundleId, summary: [`Terminate: ${bundleId}`] }, { pretty, text });
+// Installs the app unless the same bundle id and versions are already on the device; false if
+// it was left alone. Apps without a readable bundle id and version are always installed.
+async function ensureApp(udid, appPath, installed, stateFile) {
+  const info = await appBundleInfo(appPath);
+  const have = info?.version !== undefined ? (await installed())[info.bundleId] : undefined;
+  if (have && have.version === info.version && have.shortVersion === info.shortVersion) return false;
+  await cmdAppInstall({ udid, app: appPath, stateFile, _internalCall: true });
+  return true;
 }
 
-async function cmdAppContainer({ udid, bundleId, type, stateFile, pretty, text }) {
-  if (!bundleId || typeof bundleId !== "string") exitWithError("Missing --bundle-id");
-  if (!looksLikeBundleId(bundleId)) exitWithError("Invalid --bundle-id", { bundleId });
+// The recorded device if it still fits the spec, else an available one with the same name,
+// runtime and device type (so a teammate's matching simulator is adopted, not duplicated).
+function findEnsuredDevice(devices, recordedUdid, { name, dt, rt }) {
+  const fits = (d) => d.isAvailable && d.runtimeId === rt.identifier && (!d.deviceTypeId || d.deviceTypeId === dt.identifier);
+  return devices.find((d) => d.udid === recordedUdid && fits(d)) || devices.find((d) => d.name === name && fits(d)) || null;
+}
 
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  const t = type ? String(type) : "data";
-  if (!["data", "app"].includes(t)) exitWithError("Invalid --type (expected data|app)", { type });
+async function ensureDevice(logical, spec, { inventory, boot, file, stateFile }) {
+  const name = spec.name || logical;
+  const at = `devices.${logical}`;
+  const { dt, rt } = matchDeviceSpec(inventory, spec, { deviceType: `${at}.deviceType`, runtime: `${at}.runtime` });
+  const recordedUdid = loadState(stateFile).devices?.[logical]?.udid ?? null;
+  const existing = findEnsuredDevice(await listDevices(), recordedUdid, { name, dt, rt });
 
-  const { stdout } = await run("xcrun", ["simctl", "get_app_container", resolvedUdid, bundleId, t]);
-  const containerPath = stdout.trim();
-  emit({ ok: true, udid: resolvedUdid, bundleId, type: t, path: containerPath }, { pretty, text });
-}
+  let udid = existing?.udid;
+  if (!existing) udid = (await simctl(["create", name, dt.identifier, rt.identifier])).stdout.trim();
 
-async function cmdPrivacy({ udid, action, bundleId, service, stateFile, pretty, text }) {
-  if (!action) exitWithError("Missing privacy subcommand (grant|revoke|reset)");
-  if (!bundleId || typeof bundleId !== "string") exitWithError("Missing --bundle-id");
-  if (!looksLikeBundleId(bundleId)) exitWithError("Invalid --bundle-id", { bundleId });
-  if (!service || typeof service !== "string") exitWithError("Missing --service <svc[,svc...]>");
+  await updateState(stateFile, (state) => {
+    state.devices = { ...state.devices, [logical]: { udid, name, deviceType: dt.name, runtime: rt.name, config: file, ensuredAt: new Date().toISOString() } };
+  });
 
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  const svcs = service.split(",").map((s) => s.trim()).filter(Boolean);
-  if (!svcs.length) exitWithError("No services parsed from --service", { service });
+  let booted = existing?.state === "Booted";
+  let bootResult = null;
+  if (!booted && (toBool(boot, false) || spec.boot === true)) {
+    bootResult = await cmdBoot({ udid, stateFile, _internalCall: true });
+    booted = bootResult.ok;
+  }
 
-  const results = [];
-  for (const svc of svcs) {
-    await run("xcrun", ["simctl", "privacy", resolvedUdid, action, svc, bundleId], { allowNonZero: true });
-    results.push({ service: svc, action, ok: true });
+  // Locale, appearance and apps need a booted device; otherwise they wait for the next `ensure --boot`.
+  // Apps already installed at the same version are `unchanged`; listapps runs once, when first needed.
+  const baseDir = path.dirname(file);
+  let listed = null;
+  const installed = () => (listed ??= installedApps(udid).catch(() => ({})));
+  const settings = [
+    ...(spec.locale ? [["locale", () => setLocale(udid, spec.locale)]] : []),
+    ...(spec.appearance ? [["appearance", () => setAppearance(udid, spec.appearance)]] : []),
+    ...(spec.apps || []).map((app) => [`app ${app}`, () => ensureApp(udid, path.resolve(baseDir, app), installed, stateFile)]),
+  ];
+  const applied = [];
+  const pending = [];
+  const unchanged = [];
+  for (const [what, apply] of settings) {
+    if (!booted) {
+      pending.push(what);
+      continue;
+    }
+    const changed = await apply();
+    (changed === false ? unchanged : applied).push(what);
   }
 
-  emit({ ok: true, udid: resolvedUdid, bundleId, action, services: svcs, results }, { pretty, text });
+  return {
+    ok: !bootResult || bootResult.ok,
+    udid,
+    name,
+    action: existing ? "reused" : "created",
+    ...(recordedUdid && recordedUdid !== udid ? { previousUdid: recordedUdid } : {}),
+    deviceType: dt.name,
+    runtime: rt.name,
+    state: booted ? "Booted" : existing?.state ?? "Shutdown",
+    ...(bootResult ? { boot: { ok: bootResult.ok, timings: bootResult.timings, ...(bootResult.code ? { code: bootResult.code } : {}) } } : {}),
+    ...(bootResult?.code ? { code: bootResult.code } : {}),
+    applied,
+    pending,
+    unchanged,
+  };
 }
 
-async function cmdPush({ udid, bundleId, payload, stateFile, pretty, text }) {
-  if (!bundleId || typeof bundleId !== "string") exitWithError("Missing --bundle-id");
-  if (!looksLikeBundleId(bundleId)) exitWithError("Invalid --bundle-id", { bundleId });
-  if (!payload || typeof payload !== "string") exitWithError("Missing --payload <json-string>");
+async function cmdEnsure({ config, device, boot, stateFile, pretty, text, _internalCall = false }) {
+  const file = configPath(config);
+  const cfg = loadConfig(file);
+  const names = typeof device === "string" ? device.split(",").map((n) => n.trim()).filter(Boolean) : Object.keys(cfg.devices);
+  for (const n of names) {
+    if (!Object.hasOwn(cfg.devices, n)) fail(`Device "${n}" is not in the config`, { device: n, config: file, configured: Object.keys(cfg.devices) }, "E_NO_DEVICE");
+  }
 
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const inventory = await loadInventory();
+  const devices = {};
+  for (const logical of names) {
+    try {
+      devices[logical] = await ensureDevice(logical, cfg.devices[logical], { inventory, boot, file, stateFile });
+    } catch (e) {
+      devices[logical] = errorOutcome(e);
+    }
+  }
 
-  // Validate JSON
+  const entries = Object.entries(devices);
+  const failed = entries.filter(([, d]) => !d.ok);
+  const summary = [`Ensure: ${entries.length - failed.length}/${entries.length} devices ok (${file})`];
+  for (const [logical, d] of entries) {
+    if (d.udid === undefined) {
+      summary.push(`✗ ${logical}: ${d.code}: ${d.error}`);
+      continue;
+    }
+    const notes = [
+      d.applied.length ? `applied ${d.applied.join(", ")}` : null,
+      d.unchanged.length ? `unchanged: ${d.unchanged.join(", ")}` : null,
+      d.pending.length ? `pending until booted: ${d.pending.join(", ")}` : null,
+    ].filter(Boolean);
+    summary.push(`${d.ok ? "✓" : "✗"} ${logical}: ${d.action} ${d.name} (${d.runtime}) ${d.udid} — ${d.state}${notes.length ? `; ${notes.join("; ")}` : ""}`);
+  }
+
+  const failCode = failed[0]?.[1].code;
+  const result = { ok: failed.length === 0, config: file, devices, ...(failCode ? { code: failCode } : {}), summary };
+  if (!_internalCall) {
+    emit(result, { pretty, text });
+    if (failed.length) process.exitCode = failCode ? errorInfo(failCode).exitCode : 1;
+  }
+  return result;
+}
+
+// ---- session commands ----
+
+function sessionEntry(name, session) {
+  return {
+    name,
+    active: name === activeSession,
+    udid: session.udid ?? null,
+    device: session.name ?? null,
+    runtime: session.runtime ?? null,
+    createdAt: session.createdAt ?? null,
+    updatedAt: session.updatedAt ?? null,
+    lease: session.lease ? { ...session.lease, live: leaseLive(session.lease) } : null,
+  };
+}
+
+async function cmdSessionList({ stateFile, pretty, text, _internalCall = false }) {
+  const sessions = Object.entries(allSessions(readStateFile(stateFile))).map(([name, session]) => sessionEntry(name, session));
+  const summary = [`Sessions: ${sessions.length} (active: ${activeSession})`];
+  if (sessions.length) {
+    summary.push("", ...formatTable(sessions, [
+      ["SESSION", (x) => `${x.active ? "*" : " "}${x.name}`],
+      ["DEVICE", (x) => x.device ?? "-"],
+      ["UDID", (x) => x.udid ?? "-"],
+      ["LEASE", (x) => (!x.lease ? "-" : x.lease.live ? `until ${x.lease.expiresAt}` : "expired")],
+      ["UPDATED", (x) => x.updatedAt ?? "-"],
+    ]));
+  }
+  const result = { ok: true, active: activeSession, sessions, summary };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdSessionShow({ stateFile, pretty, text, _internalCall = false }) {
+  const session = sessionFields(readStateFile(stateFile), activeSession);
+  const exists = Object.keys(session).length > 0;
+  const entry = {
+    ...sessionEntry(activeSession, session),
+    lastSnapshot: session.lastSnapshot ?? null,
+    refs: session.refs ? Object.entries(savedRefs(session)).map(([udid, r]) => ({ udid, capturedAt: r.capturedAt, count: Object.keys(r.elements || {}).length })) : null,
+  };
+  const summary = exists ? [
+    `Session: ${activeSession}`,
+    `Device: ${entry.device ?? "-"}${entry.udid ? ` (${entry.udid})` : ""}`,
+    `Lease: ${!entry.lease ? "none" : entry.lease.live ? `pid ${entry.lease.pid} on ${entry.lease.host} until ${entry.lease.expiresAt}` : "expired"}`,
+    ...(entry.refs || []).map((r) => `Refs: ${r.count} on ${r.udid} from ${r.capturedAt}`),
+  ] : [`Session: ${activeSession} (no state yet)`];
+  const result = { ok: true, exists, session: entry, summary };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+// Ends the active session: a named session is removed with its selection and refs; the default
+// session only gives up its lease.
+async function cmdSessionRelease({ stateFile, pretty, text, _internalCall = false }) {
+  const { released, removed } = await withStateLock(stateFile, () => {
+    const file = readStateFile(stateFile);
+    const session = sessionFields(file, activeSession);
+    const lease = session.lease ?? null;
+    if (activeSession === DEFAULT_SESSION) {
+      delete file.lease;
+    } else if (file.sessions?.[activeSession]) {
+      delete file.sessions[activeSession];
+      if (!Object.keys(file.sessions).length) delete file.sessions;
+    }
+    if (Object.keys(session).length) writeStateFile(stateFile, file);
+    return { released: leaseLive(lease) ? lease.udid : null, removed: activeSession !== DEFAULT_SESSION && Object.keys(session).length > 0 };
+  });
+  const result = {
+    ok: true,
+    session: activeSession,
+    released,
+    removed,
+    summary: [`Released: ${activeSession}${released ? ` (lease on ${released})` : " (no lease held)"}${removed ? ", session removed" : ""}`],
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+// ---- status bar overrides ----
+//
+// Wraps `simctl status_bar <udid> override|clear|list`. simctl cannot report the overrides in a
+// form that can be re-applied, so the ones applied through ios-sim are recorded per UDID in the
+// state file (`statusBars`); `screenshot --status-bar` uses that record to restore them.
+
+// Field -> allowed values, or [min, max] for numbers. Keys are simctl's option names.
+const STATUS_BAR_FIELDS = {
+  time: null,
+  dataNetwork: ["hide", "wifi", "3g", "4g", "lte", "lte-a", "lte+", "5g", "5g+", "5g-uwb", "5g-uc"],
+  wifiMode: ["searching", "failed", "active"],
+  wifiBars: [0, 3],
+  cellularMode: ["notSupported", "searching", "failed", "active"],
+  cellularBars: [0, 4],
+  operatorName: null,
+  batteryState: ["charging", "charged", "discharging"],
+  batteryLevel: [0, 100],
+};
+
+const STATUS_BAR_PRESETS = {
+  marketing: {
+    time: "9:41",
+    dataNetwork: "wifi",
+    wifiMode: "active",
+    wifiBars: 3,
+    cellularMode: "active",
+    cellularBars: 4,
+    operatorName: "",
+    batteryState: "charged",
+    batteryLevel: 100,
+  },
+};
+
+// Preset values overlaid with the explicitly given fields, validated.
+function statusBarSpec({ preset, ...fields }, presetFlag = "--preset") {
+  const flagOf = (key) => "--" + key.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase());
+  if (preset !== undefined && !Object.hasOwn(STATUS_BAR_PRESETS, preset)) {
+    fail(`Unknown ${presetFlag} preset`, { preset, presets: Object.keys(STATUS_BAR_PRESETS) });
+  }
+  const spec = { ...(preset !== undefined ? STATUS_BAR_PRESETS[preset] : {}) };
+  for (const [key, allowed] of Object.entries(STATUS_BAR_FIELDS)) {
+    const v = fields[key];
+    if (v === undefined) continue;
+    const flag = flagOf(key);
+    if (allowed === null) {
+      if (typeof v !== "string" && key !== "operatorName") fail(`Missing value for ${flag}`);
+      spec[key] = v === true ? "" : String(v);
+    } else if (typeof allowed[0] === "number") {
+      const n = toNumber(v);
+      if (!Number.isInteger(n) || n < allowed[0] || n > allowed[1]) fail(`Invalid ${flag} (expected ${allowed[0]}..${allowed[1]})`, { [key]: v });
+      spec[key] = n;
+    } else {
+      if (!allowed.includes(v)) fail(`Invalid ${flag}`, { [key]: v, expected: allowed });
+      spec[key] = v;
+    }
+  }
+  if (!Object.keys(spec).length) fail("Nothing to override: pass --preset or at least one field", { flags: ["--preset", ...Object.keys(STATUS_BAR_FIELDS).map(flagOf)] });
+  return spec;
+}
+
+function statusBarArgs(spec) {
+  return Object.entries(spec).flatMap(([k, v]) => [`--${k}`, String(v)]);
+}
+
+// `status_bar list` prints a header and then "Key: value[, Key: value]" lines, one set per active override.
+async function readStatusBar(udid) {
+  const { stdout } = await simctlChecked(["status_bar", udid, "list"]);
+  const overrides = {};
+  for (const line of stdout.split("\n")) {
+    if (/^\s*(Current Status Bar Overrides:|=+)\s*$/.test(line)) continue;
+    for (const pair of line.split(/,\s+(?=[^,:]+:)/)) {
+      const m = pair.match(/^\s*([^:]+?):\s*(.*?)\s*$/);
+      if (m) overrides[m[1]] = m[2];
+    }
+  }
+  return { active: Object.keys(overrides).length > 0, overrides };
+}
+
+async function recordStatusBar(stateFile, udid, spec) {
+  await updateState(stateFile, (state) => {
+    const { [udid]: _prev, ...others } = state.statusBars || {};
+    state.statusBars = spec ? { ...others, [udid]: spec } : others;
+    if (!Object.keys(state.statusBars).length) delete state.statusBars;
+  });
+}
+
+// Overrides applied through ios-sim that are still in effect. A record whose overrides are gone
+// (the device was rebooted or erased since) is not.
+async function activeStatusBar(stateFile, udid) {
+  const current = await readStatusBar(udid);
+  return { current, recorded: current.active ? loadState(stateFile).statusBars?.[udid] ?? null : null };
+}
+
+// Runs `fn` with `spec` applied, then puts back the overrides that were in effect before. A
+// failed restore is a warning, so it never replaces what `fn` returned or threw.
+async function withStatusBar(stateFile, udid, spec, fn) {
+  const { current, recorded } = await activeStatusBar(stateFile, udid);
+  await simctlChecked(["status_bar", udid, "override", ...statusBarArgs(spec)]);
+  try {
+    return await fn();
+  } finally {
+    try {
+      await simctlChecked(["status_bar", udid, "clear"]);
+      if (recorded) {
+        await simctlChecked(["status_bar", udid, "override", ...statusBarArgs(recorded)]);
+      } else if (current.active) {
+        warn("W_STATUS_BAR_NOT_RESTORED", `Status bar overrides on ${udid} were not set by ios-sim and could not be restored; they are now cleared.`, {
+          udid,
+          overrides: current.overrides,
+        });
+      }
+    } catch (e) {
+      const { message, code } = errorDetails(e);
+      warn("W_STATUS_BAR_NOT_RESTORED", `Could not restore the status bar on ${udid}: ${message}`, { udid, errorCode: code, overrides: recorded ?? current.overrides });
+    }
+  }
+}
+
+// screenshot's `--status-bar [preset]`; the flag alone means the marketing preset.
+function statusBarOption(statusBar) {
+  if (statusBar === undefined || statusBar === false) return null;
+  const preset = statusBar === true ? "marketing" : String(statusBar);
+  return { preset, spec: statusBarSpec({ preset }, "--status-bar") };
+}
+
+async function cmdStatusBarOverride({ udid, preset, stateFile, pretty, text, _internalCall = false, ...fields }) {
+  const spec = statusBarSpec({ preset, ...fields });
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const { recorded } = await activeStatusBar(stateFile, resolvedUdid);
+  await simctlChecked(["status_bar", resolvedUdid, "override", ...statusBarArgs(spec)]);
+  // simctl keeps fields that are not given, so the record accumulates too.
+  const overrides = { ...recorded, ...spec };
+  await recordStatusBar(stateFile, resolvedUdid, overrides);
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    ...(preset !== undefined ? { preset } : {}),
+    overrides,
+    summary: [`Status bar overridden: ${Object.entries(spec).map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(", ")}`],
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdStatusBarClear({ udid, stateFile, pretty, text, _internalCall = false }) {
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  await simctlChecked(["status_bar", resolvedUdid, "clear"]);
+  await recordStatusBar(stateFile, resolvedUdid, null);
+  const result = { ok: true, udid: resolvedUdid, summary: ["Status bar overrides cleared"] };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdStatusBarShow({ udid, stateFile, pretty, text, _internalCall = false }) {
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const { current, recorded } = await activeStatusBar(stateFile, resolvedUdid);
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    active: current.active,
+    overrides: current.overrides,
+    recorded,
+    summary: current.active
+      ? ["Status bar overrides:", ...Object.entries(current.overrides).map(([k, v]) => `  ${k}: ${v}`)]
+      : ["Status bar: no overrides"],
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+// ---- display settings (simctl ui) ----
+//
+// `settings appearance|content-size|increase-contrast <value>` wrap `simctl ui <udid> <option>
+// <value>`. Without a value simctl prints the current one, which is what `settings show` and the
+// before/after values in each result come from.
+
+// UIContentSizeCategory values, smallest first, as simctl names them.
+const CONTENT_SIZES = [
+  "extra-small", "small", "medium", "large", "extra-large", "extra-extra-large", "extra-extra-extra-large",
+  "accessibility-medium", "accessibility-large", "accessibility-extra-large",
+  "accessibility-extra-extra-large", "accessibility-extra-extra-extra-large",
+];
+const CONTENT_SIZE_STEPS = ["increment", "decrement"];
+const CONTRAST_VALUES = { on: "enabled", off: "disabled" };
+
+// Also accepts the UIKit spellings: UIContentSizeCategoryExtraLarge, accessibilityExtraLarge.
+function contentSizeName(v) {
+  return String(v).trim().replace(/^UI(?:CT)?ContentSizeCategory/, "").replace(/([a-z])([A-Z])/g, "$1-$2").toLowerCase();
+}
+
+// on/off, enabled/disabled (as simctl prints them) or any toBool() spelling.
+function contrastName(v) {
+  const s = String(v).trim().toLowerCase();
+  const b = toBool(s, null);
+  if (b !== null) return b ? "on" : "off";
+  return Object.keys(CONTRAST_VALUES).find((k) => CONTRAST_VALUES[k] === s) ?? s;
+}
+
+// setting -> simctl ui option, CLI value -> simctl value, simctl output -> CLI value.
+const UI_SETTINGS = {
+  appearance: {
+    option: "appearance",
+    parse: (v) => String(v).trim().toLowerCase(),
+    values: CONFIG_APPEARANCES,
+  },
+  "content-size": {
+    option: "content_size",
+    parse: contentSizeName,
+    values: [...CONTENT_SIZES, ...CONTENT_SIZE_STEPS],
+  },
+  "increase-contrast": {
+    option: "increase_contrast",
+    parse: contrastName,
+    values: Object.keys(CONTRAST_VALUES),
+    toSimctl: (v) => CONTRAST_VALUES[v],
+    fromSimctl: contrastName,
+  },
+};
+
+function uiSettingValue(setting, value) {
+  const spec = UI_SETTINGS[setting];
+  if (value === undefined) fail(`Missing value: settings ${setting} <${spec.values.join("|")}>`);
+  const v = spec.parse(value);
+  if (!spec.values.includes(v)) fail(`Invalid ${setting}`, { value, expected: spec.values });
+  return v;
+}
+
+// "unsupported"/"unknown" come back as-is from runtimes that lack the setting.
+async function readUiSetting(udid, setting) {
+  const spec = UI_SETTINGS[setting];
+  const { stdout } = await simctlChecked(["ui", udid, spec.option]);
+  const v = stdout.trim();
+  return spec.fromSimctl ? spec.fromSimctl(v) : v;
+}
+
+async function writeUiSetting(udid, setting, value) {
+  const spec = UI_SETTINGS[setting];
+  await simctlChecked(["ui", udid, spec.option, spec.toSimctl ? spec.toSimctl(value) : value]);
+}
+
+async function cmdSettingsSet({ udid, setting, value, stateFile, pretty, text, _internalCall = false }) {
+  if (!Object.hasOwn(UI_SETTINGS, setting)) fail("Unknown setting", { setting, expected: Object.keys(UI_SETTINGS) });
+  const wanted = uiSettingValue(setting, value);
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const previous = await readUiSetting(resolvedUdid, setting);
+  await writeUiSetting(resolvedUdid, setting, wanted);
+  // increment/decrement stop at the ends of the scale, so read back where they landed.
+  const current = CONTENT_SIZE_STEPS.includes(wanted) ? await readUiSetting(resolvedUdid, setting) : wanted;
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    setting,
+    value: current,
+    previous,
+    summary: [`${setting}: ${previous === current ? `${current} (unchanged)` : `${previous} -> ${current}`}`],
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdSettingsShow({ udid, stateFile, pretty, text, _internalCall = false }) {
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const settings = {};
+  for (const setting of Object.keys(UI_SETTINGS)) settings[setting] = await readUiSetting(resolvedUdid, setting);
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    appearance: settings.appearance,
+    contentSize: settings["content-size"],
+    increaseContrast: settings["increase-contrast"],
+    summary: Object.entries(settings).map(([k, v]) => `${k}: ${v}`),
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+// Comma-separated subset of `allowed`, in the order given; all of them by default.
+function matrixAxis(v, flag, allowed, parse) {
+  if (v === undefined) return allowed;
+  if (typeof v !== "string" || !v.trim()) fail(`Missing value for ${flag} <a,b,...>`);
+  const values = [...new Set(v.split(",").map((x) => x.trim()).filter(Boolean).map(parse))];
+  const bad = values.filter((x) => !allowed.includes(x));
+  if (bad.length) fail(`Invalid ${flag}`, { invalid: bad, expected: allowed });
+  return values;
+}
+
+const MATRIX_SETTLE_MS = 500;
+
+// `screenshot --matrix <dir>`: one capture per appearance x content size, written as
+// <dir>/<appearance>-<content-size>.png. The device's own settings are put back afterwards.
+async function screenshotMatrix({ udid, dir, appearances, contentSizes, settle, statusBar, shot, stateFile, pretty, text, _internalCall }) {
+  if (typeof dir !== "string" || !dir) fail("Missing value for --matrix <dir>");
+  const looks = matrixAxis(appearances, "--appearances", CONFIG_APPEARANCES, UI_SETTINGS.appearance.parse);
+  const sizes = matrixAxis(contentSizes, "--content-sizes", CONTENT_SIZES, contentSizeName);
+  const settleMs = settle === undefined ? MATRIX_SETTLE_MS : toNumber(settle, -1) * 1000;
+  if (!(settleMs >= 0)) fail("Invalid --settle (expected seconds >= 0)", { settle });
+  const bar = statusBarOption(statusBar);
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const outDir = path.resolve(dir);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const before = { appearance: await readUiSetting(resolvedUdid, "appearance"), contentSize: await readUiSetting(resolvedUdid, "content-size") };
+  const shots = [];
+  const captureAll = async () => {
+    try {
+      for (const appearance of looks) {
+        await writeUiSetting(resolvedUdid, "appearance", appearance);
+        for (const contentSize of sizes) {
+          await writeUiSetting(resolvedUdid, "content-size", contentSize);
+          await sleep(settleMs);
+          const res = await cmdScreenshot({ ...shot, udid: resolvedUdid, out: path.join(outDir, `${appearance}-${contentSize}.png`), stateFile, _internalCall: true });
+          shots.push({ appearance, contentSize, out: res.out, ...(res.image ? { image: res.image } : {}) });
+        }
+      }
+    } finally {
+      if (CONFIG_APPEARANCES.includes(before.appearance)) await writeUiSetting(resolvedUdid, "appearance", before.appearance);
+      if (CONTENT_SIZES.includes(before.contentSize)) await writeUiSetting(resolvedUdid, "content-size", before.contentSize);
+    }
+  };
+  if (bar) await withStatusBar(stateFile, resolvedUdid, bar.spec, captureAll);
+  else await captureAll();
+
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    dir: outDir,
+    matrix: { appearances: looks, contentSizes: sizes },
+    shots,
+    restored: before,
+    ...(bar ? { statusBar: { preset: bar.preset, overrides: bar.spec } } : {}),
+    summary: [
+      `Screenshot matrix: ${shots.length} captures (${looks.length} appearances x ${sizes.length} content sizes) in ${outDir}`,
+      `Restored: appearance ${before.appearance}, content size ${before.contentSize}`,
+    ],
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+// Generous enough to cover the status bar on notch and Dynamic Island devices.
+const STATUS_BAR_POINTS = 62;
+
+async function cmdScreenshot({
+  udid,
+  out,
+  compare,
+  threshold,
+  pixelThreshold,
+  ignore,
+  ignoreStatusBar,
+  ignoreQuery,
+  ignoreSelector,
+  diffOut,
+  annotate,
+  maxWidth,
+  scale: outputScale,
+  crop,
+  element,
+  elementSelector,
+  padding,
+  base64,
+  statusBar,
+  matrix,
+  appearances,
+  contentSizes,
+  settle,
+  stateFile,
+  pretty,
+  text,
+  _internalCall = false,
+}) {
+  if (matrix !== undefined) {
+    if (out !== undefined || compare !== undefined || toBool(base64, false) || toBool(annotate, false)) {
+      fail("--matrix writes one file per combination; it cannot be combined with --out, --compare, --base64 or --annotate");
+    }
+    const shot = { maxWidth, scale: outputScale, crop, element, elementSelector, padding };
+    return await screenshotMatrix({ udid, dir: matrix, appearances, contentSizes, settle, statusBar, shot, stateFile, pretty, text, _internalCall });
+  }
+  if (compare !== undefined && typeof compare !== "string") fail("Missing value for --compare <baseline.png>");
+  const baselinePath = compare !== undefined ? path.resolve(compare) : null;
+  const inline = toBool(base64, false);
+  if (!baselinePath && !inline && (!out || typeof out !== "string")) fail("Missing --out <file.png>");
+  const thresholds = baselinePath ? parseThresholds({ threshold, pixelThreshold }) : null;
+  const ignoreRects = parseRects(ignore, "--ignore");
+  const ignoreSel = selectorFrom(ignoreSelector, "--ignore-selector");
+  const resize = parseResizeOptions({ maxWidth, scale: outputScale });
+  const cropRect = crop !== undefined ? parseRect(crop, "--crop") : null;
+  const elementSel = selectorFrom(elementSelector, "--element-selector");
+  if (element !== undefined && typeof element !== "string") fail("Missing value for --element <query>");
+  const pad = toNumber(padding, 8);
+  if (pad === undefined || pad < 0) fail("Invalid --padding (expected points >= 0)", { padding });
+  if ([cropRect, element, elementSel].filter(Boolean).length > 1) fail("Use only one of --crop, --element, --element-selector");
+  const bar = statusBarOption(statusBar);
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const keep = typeof out === "string";
+  const outPath = keep ? path.resolve(out) : path.join(os.tmpdir(), `sim-screenshot-${nowIsoCompact()}.png`);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+
+  // Without --out the capture is only a working file for --compare or --base64.
+  try {
+    const capture = () => simctl(["io", resolvedUdid, "screenshot", outPath]);
+    if (bar) await withStatusBar(stateFile, resolvedUdid, bar.spec, capture);
+    else await capture();
+    const result = keep
+      ? { ok: true, udid: resolvedUdid, out: outPath, summary: [`Screenshot: ${outPath}`] }
+      : { ok: true, udid: resolvedUdid, summary: [inline ? "Screenshot: inline (base64)" : "Screenshot: not kept (no --out)"] };
+    if (bar) {
+      result.statusBar = { preset: bar.preset, overrides: bar.spec };
+      result.summary.push(`Status bar: ${bar.preset} preset for the capture`);
+    }
+
+    // idb frames are in points while simctl screenshots are in pixels; fetch the tree once.
+    let ui = null;
+    const uiForImage = async (img) => {
+      if (!ui) {
+        const elements = await idbDescribeAll({ udid: resolvedUdid });
+        const screen = screenFrame(elements);
+        if (!screen) fail("Could not determine screen bounds from the UI tree (needed to map points to pixels)", {}, "E_UI_EMPTY");
+        ui = { elements, screen, scale: img.width / screen.width };
+      }
+      return ui;
+    };
+
+    let image = null;
+    if (baselinePath) {
+      image = readPng(outPath);
+      const regions = [...ignoreRects];
+      let scale = 1;
+      if (regions.length || toBool(ignoreStatusBar, false) || ignoreQuery !== undefined || ignoreSel) {
+        const { elements, screen } = await uiForImage(image);
+        scale = ui.scale;
+        if (toBool(ignoreStatusBar, false)) regions.push({ x: screen.x, y: screen.y, width: screen.width, height: STATUS_BAR_POINTS });
+        const toIgnore = [
+          ...(typeof ignoreQuery === "string" ? locateAll(elements, { query: ignoreQuery }, { includeDisabled: true, includeStatic: true }) : []),
+          ...(ignoreSel ? locateAll(elements, { selector: ignoreSel }) : []),
+        ];
+        for (const m of toIgnore) {
+          const r = rectOf(m.frame);
+          if (r) regions.push({ x: r.x, y: r.y, width: r.width, height: r.height });
+        }
+      }
+      const pixelRegions = regions.map((r) => ({ x: r.x * scale, y: r.y * scale, width: r.width * scale, height: r.height * scale }));
+      const cmp = compareAgainstBaseline(image, baselinePath, {
+        ...thresholds,
+        ignore: pixelRegions,
+        diffOut: typeof diffOut === "string" ? diffOut : outPath.replace(/\.png$/i, "") + ".diff.png",
+      });
+      result.ok = cmp.ok;
+      result.compare = { ...cmp, scale, ignoreRegions: regions };
+      result.summary.push(compareSummary(cmp));
+    }
+
+    // Post-processing runs after any comparison, which always sees the raw capture.
+    let processed = false;
+    if (toBool(annotate, false)) {
+      image ||= readPng(outPath);
+      const { elements, screen, scale } = await uiForImage(image);
+      const { refs } = buildOutline(elements);
+      await saveRefs(stateFile, resolvedUdid, refs);
+      const marks = annotationMarks(refs, screen);
+      image = annotateImage(image, marks, scale);
+      processed = true;
+      result.scale = scale;
+      result.annotations = marks.map(({ n, ref, type, label, centre }) => ({ n, ref, type, label, centre }));
+      result.summary.push(`Annotated: ${marks.length} elements (tap one with \`ui tap --ref <n>\`)`);
+      for (const m of marks) result.summary.push(`  ${m.n}: ${m.type} ${JSON.stringify(m.label)} @ ${Math.round(m.centre.x)},${Math.round(m.centre.y)}`);
+    }
+
+    // Crop regions are in points, like every other coordinate the CLI accepts.
+    if (cropRect || element || elementSel) {
+      image ||= readPng(outPath);
+      const { elements, scale } = await uiForImage(image);
+      let region = cropRect;
+      if (!region) {
+        const [match] = locateAll(elements, { query: element, selector: elementSel }, { includeDisabled: true, includeStatic: true });
+        if (!match) fail(`No element matches ${element !== undefined ? `--element ${JSON.stringify(element)}` : "--element-selector"}`, { element, elementSelector }, "E_UI_NO_MATCH");
+        const r = rectOf(match.frame);
+        region = { x: r.x - pad, y: r.y - pad, width: r.width + 2 * pad, height: r.height + 2 * pad };
+        const { score: _score, index: _index, ...hit } = match;
+        result.element = hit;
+      }
+      image = cropImage(image, { x: region.x * scale, y: region.y * scale, width: region.width * scale, height: region.height * scale });
+      processed = true;
+      result.crop = region;
+    }
+
+    if (resize) {
+      image ||= readPng(outPath);
+      const size = outputSize(image, resize);
+      if (size.width !== image.width || size.height !== image.height) {
+        image = resizeImage(image, size.width, size.height);
+        processed = true;
+      }
+    }
+
+    if (processed || inline) {
+      const png = processed ? encodePng(image) : fs.readFileSync(outPath);
+      // IHDR is always the first chunk, so the size sits at a fixed offset.
+      result.image = { width: png.readUInt32BE(16), height: png.readUInt32BE(20), bytes: png.length };
+      if (processed && keep) fs.writeFileSync(outPath, png);
+      if (inline) result.base64 = png.toString("base64");
+      result.summary.push(`Image: ${result.image.width}x${result.image.height}, ${result.image.bytes} bytes`);
+    }
+
+    if (!_internalCall) {
+      emit(result, { pretty, text });
+      if (!result.ok) process.exitCode = EXIT_CODES.assertion;
+    }
+    return result;
+  } finally {
+    if (!keep) fs.rmSync(outPath, { force: true });
+  }
+}
+
+async function cmdRecordVideo({ udid, out, stateFile }) {
+  if (!out || typeof out !== "string") fail("Missing --out <file.mp4>");
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  if (backend.name !== "real") fail(`record-video is not supported by the ${backend.name} backend`, {}, "E_UNSUPPORTED");
+  const outPath = path.resolve(out);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+
+  // This is intentionally a foreground process. Stop with Ctrl+C.
+  const child = spawn("xcrun", ["simctl", "io", resolvedUdid, "recordVideo", outPath], {
+    stdio: "inherit",
+    shell: false,
+  });
+  child.on("exit", (code) => process.exit(code ?? 0));
+}
+
+async function cmdOpenUrl({ udid, url, stateFile, pretty, text, _internalCall = false }) {
+  if (!url || typeof url !== "string") fail("Missing --url");
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  await simctl(["openurl", resolvedUdid, url]);
+  const result = { ok: true, udid: resolvedUdid, url, summary: [`Open URL: ${url}`] };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdClipboardGet({ udid, stateFile, pretty, text, _internalCall = false }) {
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const { stdout } = await simctlChecked(["pbpaste", resolvedUdid]);
+  const result = { ok: true, udid: resolvedUdid, text: stdout, summary: ["Clipboard read"] };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+// `input` is the --text value; the `text` key is the output-format flag.
+async function cmdClipboardSet({ udid, input: clipText, stateFile, pretty, text, _internalCall = false }) {
+  if (clipText === undefined) fail("Missing --text");
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  await simctl(["pbcopy", resolvedUdid], { stdin: String(clipText) });
+  const result = { ok: true, udid: resolvedUdid, summary: ["Clipboard set"] };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdAppInstall({ udid, app, stateFile, pretty, text, _internalCall = false }) {
+  if (!app || typeof app !== "string") fail("Missing --app <path/to/App.app>");
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const appPath = path.resolve(app);
+  if (!fs.existsSync(appPath)) fail("App path does not exist", { app: appPath }, "E_FILE_NOT_FOUND");
+
+  await simctl(["install", resolvedUdid, appPath]);
+  const result = { ok: true, udid: resolvedUdid, app: appPath, summary: [`Installed: ${path.basename(appPath)}`] };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdAppUninstall({ udid, bundleId, stateFile, pretty, text, _internalCall = false }) {
+  if (!bundleId || typeof bundleId !== "string") fail("Missing --bundle-id");
+  if (!looksLikeBundleId(bundleId)) fail("Invalid --bundle-id", { bundleId });
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+
+  await simctlChecked(["uninstall", resolvedUdid, bundleId]);
+  const result = { ok: true, udid: resolvedUdid, bundleId, summary: [`Uninstalled: ${bundleId}`] };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdAppLaunch({ udid, bundleId, passthroughArgs = [], stateFile, pretty, text, _internalCall = false }) {
+  if (!bundleId || typeof bundleId !== "string") fail("Missing --bundle-id");
+  if (!looksLikeBundleId(bundleId)) fail("Invalid --bundle-id", { bundleId });
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+
+  const args = ["launch", resolvedUdid, bundleId, ...passthroughArgs];
+  const res = await simctl(args, { allowNonZero: true });
+  const { stdout, stderr, code } = res;
+  const errorCode = code === 0 ? null : commandError(toolLabel("simctl"), args, res).code;
+  const result = {
+    ok: code === 0,
+    udid: resolvedUdid,
+    bundleId,
+    pid: stdout.trim() || null,
+    stderr: stderr.trim() || null,
+    ...(errorCode ? { code: errorCode } : {}),
+    summary: [`Launch: ${bundleId}`, stdout.trim() ? `PID: ${stdout.trim()}` : `No PID returned${errorCode ? ` (${errorCode})` : ""}`],
+  };
+  if (!_internalCall) {
+    emit(result, { pretty, text });
+    if (errorCode) process.exitCode = errorInfo(errorCode).exitCode;
+  }
+  return result;
+}
+
+async function cmdAppTerminate({ udid, bundleId, stateFile, pretty, text, _internalCall = false }) {
+  if (!bundleId || typeof bundleId !== "string") fail("Missing --bundle-id");
+  if (!looksLikeBundleId(bundleId)) fail("Invalid --bundle-id", { bundleId });
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+
+  const res = await simctlChecked(["terminate", resolvedUdid, bundleId], { benign: /found nothing to terminate/ });
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    bundleId,
+    wasRunning: !res.benign,
+    summary: [`Terminate: ${bundleId}${res.benign ? " (was not running)" : ""}`],
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdAppContainer({ udid, bundleId, type, stateFile, pretty, text, _internalCall = false }) {
+  if (!bundleId || typeof bundleId !== "string") fail("Missing --bundle-id");
+  if (!looksLikeBundleId(bundleId)) fail("Invalid --bundle-id", { bundleId });
+
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const t = type ? String(type) : "data";
+  if (!["data", "app"].includes(t)) fail("Invalid --type (expected data|app)", { type });
+
+  const { stdout } = await simctl(["get_app_container", resolvedUdid, bundleId, t]);
+  const containerPath = stdout.trim();
+  const result = { ok: true, udid: resolvedUdid, bundleId, type: t, path: containerPath };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdPrivacy({ udid, action, bundleId, service, stateFile, pretty, text, _internalCall = false }) {
+  if (!action) fail("Missing privacy subcommand (grant|revoke|reset)");
+  if (!bundleId || typeof bundleId !== "string") fail("Missing --bundle-id");
+  if (!looksLikeBundleId(bundleId)) fail("Invalid --bundle-id", { bundleId });
+  if (!service || typeof service !== "string") fail("Missing --service <svc[,svc...]>");
+
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const svcs = service.split(",").map((s) => s.trim()).filter(Boolean);
+  if (!svcs.length) fail("No services parsed from --service", { service });
+
+  // One simctl call per service; a failure is recorded against that service and the rest still run.
+  const results = [];
+  for (const svc of svcs) {
+    try {
+      await simctlChecked(["privacy", resolvedUdid, action, svc, bundleId]);
+      results.push({ service: svc, action, ok: true });
+    } catch (e) {
+      if (!(e instanceof CommandError)) throw e;
+      results.push({ service: svc, action, ok: false, code: e.code, error: e.stderr.trim() || e.message });
+    }
+  }
+
+  const failed = results.filter((r) => !r.ok);
+  const result = {
+    ok: failed.length === 0,
+    udid: resolvedUdid,
+    bundleId,
+    action,
+    services: svcs,
+    results,
+    ...(failed.length ? { code: failed[0].code } : {}),
+    summary: results.map((r) => `${r.ok ? "✓" : "✗"} ${action} ${r.service}${r.ok ? "" : ` — ${r.code}: ${r.error}`}`),
+  };
+  if (!_internalCall) {
+    emit(result, { pretty, text });
+    if (failed.length) process.exitCode = errorInfo(failed[0].code).exitCode;
+  }
+  return result;
+}
+
+async function cmdPush({ udid, bundleId, payload, stateFile, pretty, text, _internalCall = false }) {
+  if (!bundleId || typeof bundleId !== "string") fail("Missing --bundle-id");
+  if (!looksLikeBundleId(bundleId)) fail("Invalid --bundle-id", { bundleId });
+  if (!payload || typeof payload !== "string") fail("Missing --payload <json-string>");
+
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+
+  // Validate JSON
   let payloadObj;
   try {
     payloadObj = JSON.parse(payload);
   } catch {
-    exitWithError("--payload is not valid JSON", { payload });
+    fail("--payload is not valid JSON", { payload });
+  }
+  if (typeof payloadObj !== "object" || payloadObj === null) fail("--payload must be a JSON object", { payload });
+
+  const tmpPath = path.join(os.tmpdir(), `sim-push-${nowIsoCompact()}.apns.json`);
+  fs.writeFileSync(tmpPath, JSON.stringify(payloadObj), "utf8");
+
+  await simctlChecked(["push", resolvedUdid, bundleId, tmpPath]);
+
+  const result = { ok: true, udid: resolvedUdid, bundleId, tmp: tmpPath, summary: ["Push sent"] };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdLogsShow({ udid, last, predicate, stateFile, pretty, text, _internalCall = false }) {
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const args = ["spawn", resolvedUdid, "log", "show", "--style", "syslog", "--last", String(last || "5m")];
+  if (predicate) {
+    args.push("--predicate", String(predicate));
+  }
+  const { stdout, stderr, code } = await simctl(args, { allowNonZero: true });
+  const result = { ok: code === 0, udid: resolvedUdid, last: String(last || "5m"), predicate: predicate || null, stdout, stderr };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+// ---- idb-backed UI automation ----
+
+function ensureIdb() {
+  if (!backend.hasIdb()) {
+    fail("idb not found. Install for UI automation: `brew install idb-companion` + `python3 -m pip install fb-idb`", { missing: "idb" }, "E_NO_IDB");
+  }
+}
+
+async function idbDescribeAll({ udid }) {
+  ensureIdb();
+  const resolvedUdid = udid;
+  // idb ui describe-all already prints JSON array
+  const { json } = await runJson(idb, ["ui", "describe-all", "--udid", resolvedUdid, "--json"]);
+  // Some idb versions print to stdout even without --json; keep tolerant.
+  if (!Array.isArray(json)) {
+    // If json parsing failed above, we'd have thrown. If it parsed but isn't array, we still accept.
+    return Array.isArray(json) ? json : [];
+  }
+  return json;
+}
+
+function elementLabel(el) {
+  const parts = [
+    el?.AXLabel,
+    el?.title,
+    el?.AXValue,
+    el?.role_description,
+    el?.type,
+  ].filter((x) => typeof x === "string" && x.trim().length);
+  return parts[0] || "";
+}
+
+function isInteractive(el) {
+  if (!el || el.enabled === false) return false;
+  const t = normalise(el.type);
+  const role = normalise(el.role_description || el.role);
+  const label = elementLabel(el);
+  if (!label) return false;
+
+  const interactiveTypes = [
+    "button",
+    "text field",
+    "secure text field",
+    "search field",
+    "switch",
+    "slider",
+    "link",
+    "cell",
+    "tab bar button",
+    "checkbox",
+    "radio button",
+  ];
+
+  const typeHints = [
+    "button",
+    "textfield",
+    "securetextfield",
+    "searchfield",
+    "switch",
+    "slider",
+    "link",
+    "cell",
+    "tabbarbutton",
+    "checkbox",
+    "radiobutton",
+  ];
+
+  return interactiveTypes.some((x) => role.includes(x)) || typeHints.some((x) => t.includes(x));
+}
+
+function scoreMatch(query, candidate) {
+  const q = normalise(query);
+  const c = normalise(candidate);
+  if (!q || !c) return 0;
+  if (q === c) return 100;
+  if (c.startsWith(q)) return 90;
+  if (c.includes(q)) return 80;
+  if (q.includes(c)) return 60;
+  // cheap token overlap
+  const qt = new Set(q.split(" ").filter(Boolean));
+  const ct = new Set(c.split(" ").filter(Boolean));
+  let inter = 0;
+  for (const t of qt) if (ct.has(t)) inter++;
+  const score = Math.round((inter / Math.max(1, qt.size)) * 50);
+  return score; // 0..50
+}
+
+function centreOfFrame(frame) {
+  const x = toNumber(frame?.x, null);
+  const y = toNumber(frame?.y, null);
+  const w = toNumber(frame?.width, null);
+  const h = toNumber(frame?.height, null);
+  if (x === null || y === null || w === null || h === null) return null;
+  return { x: x + w / 2, y: y + h / 2 };
+}
+
+function summariseUi(elements, limit = 12) {
+  const total = elements.length;
+  const interactive = elements.filter(isInteractive);
+  const countsByType = {};
+  const top = [];
+
+  for (const el of interactive) {
+    const t = String(el?.type || el?.role_description || "unknown");
+    countsByType[t] = (countsByType[t] || 0) + 1;
+  }
+
+  // pick top by type then label
+  for (const el of interactive) {
+    const label = elementLabel(el);
+    if (!label) continue;
+    top.push({ type: el.type || el.role_description || "unknown", label });
+    if (top.length >= limit) break;
+  }
+
+  const summary = [
+    `UI elements: ${total}`,
+    `Interactive: ${interactive.length}`,
+    ...top.map((x) => `- ${x.type}: ${x.label}`),
+  ];
+
+  return { total, interactiveCount: interactive.length, countsByType, top, summary };
+}
+
+async function cmdUiSummary({ udid, limit, stateFile, pretty, text, _internalCall = false }) {
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const elements = await idbDescribeAll({ udid: resolvedUdid });
+  const lim = Math.max(1, Math.min(200, Number(limit || 12)));
+  const s = summariseUi(elements, lim);
+  const result = { ok: true, udid: resolvedUdid, ...s };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdUiTree({ udid, stateFile, pretty, _internalCall = false }) {
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const elements = await idbDescribeAll({ udid: resolvedUdid });
+  const result = { ok: true, udid: resolvedUdid, elements };
+  if (!_internalCall) emit(result, { pretty, text: false });
+  return result;
+}
+
+const MIN_MATCH_SCORE = 50;
+
+function describeElement(el) {
+  return {
+    label: elementLabel(el),
+    type: el?.type || el?.role_description || "unknown",
+    value: typeof el?.AXValue === "string" ? el.AXValue : null,
+    enabled: el?.enabled !== false,
+    frame: el?.frame || null,
+    centre: centreOfFrame(el?.frame) || null,
+  };
+}
+
+// Shared by find/tap/wait/assert so they all agree on what "matches" means.
+// By default only enabled interactive elements are candidates (what `ui tap` can act on);
+// `ui wait` and assertions widen that to disabled controls and static text.
+function matchElements(elements, query, { includeDisabled = false, includeStatic = false } = {}) {
+  const matches = [];
+  for (const el of elements) {
+    const candidate = includeStatic
+      ? !!elementLabel(el) && (includeDisabled || el?.enabled !== false)
+      : isInteractive(includeDisabled ? { ...el, enabled: true } : el);
+    if (!candidate) continue;
+    const label = elementLabel(el);
+    const score = Math.max(
+      scoreMatch(query, label),
+      scoreMatch(query, el?.AXLabel),
+      scoreMatch(query, el?.title),
+      scoreMatch(query, el?.AXValue),
+    );
+    if (score <= 0) continue;
+    matches.push({ score, ...describeElement(el) });
+  }
+  // Stable sort: equal scores keep tree order.
+  matches.sort((a, b) => b.score - a.score);
+  return matches;
+}
+
+function confidentMatches(elements, query, opts = {}) {
+  return matchElements(elements, query, opts).filter((m) => m.centre && m.score >= MIN_MATCH_SCORE);
+}
+
+function bestTapTarget(elements, query) {
+  return confidentMatches(elements, query)[0] || null;
+}
+
+async function cmdUiFind({ udid, query, selector, limit, stateFile, pretty, text, _internalCall = false }) {
+  const sel = selectorFrom(selector);
+  if (!sel && (!query || typeof query !== "string")) fail("Missing --query (or --selector)");
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const elements = await idbDescribeAll({ udid: resolvedUdid });
+
+  const matches = sel ? selectElements(elements, sel) : matchElements(elements, query);
+  const lim = Math.max(1, Math.min(200, Number(limit || 20)));
+  const trimmed = matches.slice(0, lim);
+
+  const summary = [
+    `Matches: ${matches.length}`,
+    ...trimmed.slice(0, Math.min(10, trimmed.length)).map((m) => `${sel ? `[${m.index}]` : m.score} — ${m.type}: ${m.label}`),
+  ];
+
+  const result = { ok: true, udid: resolvedUdid, ...(sel ? { selector } : { query }), matches: trimmed, summary };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+// Resolves a pointer target from explicit coordinates, an outline --ref, a --selector match or
+// the best --query match. Refuses to guess when several elements match equally well.
+async function resolvePointTarget(udid, { query, selector, ref, x, y }, {
+  queryFlag = "--query",
+  selectorFlag = "--selector",
+  elements = null,
+  stateFile = STATE_FILE_DEFAULT,
+} = {}) {
+  if (ref !== undefined) return await resolveRefTarget(udid, ref, { stateFile, elements });
+
+  if (x !== undefined && y !== undefined) {
+    const px = toNumber(x);
+    const py = toNumber(y);
+    if (px === undefined || py === undefined) fail("Invalid --x/--y (expected numbers)", { x, y });
+    return { point: { x: px, y: py }, target: { kind: "coordinate", x: px, y: py } };
+  }
+
+  if (selector) {
+    const tree = elements || await idbDescribeAll({ udid });
+    const matches = selectElements(tree, selector);
+    if (!matches.length) fail(`No UI element matched ${selectorFlag}. Try \`ui find --selector ...\` or \`ui tree\`.`, {}, "E_UI_NO_MATCH");
+    if (matches.length > 1) {
+      fail(`Ambiguous ${selectorFlag}: ${matches.length} elements matched. Add index=<n> or narrow it.`, { candidates: candidateList(matches) }, "E_UI_AMBIGUOUS");
+    }
+    const m = matches[0];
+    return { point: m.centre, target: { kind: "selector", label: m.label, type: m.type, centre: m.centre } };
+  }
+
+  if (!query || typeof query !== "string") fail(`Missing ${queryFlag} (or provide ${selectorFlag}, --ref, or --x and --y)`);
+  const tree = elements || await idbDescribeAll({ udid });
+  const matches = confidentMatches(tree, query);
+  const best = matches[0];
+
+  if (!best) {
+    const bestScore = matchElements(tree, query).find((m) => m.centre)?.score || 0;
+    fail(`No sufficiently confident UI match for ${queryFlag}. Try \`ui summary\` or \`ui tree\`.`, { query, bestScore }, "E_UI_NO_MATCH");
+  }
+  const tied = matches.filter((m) => m.score === best.score);
+  if (tied.length > 1) {
+    fail(`Ambiguous ${queryFlag}: ${tied.length} elements match equally well. Use ${selectorFlag} (e.g. type=... index=<n>) or a longer query.`, {
+      query,
+      candidates: candidateList(tied),
+    }, "E_UI_AMBIGUOUS");
+  }
+
+  return { point: best.centre, target: { score: best.score, label: best.label, type: best.type, centre: best.centre } };
+}
+
+function describeTarget(target) {
+  if (target.kind === "coordinate") return `${target.x},${target.y}`;
+  if (target.kind === "ref") return `${target.ref} (${target.label})`;
+  return target.label;
+}
+
+async function cmdUiTap({ udid, query, selector, ref, x, y, stateFile, pretty, text, _internalCall = false }) {
+  const sel = selectorFrom(selector);
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  ensureIdb();
+
+  const { point: tapPoint, target } = await resolvePointTarget(resolvedUdid, { query, selector: sel, ref, x, y }, { stateFile });
+
+  await idb(["ui", "tap", String(tapPoint.x), String(tapPoint.y), "--udid", resolvedUdid, "--json"]);
+
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    tapped: target,
+    summary: [`Tap: ${describeTarget(target)}`],
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdUiType({ udid, input: inputText, ref, stateFile, pretty, text, _internalCall = false }) {
+  if (inputText === undefined) fail("Missing --text");
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  ensureIdb();
+
+  // With --ref, focus the field first so the text lands in the intended element.
+  let focused = null;
+  if (ref !== undefined) {
+    const { point, target } = await resolveRefTarget(resolvedUdid, ref, { stateFile });
+    await idb(["ui", "tap", String(point.x), String(point.y), "--udid", resolvedUdid, "--json"]);
+    focused = target;
+  }
+
+  await idb(["text", String(inputText), "--udid", resolvedUdid, "--json"]);
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    ...(focused ? { focused } : {}),
+    summary: [focused ? `Typed text into ${describeTarget(focused)}` : "Typed text"],
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdUiButton({ udid, name, stateFile, pretty, text, _internalCall = false }) {
+  if (!name || typeof name !== "string") fail("Missing --name HOME|LOCK|SIRI|SIDE_BUTTON|APPLE_PAY");
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  ensureIdb();
+
+  const n = String(name).toUpperCase();
+  await idb(["ui", "button", n, "--udid", resolvedUdid, "--json"]);
+  const result = { ok: true, udid: resolvedUdid, button: n, summary: [`Button: ${n}`] };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdUiWait({ udid, query, selector, gone, stable, timeout, interval, stateFile, pretty, text, _internalCall = false }) {
+  const waitGone = toBool(gone, false);
+  const waitStable = toBool(stable, false);
+  const sel = selectorFrom(selector);
+  if (!waitStable && !sel && (!query || typeof query !== "string")) fail("Missing --query or --selector (or use --stable)");
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  ensureIdb();
+
+  const timeoutMs = Math.max(0, (toNumber(timeout, 10) ?? 10) * 1000);
+  const intervalMs = Math.max(50, (toNumber(interval, 0.5) ?? 0.5) * 1000);
+  const q = sel ? null : typeof query === "string" ? query : null;
+  const hasTarget = !!(sel || q);
+
+  // Satisfied when the query condition holds (if any) and, with --stable, the tree
+  // is identical to the previous poll (i.e. animations/transitions have settled).
+  const start = Date.now();
+  let polls = 0;
+  let prevKey = null;
+  let elements = [];
+  let match = null;
+  for (;;) {
+    elements = await idbDescribeAll({ udid: resolvedUdid });
+    polls++;
+    // Presence is what matters here, so static text and disabled controls count too.
+    match = hasTarget ? locateAll(elements, { query: q, selector: sel }, { includeDisabled: true, includeStatic: true })[0] || null : null;
+    const key = waitStable ? JSON.stringify(elements) : null;
+    const queryOk = !hasTarget || (waitGone ? !match : !!match);
+    const stableOk = !waitStable || key === prevKey;
+    if (queryOk && stableOk) break;
+    prevKey = key;
+
+    if (Date.now() - start >= timeoutMs) {
+      fail(`Timed out waiting for ${hasTarget ? `${sel ? "--selector" : "--query"} to ${waitGone ? "disappear" : "appear"}` : "a stable UI tree"}.`, {
+        query: q,
+        selector: sel ? selector : null,
+        gone: waitGone,
+        stable: waitStable,
+        timeoutMs,
+        polls,
+        lastSeen: summariseUi(elements, 8).summary,
+      }, "E_TIMEOUT");
+    }
+    await sleep(intervalMs);
+  }
+
+  const ms = Date.now() - start;
+  const element = match
+    ? { score: match.score, label: match.label, type: match.type, frame: match.frame, centre: match.centre }
+    : null;
+  const what = hasTarget ? `"${sel ? selector : q}" ${waitGone ? "gone" : "found"}` : "UI stable";
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    query: q,
+    selector: sel ? selector : null,
+    gone: waitGone,
+    stable: waitStable,
+    element,
+    polls,
+    ms,
+    summary: [`Wait: ${what} after ${ms}ms (${polls} polls)`, ...(element ? [`- ${element.type}: ${element.label}`] : [])],
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdUiAssert({
+  udid,
+  query,
+  selector,
+  exists,
+  notExists,
+  value,
+  valueContains,
+  enabled,
+  count,
+  minCount,
+  maxCount,
+  includeStatic,
+  stateFile,
+  pretty,
+  text,
+  _internalCall = false,
+}) {
+  const sel = selectorFrom(selector);
+  if (!sel && (!query || typeof query !== "string")) fail("Missing --query (or --selector)");
+  if (value === true) fail("Missing value for --value");
+  if (valueContains === true) fail("Missing value for --value-contains");
+  const counts = {};
+  for (const [flag, v] of [["count", count], ["min-count", minCount], ["max-count", maxCount]]) {
+    if (v === undefined) continue;
+    const num = toNumber(v);
+    if (num === undefined || num < 0 || !Number.isInteger(num)) fail(`Invalid --${flag} (expected a non-negative integer)`, { [flag]: v });
+    counts[flag] = num;
+  }
+
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const elements = await idbDescribeAll({ udid: resolvedUdid });
+  // Disabled controls are still "on screen", so they count for assertions even though `ui tap` skips them.
+  // Selectors already see every element (filter with enabled=/interactive=).
+  const matches = locateAll(elements, { query, selector: sel }, { includeDisabled: true, includeStatic: toBool(includeStatic, false) });
+  const target = matches[0] || null;
+
+  const checks = [];
+  const check = (assertion, expected, actual, ok) => checks.push({ assertion, expected, actual, ok });
+
+  const hasSpecificCheck = value !== undefined || valueContains !== undefined || enabled !== undefined || Object.keys(counts).length > 0;
+  if (toBool(notExists, false)) check("not-exists", false, matches.length > 0, matches.length === 0);
+  else if (toBool(exists, !hasSpecificCheck)) check("exists", true, matches.length > 0, matches.length > 0);
+
+  if (value !== undefined) check("value", String(value), target?.value ?? null, target?.value === String(value));
+  if (valueContains !== undefined) {
+    check("value-contains", String(valueContains), target?.value ?? null, !!target && String(target.value ?? "").includes(String(valueContains)));
+  }
+  if (enabled !== undefined) {
+    const want = toBool(enabled, true);
+    check("enabled", want, target ? target.enabled : null, !!target && target.enabled === want);
+  }
+  if (counts.count !== undefined) check("count", counts.count, matches.length, matches.length === counts.count);
+  if (counts["min-count"] !== undefined) check("min-count", counts["min-count"], matches.length, matches.length >= counts["min-count"]);
+  if (counts["max-count"] !== undefined) check("max-count", counts["max-count"], matches.length, matches.length <= counts["max-count"]);
+
+  const failed = checks.find((c) => !c.ok) || null;
+  const ok = !failed;
+  const fmt = (v) => JSON.stringify(v);
+
+  const result = {
+    ok,
+    udid: resolvedUdid,
+    ...(sel ? { selector } : { query }),
+    ...(failed ? { assertion: failed.assertion, expected: failed.expected, actual: failed.actual } : {}),
+    matchCount: matches.length,
+    matched: target ? { label: target.label, type: target.type, value: target.value, enabled: target.enabled, centre: target.centre } : null,
+    checks,
+    summary: [
+      ok ? `Assert: passed (${checks.length} check${checks.length === 1 ? "" : "s"})` : `Assert: failed — ${failed.assertion}: expected ${fmt(failed.expected)}, got ${fmt(failed.actual)}`,
+      ...checks.map((c) => `${c.ok ? "✓" : "✗"} ${c.assertion}: expected ${fmt(c.expected)}, got ${fmt(c.actual)}`),
+    ],
+  };
+  if (!_internalCall) {
+    emit(result, { pretty, text });
+    if (!ok) process.exitCode = EXIT_CODES.assertion;
+  }
+  return result;
+}
+
+// ---- selectors ----
+//
+//   type=Button label="Delete" index=1
+//   label~=/^Sign/i   value*="@"   enabled=true
+//   type=Switch within(type=Cell label~"Wi-Fi")   type=TextField right-of(label="Email")
+//
+// Operators: = != *= ^= $= (case/whitespace-insensitive), ~= / ~ (regex when /.../, else the
+// same fuzzy scoring as --query). Relations compare element frames. index=<n> picks the nth
+// match (0-based); directional relations rank nearest-first.
+
+const SELECTOR_ATTRS = {
+  type: (el) => el?.type || el?.role_description,
+  label: (el) => el?.AXLabel ?? el?.title,
+  value: (el) => el?.AXValue,
+  title: (el) => el?.title,
+  id: (el) => el?.AXUniqueId ?? el?.identifier,
+  role: (el) => el?.role ?? el?.role_description,
+  text: (el) => elementLabel(el),
+  enabled: (el) => String(el?.enabled !== false),
+  interactive: (el) => String(isInteractive(el)),
+};
+const SELECTOR_RELATIONS = ["within", "right-of", "left-of", "above", "below"];
+const SELECTOR_OPS = ["!=", "*=", "^=", "$=", "~=", "=", "~"];
+
+function parseSelector(input, flag = "--selector") {
+  const src = String(input);
+  let pos = 0;
+  const err = (reason) => fail(`Invalid ${flag}: ${reason}`, { selector: src, at: pos });
+  const skipWs = () => {
+    while (pos < src.length && /\s/.test(src[pos])) pos++;
+  };
+
+  const parseValue = () => {
+    const ch = src[pos];
+    if (ch === "\"" || ch === "'") {
+      let out = "";
+      pos++;
+      while (pos < src.length && src[pos] !== ch) {
+        if (src[pos] === "\\" && pos + 1 < src.length) pos++;
+        out += src[pos++];
+      }
+      if (pos >= src.length) err("unterminated string");
+      pos++;
+      return { text: out };
+    }
+    if (ch === "/") {
+      let body = "";
+      pos++;
+      while (pos < src.length && src[pos] !== "/") {
+        if (src[pos] === "\\" && pos + 1 < src.length) body += src[pos++];
+        body += src[pos++];
+      }
+      if (pos >= src.length) err("unterminated regex");
+      pos++;
+      const flags = /^[a-z]*/.exec(src.slice(pos))[0];
+      pos += flags.length;
+      try {
+        // Drop g/y: they make RegExp#test stateful across elements.
+        return { regex: new RegExp(body, flags.replace(/[gy]/g, "")) };
+      } catch (e) {
+        err(`bad regex (${e.message})`);
+      }
+    }
+    const m = /^[^\s()]+/.exec(src.slice(pos));
+    if (!m) err("expected a value");
+    pos += m[0].length;
+    return { text: m[0] };
+  };
+
+  const parseList = (depth) => {
+    const sel = { filters: [], relations: [], index: null };
+    for (;;) {
+      skipWs();
+      if (pos >= src.length) {
+        if (depth > 0) err("missing )");
+        break;
+      }
+      if (src[pos] === ")") {
+        if (depth === 0) err("unexpected )");
+        pos++;
+        break;
+      }
+      const name = /^[A-Za-z][\w-]*/.exec(src.slice(pos))?.[0];
+      if (!name) err("expected an attribute or relation");
+      pos += name.length;
+      const key = name.toLowerCase();
+
+      if (src[pos] === "(") {
+        if (!SELECTOR_RELATIONS.includes(key)) err(`unknown relation ${name} (expected ${SELECTOR_RELATIONS.join("|")})`);
+        pos++;
+        sel.relations.push({ kind: key, selector: parseList(depth + 1) });
+        continue;
+      }
+
+      const op = SELECTOR_OPS.find((o) => src.startsWith(o, pos));
+      if (!op) err(`expected an operator after ${name}`);
+      pos += op.length;
+      const value = parseValue();
+
+      if (key === "index") {
+        const n = Number(value.text);
+        if (op !== "=" || !Number.isInteger(n) || n < 0) err("index must be index=<non-negative integer>");
+        sel.index = n;
+      } else {
+        if (!SELECTOR_ATTRS[key]) err(`unknown attribute ${name} (expected ${Object.keys(SELECTOR_ATTRS).join("|")}|index)`);
+        if (value.regex && op !== "~=" && op !== "~") err("regex values need ~=");
+        sel.filters.push({ attr: key, op, ...value });
+      }
+    }
+    if (!sel.filters.length && !sel.relations.length && sel.index === null) err("empty selector");
+    return sel;
+  };
+
+  return parseList(0);
+}
+
+// Parses an optional selector flag; null when absent.
+function selectorFrom(v, flag = "--selector") {
+  if (v === undefined) return null;
+  if (typeof v !== "string" || !v.trim()) fail(`Missing value for ${flag}`);
+  return parseSelector(v, flag);
+}
+
+function filterMatches(el, f) {
+  const raw = String(SELECTOR_ATTRS[f.attr](el) ?? "");
+  if (f.regex) return f.regex.test(raw);
+  const a = normalise(raw);
+  const b = normalise(f.text);
+  switch (f.op) {
+    case "=": return a === b;
+    case "!=": return a !== b;
+    case "*=": return a.includes(b);
+    case "^=": return a.startsWith(b);
+    case "$=": return a.endsWith(b);
+    default: return scoreMatch(f.text, raw) >= MIN_MATCH_SCORE;
+  }
+}
+
+function rectOf(frame) {
+  const c = centreOfFrame(frame);
+  if (!c) return null;
+  return { x: Number(frame.x), y: Number(frame.y), width: Number(frame.width), height: Number(frame.height), cx: c.x, cy: c.y };
+}
+
+// Distance from anchor when `r` satisfies the relation, else null.
+function relationDistance(kind, r, a) {
+  const eps = 0.5;
+  const overlapX = Math.min(r.x + r.width, a.x + a.width) - Math.max(r.x, a.x) > 0;
+  const overlapY = Math.min(r.y + r.height, a.y + a.height) - Math.max(r.y, a.y) > 0;
+  let ok = false;
+  if (kind === "within") {
+    ok = r.x >= a.x - eps && r.y >= a.y - eps && r.x + r.width <= a.x + a.width + eps && r.y + r.height <= a.y + a.height + eps;
+  } else if (kind === "right-of") ok = overlapY && r.x >= a.x + a.width - eps;
+  else if (kind === "left-of") ok = overlapY && r.x + r.width <= a.x + eps;
+  else if (kind === "below") ok = overlapX && r.y >= a.y + a.height - eps;
+  else if (kind === "above") ok = overlapX && r.y + r.height <= a.y + eps;
+  return ok ? Math.hypot(r.cx - a.cx, r.cy - a.cy) : null;
+}
+
+function selectRanked(elements, sel) {
+  const anchorsByRelation = sel.relations.map((rel) => selectRanked(elements, rel.selector));
+  const ranked = [];
+  for (const el of elements) {
+    const rect = rectOf(el?.frame);
+    if (!rect) continue;
+    if (!sel.filters.every((f) => filterMatches(el, f))) continue;
+
+    let dist = 0;
+    let ok = true;
+    sel.relations.forEach((rel, i) => {
+      if (!ok) return;
+      let best = null;
+      for (const anchor of anchorsByRelation[i]) {
+        if (anchor.el === el) continue;
+        const d = relationDistance(rel.kind, rect, anchor.rect);
+        if (d !== null && (best === null || d < best)) best = d;
+      }
+      if (best === null) ok = false;
+      else if (rel.kind !== "within") dist = Math.max(dist, best);
+    });
+    if (ok) ranked.push({ el, rect, dist });
+  }
+  ranked.sort((a, b) => a.dist - b.dist);
+  if (sel.index !== null) return ranked[sel.index] ? [ranked[sel.index]] : [];
+  return ranked;
+}
+
+function selectElements(elements, sel) {
+  return selectRanked(elements, sel).map((r, index) => ({ index, ...describeElement(r.el) }));
+}
+
+// Presence-style lookup (wait/assert/scroll-to): every match in rank order.
+function locateAll(elements, { query, selector }, opts = {}) {
+  return selector ? selectElements(elements, selector) : confidentMatches(elements, query, opts);
+}
+
+function candidateList(matches) {
+  return matches.slice(0, 10).map((m) => ({
+    ...(m.index !== undefined ? { index: m.index } : { score: m.score }),
+    label: m.label,
+    type: m.type,
+    value: m.value,
+    centre: m.centre,
+  }));
+}
+
+// ---- outline + element refs ----
+
+// Identity of an element independent of position/value, so a ref survives typing into a field.
+function elementFingerprint(el) {
+  const key = [el?.type, el?.role, el?.AXLabel, el?.title, el?.AXUniqueId].map((x) => String(x ?? "")).join("\u0000");
+  return crypto.createHash("sha1").update(key).digest("hex").slice(0, 12);
+}
+
+// Labelled or actionable elements; bare layout containers are noise for outlines and diffs.
+function isInformative(el) {
+  return isInteractive(el) || [el?.AXLabel, el?.title, el?.AXValue].some((x) => typeof x === "string" && x.trim());
+}
+
+// idb's describe-all is flat; rebuild containment by nesting each element in the smallest
+// frame that contains it (ties on identical frames keep tree order).
+function buildOutline(elements) {
+  const nodes = [];
+  elements.forEach((el, order) => {
+    const rect = rectOf(el?.frame);
+    if (rect) nodes.push({ el, rect, order, area: rect.width * rect.height, children: [] });
+  });
+  const byArea = [...nodes].sort((a, b) => b.area - a.area || a.order - b.order);
+  const roots = [];
+  byArea.forEach((node, i) => {
+    let parent = null;
+    for (let j = i - 1; j >= 0; j--) {
+      if (relationDistance("within", node.rect, byArea[j].rect) !== null) {
+        parent = byArea[j];
+        break;
+      }
+    }
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const readingOrder = (a, b) => a.rect.y - b.rect.y || a.rect.x - b.rect.x || a.order - b.order;
+  const lines = [];
+  const refs = {};
+  let n = 0;
+  const visit = (node, depth) => {
+    const el = node.el;
+    const interactive = isInteractive(el);
+    // Unlabelled, non-interactive containers only add indentation; fold them away.
+    let childDepth = depth;
+    if (isInformative(el)) {
+      const d = describeElement(el);
+      let line = "  ".repeat(depth);
+      if (interactive) {
+        const ref = `e${++n}`;
+        refs[ref] = { fingerprint: elementFingerprint(el), type: d.type, label: d.label, frame: el.frame };
+        line += `[${ref}] `;
+      }
+      line += `${d.type} ${JSON.stringify(d.label)}`;
+      if (d.value && d.value !== d.label) line += ` = ${JSON.stringify(d.value)}`;
+      if (!d.enabled) line += " (disabled)";
+      lines.push(line);
+      childDepth = depth + 1;
+    }
+    for (const c of node.children.sort(readingOrder)) visit(c, childDepth);
+  };
+  for (const r of roots.sort(readingOrder)) visit(r, 0);
+  return { lines, refs };
+}
+
+// Refs are kept per UDID, so a fanned-out `ui outline` leaves every device's refs usable. Older
+// state files hold a single { udid, capturedAt, elements } entry.
+function savedRefs(state) {
+  const { refs } = state;
+  if (!refs) return {};
+  return typeof refs.udid === "string" ? { [refs.udid]: { capturedAt: refs.capturedAt, elements: refs.elements } } : refs;
+}
+
+async function saveRefs(stateFile, udid, refs) {
+  await updateState(stateFile, (state) => {
+    state.refs = { ...savedRefs(state), [udid]: { capturedAt: new Date().toISOString(), elements: refs } };
+  });
+}
+
+async function cmdUiOutline({ udid, stateFile, pretty, text, _internalCall = false }) {
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const elements = await idbDescribeAll({ udid: resolvedUdid });
+  const { lines, refs } = buildOutline(elements);
+  await saveRefs(stateFile, resolvedUdid, refs);
+
+  const refCount = Object.keys(refs).length;
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    refCount,
+    stateFile,
+    outline: lines,
+    summary: [`Outline: ${lines.length} lines, ${refCount} refs (use --ref eN)`, ...lines],
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+// Re-locates a ref from the last `ui outline` (or `screenshot --annotate`) in a fresh tree by
+// fingerprint, preferring the element at the recorded frame. Fails instead of guessing if the
+// screen has changed. A bare number is the annotation marker for the same ref.
+async function resolveRefTarget(udid, ref, { stateFile = STATE_FILE_DEFAULT, elements = null } = {}) {
+  if (!/^e?\d+$/.test(String(ref))) fail("Invalid --ref (expected e.g. e12 or 12)", { ref });
+  if (!String(ref).startsWith("e")) ref = `e${ref}`;
+  const all = savedRefs(loadState(stateFile));
+  const saved = all[udid];
+  if (!saved && Object.keys(all).length) {
+    fail(`--ref ${ref} was captured on a different simulator. Run \`ui outline\` again.`, { ref, capturedOn: Object.keys(all), udid }, "E_STALE_REF");
+  }
+  const entry = saved?.elements?.[ref];
+  if (!entry) fail(`Unknown --ref ${ref}. Run \`ui outline\` first.`, { ref, stateFile }, "E_STALE_REF");
+
+  const tree = elements || await idbDescribeAll({ udid });
+  const sameFrame = (f) => ["x", "y", "width", "height"].every((k) => Math.abs(Number(f?.[k]) - Number(entry.frame?.[k])) < 0.5);
+  const same = tree.filter((el) => centreOfFrame(el?.frame) && elementFingerprint(el) === entry.fingerprint);
+  const el = same.find((x) => sameFrame(x.frame)) || (same.length === 1 ? same[0] : null);
+  if (!el) {
+    const why = same.length ? `now matches ${same.length} elements at other positions` : "is no longer on screen";
+    fail(`Screen changed: ${ref} (${entry.type} ${JSON.stringify(entry.label)}) ${why}. Run \`ui outline\` again.`, {
+      ref,
+      expected: { type: entry.type, label: entry.label, frame: entry.frame },
+      capturedAt: saved.capturedAt,
+    }, "E_STALE_REF");
+  }
+
+  const d = describeElement(el);
+  return { point: d.centre, target: { kind: "ref", ref, label: d.label, type: d.type, centre: d.centre, moved: !sameFrame(el.frame) } };
+}
+
+// ---- snapshots + diff ----
+
+function snapshotDir(stateFile) {
+  return path.join(path.dirname(path.resolve(stateFile)), ".ios-sim-snapshots");
+}
+
+function snapshotPath(stateFile, name) {
+  if (!/^[\w.-]+$/.test(String(name))) fail("Invalid snapshot name (letters, digits, . _ - only)", { name });
+  return path.join(snapshotDir(stateFile), `${name}.json`);
+}
+
+function normaliseElements(elements) {
+  const out = [];
+  for (const el of elements) {
+    const rect = rectOf(el?.frame);
+    if (!rect || !isInformative(el)) continue;
+    const d = describeElement(el);
+    out.push({
+      key: elementFingerprint(el),
+      type: d.type,
+      label: d.label,
+      value: d.value,
+      enabled: d.enabled,
+      frame: [rect.x, rect.y, rect.width, rect.height].map((n) => Math.round(n)),
+    });
+  }
+  return out;
+}
+
+// Pure: compares two normaliseElements() lists. Elements are paired by identity (fingerprint,
+// nearest frame first for duplicates), then by type + identical frame so an in-place label
+// change is reported as a change rather than a remove/add.
+function diffUi(before, after) {
+  const left = before.map((e) => ({ e }));
+  const pairs = [];
+  const added = [];
+  // Removes and returns the closest not-yet-paired `before` element accepted by `match`.
+  const take = (match, frame) => {
+    let best = -1;
+    let bestDist = Infinity;
+    left.forEach((c, idx) => {
+      if (!c || !match(c.e)) return;
+      const d = Math.hypot(c.e.frame[0] - frame[0], c.e.frame[1] - frame[1]);
+      if (d < bestDist) {
+        best = idx;
+        bestDist = d;
+      }
+    });
+    if (best === -1) return null;
+    const hit = left[best].e;
+    left[best] = null;
+    return hit;
+  };
+
+  const pending = [];
+  for (const a of after) {
+    const b = take((e) => e.key === a.key, a.frame);
+    if (b) pairs.push([b, a]);
+    else pending.push(a);
+  }
+  for (const a of pending) {
+    const b = take((e) => e.type === a.type && e.frame.join() === a.frame.join(), a.frame);
+    if (b) pairs.push([b, a]);
+    else added.push(a);
+  }
+  const removed = left.filter(Boolean).map((c) => c.e);
+
+  const changed = [];
+  for (const [b, a] of pairs) {
+    const changes = {};
+    for (const k of ["label", "value", "enabled"]) {
+      if (b[k] !== a[k]) changes[k] = { from: b[k], to: a[k] };
+    }
+    if (b.frame.join() !== a.frame.join()) changes.frame = { from: b.frame, to: a.frame };
+    if (Object.keys(changes).length) changed.push({ type: a.type, label: a.label, changes });
+  }
+
+  const brief = (e) => ({ type: e.type, label: e.label, ...(e.value ? { value: e.value } : {}) });
+  return {
+    added: added.map(brief),
+    removed: removed.map(brief),
+    changed,
+    unchanged: pairs.length - changed.length,
+  };
+}
+
+function summariseDiff(diff, limit = 20) {
+  const fmt = (v) => JSON.stringify(v);
+  const lines = [
+    ...diff.added.map((e) => `+ ${e.type} ${fmt(e.label)}`),
+    ...diff.removed.map((e) => `- ${e.type} ${fmt(e.label)}`),
+    ...diff.changed.map((c) => `~ ${c.type} ${fmt(c.label)}: ${Object.entries(c.changes).map(([k, v]) => (
+      k === "frame" ? `frame ${v.from.join(",")} → ${v.to.join(",")}` : `${k} ${fmt(v.from)} → ${fmt(v.to)}`
+    )).join("; ")}`),
+  ];
+  return [
+    `UI diff: +${diff.added.length} -${diff.removed.length} ~${diff.changed.length} (=${diff.unchanged})`,
+    ...lines.slice(0, limit),
+    ...(lines.length > limit ? [`… +${lines.length - limit} more`] : []),
+  ];
+}
+
+async function cmdUiSnapshot({ udid, name, stateFile, pretty, text, _internalCall = false }) {
+  const snapName = typeof name === "string" ? name : "last";
+  const file = snapshotPath(stateFile, snapName);
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const elements = normaliseElements(await idbDescribeAll({ udid: resolvedUdid }));
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ name: snapName, udid: resolvedUdid, capturedAt: new Date().toISOString(), elements }) + "\n", "utf8");
+  await updateState(stateFile, (state) => {
+    state.lastSnapshot = snapName;
+  });
+
+  const result = { ok: true, udid: resolvedUdid, name: snapName, file, count: elements.length, summary: [`Snapshot: ${snapName} (${elements.length} elements)`] };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdUiDiff({ udid, from, update, limit, stateFile, pretty, text, _internalCall = false }) {
+  const snapName = typeof from === "string" ? from : loadState(stateFile).lastSnapshot || "last";
+  const file = snapshotPath(stateFile, snapName);
+  let snap;
+  try {
+    snap = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    fail(`No snapshot named ${JSON.stringify(snapName)}. Run \`ui snapshot --name ${snapName}\` first.`, { name: snapName, file }, "E_NO_SNAPSHOT");
+  }
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  const current = normaliseElements(await idbDescribeAll({ udid: resolvedUdid }));
+  const diff = diffUi(Array.isArray(snap?.elements) ? snap.elements : [], current);
+
+  if (toBool(update, false)) {
+    fs.writeFileSync(file, JSON.stringify({ name: snapName, udid: resolvedUdid, capturedAt: new Date().toISOString(), elements: current }) + "\n", "utf8");
+  }
+
+  const lim = Math.max(1, Math.min(200, Number(limit || 20)));
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    from: snapName,
+    ...(snap.udid && snap.udid !== resolvedUdid ? { snapshotUdid: snap.udid } : {}),
+    counts: { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length, unchanged: diff.unchanged },
+    ...diff,
+    updated: toBool(update, false),
+    summary: summariseDiff(diff, lim),
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+// ---- gestures (idb swipe / press) ----
+
+const SWIPE_DIRECTIONS = ["up", "down", "left", "right"];
+const SCROLL_SETTLE_MS = 400;
+
+function parseNumberList(v, n, flag) {
+  const parts = String(v ?? "").split(",").map((x) => Number(x.trim()));
+  if (parts.length !== n || parts.some((x) => !Number.isFinite(x))) {
+    fail(`Invalid ${flag} (expected ${n} comma-separated numbers)`, { [flag.replace(/^--/, "")]: v });
+  }
+  return parts;
+}
+
+function parsePoint(v, flag) {
+  const [x, y] = parseNumberList(v, 2, flag);
+  return { x, y };
+}
+
+function parseRect(v, flag) {
+  const [x, y, width, height] = parseNumberList(v, 4, flag);
+  if (width <= 0 || height <= 0) fail(`Invalid ${flag} (width and height must be positive)`, { [flag.replace(/^--/, "")]: v });
+  return { x, y, width, height };
+}
+
+function screenFrame(elements) {
+  // The application element is normally first, but take the largest frame to be safe.
+  let best = null;
+  for (const el of elements) {
+    const f = el?.frame;
+    const width = toNumber(f?.width, 0);
+    const height = toNumber(f?.height, 0);
+    if (!centreOfFrame(f) || width <= 0 || height <= 0) continue;
+    if (!best || width * height > best.width * best.height) {
+      best = { x: toNumber(f.x), y: toNumber(f.y), width, height };
+    }
+  }
+  return best;
+}
+
+// An element counts as visible when its centre is inside the region and it is fully
+// contained along every axis where it is smaller than the region.
+function frameVisibleIn(frame, region) {
+  const c = centreOfFrame(frame);
+  if (!c) return false;
+  const axis = (lo, size, rlo, rsize) => size > rsize || (lo >= rlo && lo + size <= rlo + rsize);
+  const f = { x: toNumber(frame.x), y: toNumber(frame.y), width: toNumber(frame.width), height: toNumber(frame.height) };
+  return c.x >= region.x && c.x <= region.x + region.width &&
+    c.y >= region.y && c.y <= region.y + region.height &&
+    axis(f.x, f.width, region.x, region.width) &&
+    axis(f.y, f.height, region.y, region.height);
+}
+
+function swipeEnd(from, direction, distance, region) {
+  const dx = direction === "left" ? -distance : direction === "right" ? distance : 0;
+  const dy = direction === "up" ? -distance : direction === "down" ? distance : 0;
+  // Keep the end point a little inside the region so we don't trigger edge gestures.
+  const clamp = (v, lo, size) => Math.min(lo + size - 1, Math.max(lo + 1, v));
+  return { x: clamp(from.x + dx, region.x, region.width), y: clamp(from.y + dy, region.y, region.height) };
+}
+
+async function idbSwipe(udid, from, to, duration) {
+  const args = ["ui", "swipe", ...[from.x, from.y, to.x, to.y].map((n) => String(Math.round(n)))];
+  if (duration !== undefined) args.push("--duration", String(duration));
+  args.push("--udid", udid, "--json");
+  await idb(args);
+}
+
+function parseDuration(v, defaultValue) {
+  if (v === undefined) return defaultValue;
+  const secs = toNumber(v);
+  if (secs === undefined || secs <= 0) fail("Invalid --duration (expected seconds > 0)", { duration: v });
+  return secs;
+}
+
+async function cmdUiSwipe({ udid, direction, fromQuery, fromSelector, x, y, distance, duration, stateFile, pretty, text, _internalCall = false }) {
+  const sel = selectorFrom(fromSelector, "--from-selector");
+  const dir = normalise(direction);
+  if (!SWIPE_DIRECTIONS.includes(dir)) fail("Invalid --direction (expected up|down|left|right)", { direction: direction ?? null });
+  const secs = parseDuration(duration, undefined);
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  ensureIdb();
+
+  const elements = await idbDescribeAll({ udid: resolvedUdid });
+  const screen = screenFrame(elements);
+  if (!screen) fail("Could not determine screen bounds from the UI tree", { udid: resolvedUdid }, "E_UI_EMPTY");
+
+  let from = centreOfFrame(screen);
+  let origin = { kind: "screen-centre" };
+  if (sel || fromQuery !== undefined || (x !== undefined && y !== undefined)) {
+    ({ point: from, target: origin } = await resolvePointTarget(
+      resolvedUdid,
+      { query: fromQuery, selector: sel, x, y },
+      { queryFlag: "--from-query", selectorFlag: "--from-selector", elements },
+    ));
+  }
+
+  const vertical = dir === "up" || dir === "down";
+  const dist = toNumber(distance, (vertical ? screen.height : screen.width) / 2);
+  const to = swipeEnd(from, dir, dist, screen);
+  await idbSwipe(resolvedUdid, from, to, secs);
+
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    direction: dir,
+    origin,
+    from,
+    to,
+    duration: secs ?? null,
+    summary: [`Swipe: ${dir} from ${Math.round(from.x)},${Math.round(from.y)} to ${Math.round(to.x)},${Math.round(to.y)}`],
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdUiLongPress({ udid, query, selector, ref, x, y, duration, stateFile, pretty, text, _internalCall = false }) {
+  const sel = selectorFrom(selector);
+  const secs = parseDuration(duration, 1);
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  ensureIdb();
+
+  const { point, target } = await resolvePointTarget(resolvedUdid, { query, selector: sel, ref, x, y }, { stateFile });
+  await idb(["ui", "tap", String(point.x), String(point.y), "--duration", String(secs), "--udid", resolvedUdid, "--json"]);
+
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    pressed: target,
+    duration: secs,
+    summary: [`Long press: ${describeTarget(target)} (${secs}s)`],
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdUiDrag({ udid, from, to, fromQuery, toQuery, fromSelector, toSelector, duration, stateFile, pretty, text, _internalCall = false }) {
+  const fromSel = selectorFrom(fromSelector, "--from-selector");
+  const toSel = selectorFrom(toSelector, "--to-selector");
+  if (from === undefined && fromQuery === undefined && !fromSel) fail("Missing --from <x,y> (or --from-query / --from-selector)");
+  if (to === undefined && toQuery === undefined && !toSel) fail("Missing --to <x,y> (or --to-query / --to-selector)");
+  const secs = parseDuration(duration, 1);
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  ensureIdb();
+
+  const needsTree = from === undefined || to === undefined;
+  const elements = needsTree ? await idbDescribeAll({ udid: resolvedUdid }) : null;
+  const endpoint = async (end, pointValue, queryValue, sel) => {
+    if (pointValue !== undefined) {
+      const p = parsePoint(pointValue, `--${end}`);
+      return { point: p, target: { kind: "coordinate", ...p } };
+    }
+    return await resolvePointTarget(
+      resolvedUdid,
+      { query: queryValue, selector: sel },
+      { queryFlag: `--${end}-query`, selectorFlag: `--${end}-selector`, elements },
+    );
+  };
+  const a = await endpoint("from", from, fromQuery, fromSel);
+  const b = await endpoint("to", to, toQuery, toSel);
+
+  // idb has no press-move-release primitive; a slow swipe is the closest equivalent.
+  await idbSwipe(resolvedUdid, a.point, b.point, secs);
+
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    from: a.target,
+    to: b.target,
+    duration: secs,
+    summary: [`Drag: ${describeTarget(a.target)} → ${describeTarget(b.target)} (${secs}s)`],
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+async function cmdUiScrollTo({ udid, query, selector, direction, container, maxSwipes, distance, duration, stateFile, pretty, text, _internalCall = false }) {
+  const sel = selectorFrom(selector);
+  if (!sel && (!query || typeof query !== "string")) fail("Missing --query (or --selector)");
+  const what = sel ? "--selector" : "--query";
+  const dir = normalise(direction || "down");
+  if (!SWIPE_DIRECTIONS.includes(dir)) fail("Invalid --direction (expected up|down|left|right)", { direction });
+  const max = toNumber(maxSwipes, 10);
+  if (max < 0) fail("Invalid --max-swipes", { maxSwipes });
+  const secs = parseDuration(duration, undefined);
+  let region = container !== undefined ? parseRect(container, "--container") : null;
+  const resolvedUdid = await resolveUdid({ udid, stateFile });
+  ensureIdb();
+
+  // Scrolling *down* reveals content below, i.e. the finger moves up.
+  const fingerDir = { down: "up", up: "down", right: "left", left: "right" }[dir];
+  const start = Date.now();
+  let swipes = 0;
+  let prevKey = null;
+  let match = null;
+  for (;;) {
+    const elements = await idbDescribeAll({ udid: resolvedUdid });
+    region = region || screenFrame(elements);
+    if (!region) fail("Could not determine screen bounds from the UI tree; pass --container", { udid: resolvedUdid }, "E_UI_EMPTY");
+
+    match = locateAll(elements, { query, selector: sel })[0] || null;
+    if (match && frameVisibleIn(match.frame, region)) break;
+
+    const key = JSON.stringify(elements);
+    if (key === prevKey) {
+      fail(`Reached the end of the scrollable content without finding ${what}.`, { query, selector, direction: dir, swipes, reason: "tree-unchanged" }, "E_UI_NO_MATCH");
+    }
+    if (swipes >= max) {
+      fail(`Gave up scrolling to ${what}.`, { query, selector, direction: dir, swipes, reason: "max-swipes" }, "E_UI_NO_MATCH");
+    }
+    prevKey = key;
+
+    const from = centreOfFrame(region);
+    const vertical = dir === "up" || dir === "down";
+    const dist = toNumber(distance, (vertical ? region.height : region.width) / 2);
+    await idbSwipe(resolvedUdid, from, swipeEnd(from, fingerDir, dist, region), secs);
+    swipes++;
+    await sleep(SCROLL_SETTLE_MS);
+  }
+
+  const result = {
+    ok: true,
+    udid: resolvedUdid,
+    ...(sel ? { selector } : { query }),
+    direction: dir,
+    swipes,
+    ms: Date.now() - start,
+    element: { label: match.label, type: match.type, frame: match.frame, centre: match.centre },
+    summary: [`Scroll-to: "${sel ? selector : query}" visible after ${swipes} swipe${swipes === 1 ? "" : "s"}`, `- ${match.type}: ${match.label}`],
+  };
+  if (!_internalCall) emit(result, { pretty, text });
+  return result;
+}
+
+// ---- flows (multi-step scenarios) ----
+
+const FLOW_ACTIONS = [
+  "launch",
+  "terminate",
+  "tap",
+  "type",
+  "button",
+  "swipe",
+  "long-press",
+  "drag",
+  "scroll-to",
+  "wait",
+  "assert",
+  "screenshot",
+  "openurl",
+  "push",
+];
+
+function loadFlow(flowPath) {
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(flowPath, "utf8"));
+  } catch (e) {
+    const missing = e?.code === "ENOENT";
+    fail(missing ? "Flow file not found" : "Could not read flow file as JSON", { flow: flowPath, cause: e?.message || String(e) }, missing ? "E_FILE_NOT_FOUND" : "E_INVALID_FILE");
+  }
+  return validateFlow(spec, flowPath);
+}
+
+// `flowPath` only labels errors; API callers pass flows in memory (null).
+function validateFlow(spec, flowPath = null) {
+  // Accept either a bare array of steps or { udid?, continueOnError?, steps: [...] }
+  if (Array.isArray(spec)) spec = { steps: spec };
+  if (!spec || typeof spec !== "object" || !Array.isArray(spec.steps)) {
+    fail("Flow file must be an array of steps or an object with a `steps` array", { flow: flowPath });
+  }
+  spec.steps.forEach((step, index) => {
+    if (!step || typeof step !== "object" || !FLOW_ACTIONS.includes(step.action)) {
+      fail("Invalid flow step (unknown or missing `action`)", { flow: flowPath, index, action: step?.action ?? null, expected: FLOW_ACTIONS });
+    }
+  });
+  return spec;
+}
+
+async function runFlowStep(step, { udid, stateFile }) {
+  const common = { udid, stateFile, _internalCall: true };
+  switch (step.action) {
+    case "launch":
+      return await cmdAppLaunch({ ...common, bundleId: step.bundleId, passthroughArgs: (step.args || []).map(String) });
+    case "terminate":
+      return await cmdAppTerminate({ ...common, bundleId: step.bundleId });
+    case "tap":
+      return await cmdUiTap({ ...common, query: step.query, selector: step.selector, ref: step.ref, x: step.x, y: step.y });
+    case "type":
+      return await cmdUiType({ ...common, input: step.text, ref: step.ref });
+    case "button":
+      return await cmdUiButton({ ...common, name: step.name });
+    case "swipe":
+      return await cmdUiSwipe({ ...common, direction: step.direction, fromQuery: step.fromQuery, fromSelector: step.fromSelector, x: step.x, y: step.y, distance: step.distance, duration: step.duration });
+    case "long-press":
+      return await cmdUiLongPress({ ...common, query: step.query, selector: step.selector, ref: step.ref, x: step.x, y: step.y, duration: step.duration });
+    case "drag":
+      return await cmdUiDrag({
+        ...common,
+        from: step.from,
+        to: step.to,
+        fromQuery: step.fromQuery,
+        toQuery: step.toQuery,
+        fromSelector: step.fromSelector,
+        toSelector: step.toSelector,
+        duration: step.duration,
+      });
+    case "scroll-to":
+      return await cmdUiScrollTo({
+        ...common,
+        query: step.query,
+        selector: step.selector,
+        direction: step.direction,
+        container: step.container,
+        maxSwipes: step.maxSwipes,
+        distance: step.distance,
+        duration: step.duration,
+      });
+    case "screenshot":
+      return await cmdScreenshot({
+        ...common,
+        out: step.out,
+        compare: step.compare,
+        threshold: step.threshold,
+        pixelThreshold: step.pixelThreshold,
+        ignore: step.ignore,
+        ignoreStatusBar: step.ignoreStatusBar,
+        ignoreQuery: step.ignoreQuery,
+        ignoreSelector: step.ignoreSelector,
+        diffOut: step.diffOut,
+        annotate: step.annotate,
+        maxWidth: step.maxWidth,
+        scale: step.scale,
+        crop: step.crop,
+        element: step.element,
+        elementSelector: step.elementSelector,
+        padding: step.padding,
+        statusBar: step.statusBar,
+      });
+    case "openurl":
+      return await cmdOpenUrl({ ...common, url: step.url });
+    case "push":
+      // Payload may be given inline as an object for readability.
+      return await cmdPush({
+        ...common,
+        bundleId: step.bundleId,
+        payload: typeof step.payload === "string" ? step.payload : JSON.stringify(step.payload ?? null),
+      });
+    case "wait": {
+      if (!step.query && !step.selector && !step.stable) {
+        const seconds = toNumber(step.seconds, null);
+        if (seconds === null || seconds < 0) fail("wait step needs `query`, `stable` or `seconds`");
+        await sleep(seconds * 1000);
+        return { ok: true, waited: seconds };
+      }
+      return await cmdUiWait({
+        ...common,
+        query: step.query,
+        selector: step.selector,
+        gone: step.gone,
+        stable: step.stable,
+        timeout: step.timeout,
+        interval: step.interval,
+      });
+    }
+    case "assert":
+      return await cmdUiAssert({
+        ...common,
+        query: step.query,
+        selector: step.selector,
+        exists: step.exists,
+        notExists: step.notExists,
+        value: step.value,
+        valueContains: step.valueContains,
+        enabled: step.enabled,
+        count: step.count,
+        minCount: step.minCount,
+        maxCount: step.maxCount,
+        includeStatic: step.includeStatic,
+      });
+    default:
+      fail("Unknown flow action", { action: step.action });
+  }
+}
+
+async function cmdRun({ udid, flow, continueOnError, stateFile, pretty, text, _internalCall = false }) {
+  const inline = !!flow && typeof flow === "object";
+  if (!inline && (!flow || typeof flow !== "string")) fail("Missing --flow <file.json>");
+  const flowPath = inline ? null : path.resolve(flow);
+  const spec = inline ? validateFlow(flow) : loadFlow(flowPath);
+  const resolvedUdid = await resolveUdid({ udid: udid ?? spec.udid, stateFile });
+  const keepGoing = toBool(continueOnError, toBool(spec.continueOnError, false));
+
+  const started = Date.now();
+  const steps = [];
+  let failed = 0;
+
+  for (let index = 0; index < spec.steps.length; index++) {
+    const step = spec.steps[index];
+    const t0 = Date.now();
+    const entry = { index, action: step.action, ...(step.name ? { name: step.name } : {}) };
+    try {
+      const res = await runFlowStep(step, { udid: resolvedUdid, stateFile });
+      // Drop per-command summaries/udid to keep the step array compact.
+      const { summary: _s, udid: _u, ok = true, ...rest } = res || {};
+      Object.assign(entry, { ok: ok !== false, ms: Date.now() - t0, result: rest });
+      if (!entry.ok && rest.assertion) entry.error = `Assertion failed: ${rest.assertion}`;
+      else if (!entry.ok && rest.compare) entry.error = compareSummary(rest.compare);
+    } catch (e) {
+      Object.assign(entry, { ok: false, ms: Date.now() - t0, error: e?.message || String(e) });
+      if (e instanceof CliError || e instanceof CommandError) Object.assign(entry, { code: e.code, ...(e.hint ? { hint: e.hint } : {}) });
+      if (e instanceof CliError && Object.keys(e.extra).length) entry.details = e.extra;
+      else if (e?.stderr) entry.stderr = String(e.stderr).trim() || undefined;
+    }
+    steps.push(entry);
+    if (!entry.ok) {
+      failed++;
+      if (!keepGoing) break;
+    }
+  }
+
+  const skipped = spec.steps.length - steps.length;
+  const passed = steps.length - failed;
+  const ms = Date.now() - started;
+  const ok = failed === 0;
+
+  const summary = [
+    `Flow: ${ok ? "ok" : "failed"} — ${passed}/${spec.steps.length} steps passed${skipped ? `, ${skipped} skipped` : ""} (${ms}ms)`,
+    ...steps.map((s) => `${s.ok ? "✓" : "✗"} ${s.index + 1}. ${s.name || s.action} (${s.ms}ms)${s.error ? ` — ${s.error}` : ""}`),
+  ];
+
+  const result = {
+    ok,
+    udid: resolvedUdid,
+    flow: flowPath,
+    steps,
+    counts: { total: spec.steps.length, passed, failed, skipped },
+    ms,
+    summary,
+  };
+  if (!_internalCall) {
+    emit(result, { pretty, text });
+    if (!ok) process.exitCode = failureExitCode(steps.find((s) => !s.ok));
+  }
+  return result;
+}
+
+// ---- PNG codec (no dependencies) ----
+//
+// Just enough PNG for screenshots and fixtures: decodes non-interlaced greyscale/RGB/palette
+// (+alpha) at any bit depth to RGBA8, and encodes RGBA8.
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+let crcTable = null;
+function crc32(buf) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = crcTable[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+function decodePng(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 8 || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) fail("Not a PNG file", {}, "E_INVALID_FILE");
+  let pos = 8;
+  let ihdr = null;
+  let palette = null;
+  let trns = null;
+  const idat = [];
+  while (pos + 8 <= buf.length) {
+    const len = buf.readUInt32BE(pos);
+    const type = buf.toString("latin1", pos + 4, pos + 8);
+    const data = buf.subarray(pos + 8, pos + 8 + len);
+    pos += 12 + len;
+    if (type === "IHDR") {
+      ihdr = { width: data.readUInt32BE(0), height: data.readUInt32BE(4), bitDepth: data[8], colorType: data[9], interlace: data[12] };
+    } else if (type === "PLTE") palette = data;
+    else if (type === "tRNS") trns = data;
+    else if (type === "IDAT") idat.push(data);
+    else if (type === "IEND") break;
+  }
+  if (!ihdr) fail("Invalid PNG (missing IHDR)", {}, "E_INVALID_FILE");
+  const { width, height, bitDepth, colorType } = ihdr;
+  if (ihdr.interlace) fail("Interlaced PNGs are not supported", {}, "E_UNSUPPORTED");
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth)) fail("Unsupported PNG format", { colorType, bitDepth }, "E_UNSUPPORTED");
+  if (colorType === 3 && !palette) fail("Invalid PNG (palette image without PLTE)", {}, "E_INVALID_FILE");
+
+  const bpp = Math.max(1, (channels * bitDepth) >> 3);
+  const stride = Math.ceil((width * channels * bitDepth) / 8);
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  if (raw.length < (stride + 1) * height) fail("Invalid PNG (truncated image data)", {}, "E_INVALID_FILE");
+
+  const pixels = Buffer.alloc(stride * height);
+  let prev = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = pixels.subarray(y * stride, (y + 1) * stride);
+    for (let i = 0; i < stride; i++) {
+      const a = i >= bpp ? out[i - bpp] : 0;
+      const b = prev[i];
+      const c = i >= bpp ? prev[i - bpp] : 0;
+      let v = line[i];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) v += paeth(a, b, c);
+      else if (filter !== 0) fail("Invalid PNG (bad filter type)", { filter, row: y }, "E_INVALID_FILE");
+      out[i] = v & 0xff;
+    }
+    prev = out;
+  }
+
+  const sample = (row, i) => {
+    if (bitDepth === 8) return row[i];
+    if (bitDepth === 16) return row.readUInt16BE(i * 2);
+    const bit = i * bitDepth;
+    return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+  };
+  const to8 = (v) => (bitDepth === 16 ? v >> 8 : bitDepth === 8 ? v : Math.round((v * 255) / ((1 << bitDepth) - 1)));
+  const trnsSample = (i) => (trns && trns.length >= (i + 1) * 2 ? trns.readUInt16BE(i * 2) : null);
+
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const row = pixels.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const s = x * channels;
+      if (colorType === 0) {
+        const g = sample(row, s);
+        data[o] = data[o + 1] = data[o + 2] = to8(g);
+        data[o + 3] = g === trnsSample(0) ? 0 : 255;
+      } else if (colorType === 2) {
+        const r = sample(row, s);
+        const g = sample(row, s + 1);
+        const b = sample(row, s + 2);
+        data[o] = to8(r);
+        data[o + 1] = to8(g);
+        data[o + 2] = to8(b);
+        data[o + 3] = r === trnsSample(0) && g === trnsSample(1) && b === trnsSample(2) ? 0 : 255;
+      } else if (colorType === 3) {
+        const idx = sample(row, s);
+        data[o] = palette[idx * 3] ?? 0;
+        data[o + 1] = palette[idx * 3 + 1] ?? 0;
+        data[o + 2] = palette[idx * 3 + 2] ?? 0;
+        data[o + 3] = trns && idx < trns.length ? trns[idx] : 255;
+      } else if (colorType === 4) {
+        data[o] = data[o + 1] = data[o + 2] = to8(sample(row, s));
+        data[o + 3] = to8(sample(row, s + 1));
+      } else {
+        data[o] = to8(sample(row, s));
+        data[o + 1] = to8(sample(row, s + 1));
+        data[o + 2] = to8(sample(row, s + 2));
+        data[o + 3] = to8(sample(row, s + 3));
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+function pngChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, "latin1");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+function encodePng({ width, height, data }) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  const candidates = [0, 1, 2, 3, 4].map(() => Buffer.alloc(stride));
+  let prev = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const cur = data.subarray(y * stride, (y + 1) * stride);
+    // Usual heuristic: per row, pick the filter with the smallest sum of absolute (signed) bytes.
+    let bestFilter = 0;
+    let bestSum = Infinity;
+    for (let f = 0; f < 5; f++) {
+      const out = candidates[f];
+      let sum = 0;
+      for (let i = 0; i < stride; i++) {
+        const a = i >= 4 ? cur[i - 4] : 0;
+        const b = prev[i];
+        const c = i >= 4 ? prev[i - 4] : 0;
+        const pred = f === 0 ? 0 : f === 1 ? a : f === 2 ? b : f === 3 ? (a + b) >> 1 : paeth(a, b, c);
+        const v = (cur[i] - pred) & 0xff;
+        out[i] = v;
+        sum += v < 128 ? v : 256 - v;
+      }
+      if (sum < bestSum) {
+        bestSum = sum;
+        bestFilter = f;
+      }
+    }
+    raw[y * (stride + 1)] = bestFilter;
+    candidates[bestFilter].copy(raw, y * (stride + 1) + 1);
+    prev = cur;
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+function readPng(file) {
+  let buf;
+  try {
+    buf = fs.readFileSync(file);
+  } catch {
+    fail("PNG file not found", { file }, "E_FILE_NOT_FOUND");
+  }
+  return decodePng(buf);
+}
+
+function writePng(file, img) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, encodePng(img));
+}
+
+// ---- image comparison ----
+
+function parseRects(v, flag) {
+  if (v === undefined) return [];
+  return String(v).split(";").map((x) => x.trim()).filter(Boolean).map((x) => parseRect(x, flag));
+}
+
+// Pure: per-pixel comparison of two RGBA8 images. A pixel mismatches when any channel differs
+// by more than pixelThreshold (0..1). Ignored rects are in pixels.
+function compareImages(a, b, { pixelThreshold = 0.1, ignore = [] } = {}) {
+  if (a.width !== b.width || a.height !== b.height) {
+    return { sizeMismatch: true, a: { width: a.width, height: a.height }, b: { width: b.width, height: b.height } };
+  }
+  const { width, height } = a;
+  const ignored = new Uint8Array(width * height);
+  for (const r of ignore) {
+    const x0 = Math.max(0, Math.floor(r.x));
+    const y0 = Math.max(0, Math.floor(r.y));
+    const x1 = Math.min(width, Math.ceil(r.x + r.width));
+    const y1 = Math.min(height, Math.ceil(r.y + r.height));
+    for (let y = y0; y < y1; y++) ignored.fill(1, y * width + x0, y * width + Math.max(x0, x1));
+  }
+
+  const limit = pixelThreshold * 255;
+  const diff = Buffer.alloc(a.data.length);
+  let mismatched = 0;
+  let ignoredCount = 0;
+  for (let p = 0; p < width * height; p++) {
+    const i = p * 4;
+    // Background of the diff image: the baseline, faded towards white.
+    const lum = 0.299 * b.data[i] + 0.587 * b.data[i + 1] + 0.114 * b.data[i + 2];
+    const faded = Math.round(255 - (255 - lum) * 0.3);
+    if (ignored[p]) {
+      ignoredCount++;
+      diff[i] = faded * 0.7;
+      diff[i + 1] = faded * 0.8;
+      diff[i + 2] = 255;
+    } else {
+      const delta = Math.max(
+        Math.abs(a.data[i] - b.data[i]),
+        Math.abs(a.data[i + 1] - b.data[i + 1]),
+        Math.abs(a.data[i + 2] - b.data[i + 2]),
+        Math.abs(a.data[i + 3] - b.data[i + 3]),
+      );
+      if (delta > limit) {
+        mismatched++;
+        diff[i] = 255;
+        diff[i + 1] = 0;
+        diff[i + 2] = 0;
+      } else {
+        diff[i] = diff[i + 1] = diff[i + 2] = faded;
+      }
+    }
+    diff[i + 3] = 255;
+  }
+  const compared = width * height - ignoredCount;
+  return {
+    sizeMismatch: false,
+    width,
+    height,
+    compared,
+    ignored: ignoredCount,
+    mismatched,
+    percent: compared ? (mismatched / compared) * 100 : 0,
+    diff: { width, height, data: diff },
+  };
+}
+
+// Compares `actual` against the baseline file and writes a diff PNG when anything mismatched.
+// `threshold` is the allowed mismatch percentage.
+function compareAgainstBaseline(actual, baselinePath, { threshold = 0, pixelThreshold = 0.1, ignore = [], diffOut = null } = {}) {
+  const baseline = readPng(baselinePath);
+  const cmp = compareImages(actual, baseline, { pixelThreshold, ignore });
+  if (cmp.sizeMismatch) {
+    return { ok: false, baseline: baselinePath, sizeMismatch: true, actualSize: cmp.a, baselineSize: cmp.b, diff: null };
+  }
+  let diffPath = null;
+  if (cmp.mismatched > 0 && diffOut) {
+    diffPath = path.resolve(diffOut);
+    writePng(diffPath, cmp.diff);
+  }
+  return {
+    ok: cmp.percent <= threshold,
+    baseline: baselinePath,
+    width: cmp.width,
+    height: cmp.height,
+    compared: cmp.compared,
+    ignored: cmp.ignored,
+    mismatched: cmp.mismatched,
+    percent: Math.round(cmp.percent * 10000) / 10000,
+    threshold,
+    diff: diffPath,
+  };
+}
+
+function compareSummary(c) {
+  if (c.sizeMismatch) {
+    return `Compare: size mismatch (${c.actualSize.width}x${c.actualSize.height} vs baseline ${c.baselineSize.width}x${c.baselineSize.height})`;
+  }
+  return `Compare: ${c.ok ? "match" : "MISMATCH"} — ${c.mismatched} px (${c.percent}%) differ, threshold ${c.threshold}%${c.diff ? `; diff: ${c.diff}` : ""}`;
+}
+
+function parseThresholds({ threshold, pixelThreshold }) {
+  const t = toNumber(threshold, 0);
+  const pt = toNumber(pixelThreshold, 0.1);
+  if (t === undefined || t < 0 || t > 100) fail("Invalid --threshold (expected a percentage 0..100)", { threshold });
+  if (pt === undefined || pt < 0 || pt > 1) fail("Invalid --pixel-threshold (expected 0..1)", { pixelThreshold });
+  return { threshold: t, pixelThreshold: pt };
+}
+
+async function cmdImageDiff({ a, b, out, threshold, pixelThreshold, ignore, pretty, text, _internalCall = false }) {
+  if (!a || typeof a !== "string") fail("Missing --a <actual.png>");
+  if (!b || typeof b !== "string") fail("Missing --b <baseline.png>");
+  const t = parseThresholds({ threshold, pixelThreshold });
+  const ignoreRects = parseRects(ignore, "--ignore");
+
+  const aPath = path.resolve(a);
+  const compare = compareAgainstBaseline(readPng(aPath), path.resolve(b), {
+    ...t,
+    ignore: ignoreRects,
+    diffOut: typeof out === "string" ? out : null,
+  });
+
+  const result = { ok: compare.ok, a: aPath, ...compare, summary: [compareSummary(compare)] };
+  if (!_internalCall) {
+    emit(result, { pretty, text });
+    if (!result.ok) process.exitCode = EXIT_CODES.assertion;
+  }
+  return result;
+}
+
+// ---- image annotation ----
+
+// 3x5 bitmap digits for marker numbers, rows top to bottom.
+const DIGIT_GLYPHS = [
+  "111101101101111",
+  "010110010010111",
+  "111001111100111",
+  "111001111001111",
+  "101101111001001",
+  "111100111001111",
+  "111100111101111",
+  "111001001001001",
+  "111101111101111",
+  "111101111001111",
+];
+
+// Cycled per marker so adjacent boxes are easy to tell apart.
+const ANNOTATION_COLOURS = [
+  [255, 45, 85],
+  [0, 122, 255],
+  [52, 199, 89],
+  [255, 149, 0],
+  [175, 82, 222],
+  [0, 170, 170],
+];
+
+function fillRect(img, x, y, width, height, [r, g, b]) {
+  const x0 = Math.max(0, Math.round(x));
+  const y0 = Math.max(0, Math.round(y));
+  const x1 = Math.min(img.width, Math.round(x + width));
+  const y1 = Math.min(img.height, Math.round(y + height));
+  for (let py = y0; py < y1; py++) {
+    for (let px = x0; px < x1; px++) {
+      const i = (py * img.width + px) * 4;
+      img.data[i] = r;
+      img.data[i + 1] = g;
+      img.data[i + 2] = b;
+      img.data[i + 3] = 255;
+    }
+  }
+}
+
+function strokeRect(img, { x, y, width, height }, thickness, colour) {
+  fillRect(img, x, y, width, thickness, colour);
+  fillRect(img, x, y + height - thickness, width, thickness, colour);
+  fillRect(img, x, y, thickness, height, colour);
+  fillRect(img, x + width - thickness, y, thickness, height, colour);
+}
+
+// Filled badge with white digits, anchored at (x, y) but kept inside the image.
+function drawBadge(img, n, x, y, cell, colour) {
+  const digits = String(n).split("").map(Number);
+  const width = (digits.length * 4 + 1) * cell;
+  const height = 7 * cell;
+  const bx = Math.max(0, Math.min(x, img.width - width));
+  const by = Math.max(0, Math.min(y, img.height - height));
+  fillRect(img, bx, by, width, height, colour);
+  digits.forEach((d, k) => {
+    for (let row = 0; row < 5; row++) {
+      for (let col = 0; col < 3; col++) {
+        if (DIGIT_GLYPHS[d][row * 3 + col] !== "1") continue;
+        fillRect(img, bx + (1 + k * 4 + col) * cell, by + (1 + row) * cell, cell, cell, [255, 255, 255]);
+      }
+    }
+  });
+}
+
+// Numbered marks for on-screen interactive elements, numbered like `ui outline` refs (n ↔ eN).
+function annotationMarks(refs, screen) {
+  const marks = [];
+  for (const [ref, entry] of Object.entries(refs)) {
+    const frame = rectOf(entry.frame);
+    if (!frame || !frameVisibleIn(entry.frame, screen)) continue;
+    marks.push({ n: Number(ref.slice(1)), ref, type: entry.type, label: entry.label, centre: centreOfFrame(entry.frame), frame });
+  }
+  return marks;
+}
+
+// Pure: returns a copy of `img` with a box and number badge per mark. Marks are in points;
+// `scale` converts them to the image's pixels.
+function annotateImage(img, marks, scale) {
+  const out = { width: img.width, height: img.height, data: Buffer.from(img.data) };
+  const thickness = Math.max(1, Math.round(scale));
+  const cell = Math.max(2, Math.round(scale * 2.5));
+  const colourOf = (m) => ANNOTATION_COLOURS[(m.n - 1) % ANNOTATION_COLOURS.length];
+  const px = (f) => ({ x: f.x * scale, y: f.y * scale, width: f.width * scale, height: f.height * scale });
+  for (const m of marks) strokeRect(out, px(m.frame), thickness, colourOf(m));
+  // Badges go on top so a neighbouring box never hides a number.
+  for (const m of marks) {
+    const r = px(m.frame);
+    drawBadge(out, m.n, r.x, r.y, cell, colourOf(m));
+  }
+  return out;
+}
+
+// ---- image crop + resize ----
+
+// Pure: crops to a pixel rect, clamped to the image. Fails when nothing is left.
+function cropImage(img, rect) {
+  const x0 = Math.max(0, Math.floor(rect.x));
+  const y0 = Math.max(0, Math.floor(rect.y));
+  const x1 = Math.min(img.width, Math.ceil(rect.x + rect.width));
+  const y1 = Math.min(img.height, Math.ceil(rect.y + rect.height));
+  if (x1 <= x0 || y1 <= y0) fail("Crop region is outside the screenshot", { pixels: rect, image: { width: img.width, height: img.height } });
+  const width = x1 - x0;
+  const height = y1 - y0;
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const start = ((y0 + y) * img.width + x0) * 4;
+    img.data.copy(data, y * width * 4, start, start + width * 4);
+  }
+  return { width, height, data };
+}
+
+// For each destination index, the source indices it covers and their fractional weights.
+function boxWeights(srcSize, dstSize) {
+  const ratio = srcSize / dstSize;
+  const out = [];
+  for (let d = 0; d < dstSize; d++) {
+    const lo = d * ratio;
+    const hi = Math.min(srcSize, lo + ratio);
+    const taps = [];
+    for (let s = Math.floor(lo); s < hi; s++) {
+      const w = Math.min(hi, s + 1) - Math.max(lo, s);
+      if (w > 0) taps.push([s, w / ratio]);
+    }
+    out.push(taps);
+  }
+  return out;
+}
+
+// Pure: area-averaging downscale (separable box filter). Sharper than nearest-neighbour for
+// text, and needs no native image tools.
+function resizeImage(img, width, height) {
+  if (width === img.width && height === img.height) return img;
+  const xs = boxWeights(img.width, width);
+  const ys = boxWeights(img.height, height);
+  const rows = new Float32Array(width * img.height * 4);
+  for (let y = 0; y < img.height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      for (const [s, w] of xs[x]) {
+        const i = (y * img.width + s) * 4;
+        for (let c = 0; c < 4; c++) rows[o + c] += img.data[i + c] * w;
+      }
+    }
+  }
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        let v = 0;
+        for (const [s, w] of ys[y]) v += rows[(s * width + x) * 4 + c] * w;
+        data[o + c] = Math.max(0, Math.min(255, Math.round(v)));
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+function parseResizeOptions({ maxWidth, scale }) {
+  if (maxWidth === undefined && scale === undefined) return null;
+  const mw = maxWidth === undefined ? null : toNumber(maxWidth);
+  const sc = scale === undefined ? 1 : toNumber(scale);
+  if (mw !== null && !(Number.isInteger(mw) && mw > 0)) fail("Invalid --max-width (expected a positive integer, in pixels)", { maxWidth });
+  if (!(sc > 0 && sc <= 1)) fail("Invalid --scale (expected a factor in (0, 1])", { scale });
+  return { maxWidth: mw, scale: sc };
+}
+
+// Output size for --scale / --max-width; both only ever shrink.
+function outputSize(img, { scale = 1, maxWidth = null }) {
+  let factor = scale;
+  if (maxWidth && img.width * factor > maxWidth) factor = maxWidth / img.width;
+  return {
+    width: Math.max(1, Math.round(img.width * factor)),
+    height: Math.max(1, Math.round(img.height * factor)),
+  };
+}
+
+// ---- fake backend ----
+//
+// An in-process stand-in for simctl + idb, for exercising the CLI without a Mac. The world
+// (devices, installed apps, clipboard, UI state) is seeded from a fixture and persisted in
+// `.ios-sim-fake.json` next to the state file, so it carries over between invocations just
+// like a real simulator. See references/FAKE_BACKEND.md for the fixture format.
+
+const FAKE_DEFAULT_FIXTURE = {
+  runtimes: [
+    { identifier: "com.apple.CoreSimulator.SimRuntime.iOS-17-5", name: "iOS 17.5", version: "17.5", isAvailable: true },
+  ],
+  devicetypes: [
+    { identifier: "com.apple.CoreSimulator.SimDeviceType.iPhone-15", name: "iPhone 15" },
+  ],
+  devices: [
+    {
+      udid: "00000000-0000-4000-8000-000000000001",
+      name: "iPhone 15",
+      runtime: "com.apple.CoreSimulator.SimRuntime.iOS-17-5",
+      deviceTypeIdentifier: "com.apple.CoreSimulator.SimDeviceType.iPhone-15",
+      state: "Shutdown",
+    },
+  ],
+  screens: {
+    home: [{ type: "Application", AXLabel: "Home screen", frame: { x: 0, y: 0, width: 393, height: 852 }, enabled: true }],
+  },
+};
+
+const FAKE_TEXT_TYPES = ["TextField", "SecureTextField", "SearchField", "TextView"];
+
+function fakeDevice(d, homeScreen) {
+  return {
+    udid: d.udid,
+    name: d.name,
+    runtime: d.runtime,
+    deviceTypeIdentifier: d.deviceTypeIdentifier || null,
+    state: d.state || "Shutdown",
+    isAvailable: d.isAvailable !== false,
+    availabilityError: d.isAvailable === false ? d.availabilityError || "runtime profile not found" : null,
+    installed: [...(d.apps || [])],
+    running: {},
+    clipboard: "",
+    privacy: {},
+    pushes: [],
+    urls: [],
+    logs: d.logs || "",
+    appearance: d.appearance || "light",
+    contentSize: d.contentSize || "large",
+    increaseContrast: d.increaseContrast === true,
+    defaults: {},
+    statusBar: {},
+    ui: { screen: d.screen || homeScreen, offset: 0, focus: null, values: {} },
+  };
+}
+
+function fakeWorldFromFixture(fx, seed) {
+  const homeScreen = fx.homeScreen || "home";
+  return {
+    seed,
+    runtimes: fx.runtimes || [],
+    devicetypes: fx.devicetypes || [],
+    apps: fx.apps || {},
+    screens: fx.screens || {},
+    transitions: fx.transitions || [],
+    homeScreen,
+    scale: fx.scale || 2,
+    nextPid: 1000,
+    devices: (fx.devices || []).map((d) => fakeDevice(d, homeScreen)),
+  };
+}
+
+function fakeOk(stdout = "") {
+  return { code: 0, signal: null, stdout, stderr: "" };
+}
+
+function fakeErr(code, stderr) {
+  return { code, signal: null, stdout: "", stderr: stderr + "\n" };
+}
+
+function fakeResetUi(world, dev) {
+  dev.ui = { screen: world.homeScreen, offset: 0, focus: null, values: {} };
+}
+
+// First transition whose trigger matches `event` (e.g. { tap: "Log in" }) on the current screen.
+function fakeTransition(world, dev, event) {
+  const [kind, value] = Object.entries(event)[0];
+  const t = world.transitions.find((x) => {
+    if (x.from && x.from !== dev.ui.screen) return false;
+    if (x[kind] === undefined) return false;
+    return kind === "openurl" ? String(value).startsWith(x.openurl) : normalise(x[kind]) === normalise(value);
+  });
+  if (!t) return false;
+  dev.ui = { screen: t.to, offset: 0, focus: null, values: dev.ui.values };
+  return true;
+}
+
+// Current elements as idb would report them: edited values applied, scrollable content
+// shifted by the scroll offset. `Application` and `fixed: true` elements do not scroll.
+function fakeElements(world, dev) {
+  const screen = world.screens[dev.ui.screen] || [];
+  return screen.map((el, i) => {
+    const { fixed, ...out } = el;
+    const key = `${dev.ui.screen}#${i}`;
+    if (key in dev.ui.values) out.AXValue = dev.ui.values[key];
+    if (!fixed && el.type !== "Application" && el.frame) out.frame = { ...el.frame, y: el.frame.y - dev.ui.offset };
+    return out;
+  });
+}
+
+function fakeMaxOffset(world, dev) {
+  const screen = world.screens[dev.ui.screen] || [];
+  const bounds = screenFrame(screen);
+  if (!bounds) return 0;
+  const bottom = Math.max(0, ...screen.filter((el) => !el.fixed && el.type !== "Application" && el.frame).map((el) => el.frame.y + el.frame.height));
+  return Math.max(0, bottom - (bounds.y + bounds.height));
+}
+
+function fakeHitTest(elements, x, y) {
+  let best = null;
+  elements.forEach((el, index) => {
+    const r = rectOf(el.frame);
+    if (!r || el.type === "Application" || el.enabled === false) return;
+    if (x < r.x || x >= r.x + r.width || y < r.y || y >= r.y + r.height) return;
+    if (!best || r.width * r.height < best.area) best = { el, index, area: r.width * r.height };
+  });
+  return best;
+}
+
+// Flat colours per element, derived from type/label/value so UI changes show up in pixel diffs.
+function fakeRender(world, dev) {
+  const elements = fakeElements(world, dev);
+  const bounds = screenFrame(elements) || { x: 0, y: 0, width: 393, height: 852 };
+  const s = world.scale;
+  const width = Math.round(bounds.width * s);
+  const height = Math.round(bounds.height * s);
+  const img = { width, height, data: Buffer.alloc(width * height * 4, 255) };
+  if (dev.appearance === "dark") fillRect(img, 0, 0, width, height, [0, 0, 0]);
+  // Display settings other than the defaults recolour every element, so the screenshot changes.
+  const look = [dev.contentSize && dev.contentSize !== "large" ? dev.contentSize : "", dev.increaseContrast ? "contrast" : ""].join("|");
+  for (const el of elements) {
+    const r = rectOf(el.frame);
+    if (!r || el.type === "Application") continue;
+    const h = crypto.createHash("sha1").update(`${el.type}|${el.AXLabel ?? ""}|${el.AXValue ?? ""}${look === "|" ? "" : `|${look}`}`).digest();
+    fillRect(img, r.x * s, r.y * s, r.width * s, r.height * s, [128 + (h[0] >> 1), 128 + (h[1] >> 1), 128 + (h[2] >> 1)]);
+  }
+  return img;
+}
+
+function fakeBundleIdFor(world, appPath) {
+  const info = xmlPlistInfo(path.join(appPath, "Info.plist"));
+  if (info) return info.bundleId;
+  const base = path.basename(appPath);
+  const known = Object.entries(world.apps).find(([, a]) => a?.path && path.basename(a.path) === base);
+  return known ? known[0] : `com.example.${base.replace(/\.app$/i, "").replace(/[^A-Za-z0-9]/g, "")}`;
+}
+
+function fakeListappsFields(bundleId, app = {}) {
+  const fields = { CFBundleIdentifier: bundleId, CFBundleShortVersionString: app.shortVersion, CFBundleVersion: app.version };
+  return Object.entries(fields).filter(([, v]) => v !== undefined).map(([k, v]) => `        ${k} = "${v}";\n`).join("");
+}
+
+const FAKE_PRIVACY_SERVICES = [
+  "all", "calendar", "contacts-limited", "contacts", "location", "location-always",
+  "photos-add", "photos", "media-library", "microphone", "motion", "reminders", "siri",
+];
+
+function fakeSimctl(world, args, { stdin = null, worldFile }) {
+  const [sub, id, ...rest] = args;
+  const all = id === "all";
+  const dev = world.devices.find((d) => d.udid === id);
+  const needDevice = () => (dev ? null : fakeErr(148, `Invalid device: ${id}`));
+  const needBooted = () => needDevice() || (dev.state === "Booted" ? null : fakeErr(149, `Unable to ${sub} in current state: ${dev.state}`));
+
+  switch (sub) {
+    case "list": {
+      // `list [--json] [devices|runtimes|devicetypes] [available|<search term>]`
+      const [scope = null, term = null] = args.slice(1).filter((a) => a !== "--json" && a !== "-j");
+      const q = term ? normalise(term) : null;
+      const devices = {};
+      for (const r of world.runtimes) devices[r.identifier] = [];
+      for (const d of world.devices) {
+        if (q && !(q === "available" ? d.isAvailable : [d.name, d.udid, d.state].some((v) => normalise(v).includes(q)))) continue;
+        (devices[d.runtime] ||= []).push({
+          udid: d.udid,
+          name: d.name,
+          state: d.state,
+          isAvailable: d.isAvailable,
+          ...(d.isAvailable ? {} : { availabilityError: d.availabilityError }),
+          deviceTypeIdentifier: d.deviceTypeIdentifier,
+        });
+      }
+      // Runtimes without supportedDeviceTypes in the fixture support every device type.
+      const runtimes = world.runtimes.map((r) => ({ ...r, supportedDeviceTypes: r.supportedDeviceTypes ?? world.devicetypes }));
+      const sections = { devicetypes: world.devicetypes, runtimes, devices, pairs: {} };
+      if (scope && !(scope in sections)) return fakeErr(64, `Unknown list type: ${scope}`);
+      return fakeOk(JSON.stringify(scope ? { [scope]: sections[scope] } : sections));
+    }
+    case "boot":
+      if (needDevice()) return needDevice();
+      if (dev.state === "Booted") return fakeErr(149, "Unable to boot device in current state: Booted");
+      dev.state = "Booted";
+      return fakeOk();
+    case "bootstatus":
+      // Devices boot instantly here, so they are ready as soon as they are booted.
+      if (needDevice()) return needDevice();
+      if (dev.state !== "Booted" && !rest.includes("-b")) return fakeErr(149, `Unable to wait for boot in current state: ${dev.state}`);
+      if (dev.state === "Booted") return fakeOk("Device already booted, nothing to do.\n");
+      dev.state = "Booted";
+      return fakeOk(`Monitoring boot status for ${dev.name} (${dev.udid}).\nDevice booted.\n`);
+    case "listapps":
+      if (needBooted()) return needBooted();
+      return fakeOk(`{\n${dev.installed.map((b) => `    "${b}" = {\n${fakeListappsFields(b, world.apps[b])}    };\n`).join("")}}\n`);
+    case "shutdown":
+      for (const d of all ? world.devices : [dev]) {
+        if (!d) return needDevice();
+        if (!all && d.state !== "Booted") return fakeErr(149, `Unable to shutdown device in current state: ${d.state}`);
+        d.state = "Shutdown";
+        d.running = {};
+        d.statusBar = {};
+        fakeResetUi(world, d);
+      }
+      return fakeOk();
+    case "erase":
+      for (const d of all ? world.devices : [dev]) {
+        if (!d) return needDevice();
+        if (d.state === "Booted") {
+          if (all) continue;
+          return fakeErr(149, "Unable to erase contents and settings in current state: Booted");
+        }
+        Object.assign(d, fakeDevice({ ...d, apps: [], screen: null, logs: "" }, world.homeScreen));
+      }
+      return fakeOk();
+    case "delete":
+      if (id === "unavailable") {
+        world.devices = world.devices.filter((d) => d.isAvailable);
+        return fakeOk();
+      }
+      if (needDevice()) return needDevice();
+      world.devices = world.devices.filter((d) => d !== dev);
+      return fakeOk();
+    case "create": {
+      const [name, deviceType, runtime] = [id, ...rest];
+      if (!world.devicetypes.some((d) => d.identifier === deviceType)) return fakeErr(162, `Invalid device type: ${deviceType}`);
+      if (!world.runtimes.some((r) => r.identifier === runtime)) return fakeErr(163, `Invalid runtime: ${runtime}`);
+      const udid = crypto.randomUUID().toUpperCase();
+      world.devices.push(fakeDevice({ udid, name, runtime, deviceTypeIdentifier: deviceType }, world.homeScreen));
+      return fakeOk(udid + "\n");
+    }
+    case "io": {
+      const [op, outPath] = rest;
+      if (op !== "screenshot") return fakeErr(1, `io ${op} is not supported by the fake backend`);
+      if (needBooted()) return needBooted();
+      writePng(outPath, fakeRender(world, dev));
+      return { ...fakeOk(), stderr: `Wrote screenshot to: ${outPath}\n` };
+    }
+    case "openurl":
+      if (needBooted()) return needBooted();
+      dev.urls.push(rest[0]);
+      fakeTransition(world, dev, { openurl: rest[0] });
+      return fakeOk();
+    case "pbcopy":
+      if (needBooted()) return needBooted();
+      dev.clipboard = String(stdin ?? "");
+      return fakeOk();
+    case "pbpaste":
+      if (needBooted()) return needBooted();
+      return fakeOk(dev.clipboard);
+    case "install": {
+      if (needBooted()) return needBooted();
+      const bundleId = fakeBundleIdFor(world, rest[0]);
+      if (!dev.installed.includes(bundleId)) dev.installed.push(bundleId);
+      world.apps[bundleId] ||= { name: path.basename(rest[0]).replace(/\.app$/i, ""), path: rest[0] };
+      // Versions are per world rather than per device: the last install wins everywhere.
+      const { version, shortVersion } = xmlPlistInfo(path.join(rest[0], "Info.plist")) || {};
+      Object.assign(world.apps[bundleId], { version, shortVersion });
+      return fakeOk();
+    }
+    case "uninstall":
+      if (needBooted()) return needBooted();
+      dev.installed = dev.installed.filter((b) => b !== rest[0]);
+      delete dev.running[rest[0]];
+      return fakeOk();
+    case "launch": {
+      if (needBooted()) return needBooted();
+      const [bundleId, ...appArgs] = rest;
+      if (!dev.installed.includes(bundleId)) return fakeErr(4, `The request to open "${bundleId}" failed: application not installed`);
+      const pid = world.nextPid++;
+      dev.running[bundleId] = { pid, args: appArgs };
+      if (!fakeTransition(world, dev, { launch: bundleId }) && world.apps[bundleId]?.screen) {
+        dev.ui = { screen: world.apps[bundleId].screen, offset: 0, focus: null, values: dev.ui.values };
+      }
+      return fakeOk(`${bundleId}: ${pid}\n`);
+    }
+    case "terminate":
+      if (needBooted()) return needBooted();
+      if (!dev.running[rest[0]]) return fakeErr(3, `found nothing to terminate for ${rest[0]}`);
+      delete dev.running[rest[0]];
+      fakeResetUi(world, dev);
+      return fakeOk();
+    case "get_app_container": {
+      if (needDevice()) return needDevice();
+      const [bundleId, type = "app"] = rest;
+      if (!dev.installed.includes(bundleId)) return fakeErr(2, `No such file or directory: ${bundleId}`);
+      const dir = path.join(path.dirname(worldFile), ".ios-sim-fake-containers", dev.udid, bundleId, type);
+      fs.mkdirSync(dir, { recursive: true });
+      return fakeOk(dir + "\n");
+    }
+    case "privacy": {
+      if (needBooted()) return needBooted();
+      const [action, service, bundleId] = rest;
+      if (!["grant", "revoke", "reset"].includes(action)) return fakeErr(64, `Unknown privacy action: ${action}`);
+      if (!FAKE_PRIVACY_SERVICES.includes(service)) return fakeErr(64, `Unknown privacy service: ${service}`);
+      const grants = (dev.privacy[bundleId] ||= {});
+      if (action === "reset") delete grants[service];
+      else grants[service] = action === "grant" ? "granted" : "revoked";
+      return fakeOk();
+    }
+    case "push": {
+      if (needBooted()) return needBooted();
+      const [bundleId, payloadFile] = rest;
+      if (!dev.installed.includes(bundleId)) return fakeErr(1, `Unable to deliver notification: application "${bundleId}" is not installed`);
+      let payload;
+      try {
+        payload = JSON.parse(fs.readFileSync(payloadFile, "utf8"));
+      } catch {
+        return fakeErr(1, `Invalid JSON payload: ${payloadFile}`);
+      }
+      dev.pushes.push({ bundleId, payload });
+      return fakeOk(`Notification sent to '${bundleId}'\n`);
+    }
+    case "spawn": {
+      if (needBooted()) return needBooted();
+      if (rest[0] === "log") return fakeOk(dev.logs);
+      if (rest[0] !== "defaults") return fakeErr(1, `spawn ${rest[0]} is not supported by the fake backend`);
+      // defaults write <domain> <key> -string <v> | -array <v...>; defaults read <domain> [<key>]
+      const [, op, domain, key, type, ...values] = rest;
+      const store = ((dev.defaults ??= {})[domain] ??= {});
+      if (op === "write") {
+        store[key] = type === "-array" ? values : values[0];
+        return fakeOk();
+      }
+      if (op === "read") {
+        const value = key ? store[key] : store;
+        if (value === undefined) return fakeErr(1, `The domain/default pair of (${domain}, ${key}) does not exist`);
+        return fakeOk(JSON.stringify(value) + "\n");
+      }
+      return fakeErr(1, `defaults ${op} is not supported by the fake backend`);
+    }
+    case "ui": {
+      if (needBooted()) return needBooted();
+      const [option, value] = rest;
+      if (option === "appearance") {
+        if (value === undefined) return fakeOk(`${dev.appearance ?? "light"}\n`);
+        if (!["light", "dark"].includes(value)) return fakeErr(64, `Invalid appearance: ${value}`);
+        dev.appearance = value;
+        return fakeOk();
+      }
+      if (option === "content_size") {
+        const current = dev.contentSize ?? "large";
+        if (value === undefined) return fakeOk(`${current}\n`);
+        const at = CONTENT_SIZES.indexOf(current);
+        const next = value === "increment" ? CONTENT_SIZES[Math.min(at + 1, CONTENT_SIZES.length - 1)]
+          : value === "decrement" ? CONTENT_SIZES[Math.max(at - 1, 0)]
+          : value;
+        if (!CONTENT_SIZES.includes(next)) return fakeErr(64, `Invalid content size: ${value}`);
+        dev.contentSize = next;
+        return fakeOk();
+      }
+      if (option === "increase_contrast") {
+        if (value === undefined) return fakeOk(`${dev.increaseContrast ? "enabled" : "disabled"}\n`);
+        if (!["enabled", "disabled"].includes(value)) return fakeErr(64, `Invalid increase contrast value: ${value}`);
+        dev.increaseContrast = value === "enabled";
+        return fakeOk();
+      }
+      return fakeErr(1, `ui ${option} is not supported by the fake backend`);
+    }
+    case "status_bar": {
+      // status_bar <udid> override --<field> <value>... | clear | list; list prints one "field: value" line each.
+      if (needBooted()) return needBooted();
+      const [op, ...opts] = rest;
+      const bar = (dev.statusBar ??= {});
+      if (op === "list") {
+        const lines = Object.entries(bar).map(([k, v]) => `${k}: ${v}\n`).join("");
+        return fakeOk(`Current Status Bar Overrides:\n=============================\n${lines}`);
+      }
+      if (op === "clear") {
+        dev.statusBar = {};
+        return fakeOk();
+      }
+      if (op !== "override") return fakeErr(64, `Unknown status_bar operation: ${op}`);
+      for (let i = 0; i < opts.length; i += 2) {
+        const key = opts[i].replace(/^--/, "");
+        if (!Object.hasOwn(STATUS_BAR_FIELDS, key) || opts[i + 1] === undefined) return fakeErr(64, `Invalid status_bar option: ${opts[i]}`);
+        bar[key] = opts[i + 1];
+      }
+      return fakeOk();
+    }
+    default:
+      return fakeErr(1, `simctl ${sub} is not supported by the fake backend`);
+  }
+}
+
+function fakeIdb(world, args) {
+  const udidAt = args.indexOf("--udid");
+  const id = udidAt >= 0 ? args[udidAt + 1] : null;
+  const dev = world.devices.find((d) => d.udid === id);
+  if (!dev) return fakeErr(1, `Target with udid ${id} is not available`);
+  if (dev.state !== "Booted") return fakeErr(1, `Target ${id} is not booted`);
+  const positional = args.filter((a, i) => !a.startsWith("--") && !(i > 0 && args[i - 1].startsWith("--")));
+  const [group, op, ...rest] = positional;
+
+  if (group === "text") {
+    const elements = world.screens[dev.ui.screen] || [];
+    const focused = dev.ui.focus !== null ? elements[dev.ui.focus] : null;
+    if (focused) {
+      const key = `${dev.ui.screen}#${dev.ui.focus}`;
+      const typed = focused.type === "SecureTextField" ? "•".repeat(op.length) : op;
+      dev.ui.values[key] = (dev.ui.values[key] ?? focused.AXValue ?? "") + typed;
+    }
+    return fakeOk();
+  }
+  if (group !== "ui") return fakeErr(1, `idb ${group} is not supported by the fake backend`);
+
+  switch (op) {
+    case "describe-all":
+      return fakeOk(JSON.stringify(fakeElements(world, dev)));
+    case "tap": {
+      const [x, y] = rest.map(Number);
+      const hit = fakeHitTest(fakeElements(world, dev), x, y);
+      dev.ui.focus = hit && FAKE_TEXT_TYPES.includes(hit.el.type) ? hit.index : null;
+      if (hit) fakeTransition(world, dev, { tap: elementLabel(hit.el) });
+      return fakeOk();
+    }
+    case "swipe": {
+      const [x1, y1, x2, y2] = rest.map(Number);
+      const dx = x2 - x1;
+      const dy = y2 - y1;
+      const direction = Math.abs(dy) >= Math.abs(dx) ? (dy < 0 ? "up" : "down") : (dx < 0 ? "left" : "right");
+      if (fakeTransition(world, dev, { swipe: direction })) return fakeOk();
+      dev.ui.offset = Math.max(0, Math.min(fakeMaxOffset(world, dev), dev.ui.offset - dy));
+      return fakeOk();
+    }
+    case "button":
+      if (!fakeTransition(world, dev, { button: rest[0] }) && normalise(rest[0]) === "home") fakeResetUi(world, dev);
+      return fakeOk();
+    default:
+      return fakeErr(1, `idb ui ${op} is not supported by the fake backend`);
+  }
+}
+
+function createFakeBackend({ fixture = null, worldFile }) {
+  const fixturePath = fixture ? path.resolve(fixture) : null;
+
+  // Re-seeds whenever the fixture (or its contents) changed since the world was created.
+  const load = () => {
+    let mtimeMs = null;
+    if (fixturePath) {
+      try {
+        mtimeMs = fs.statSync(fixturePath).mtimeMs;
+      } catch {
+        fail("Fake backend fixture not found", { fixture: fixturePath }, "E_FILE_NOT_FOUND");
+      }
+    }
+    const seed = { fixture: fixturePath, mtimeMs };
+    let world = null;
+    try {
+      world = JSON.parse(fs.readFileSync(worldFile, "utf8"));
+    } catch {}
+    if (world && world.seed?.fixture === seed.fixture && world.seed?.mtimeMs === seed.mtimeMs) return world;
+    let fx = FAKE_DEFAULT_FIXTURE;
+    if (fixturePath) {
+      try {
+        fx = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+      } catch (e) {
+        fail("Fake backend fixture is not valid JSON", { fixture: fixturePath, error: e.message }, "E_INVALID_FILE");
+      }
+    }
+    return fakeWorldFromFixture(fx, seed);
+  };
+
+  const invoke = (label, handler) => async (args, { allowNonZero = false, ...opts } = {}) => {
+    const world = load();
+    const res = handler(world, args, { ...opts, worldFile });
+    writeStateFile(worldFile, world); // atomic, so a concurrent invocation never reads half a world
+    if (res.code !== 0 && !allowNonZero) throw commandError(label, args, res);
+    return res;
+  };
+
+  return {
+    name: "fake",
+    worldFile,
+    simctl: invoke("xcrun simctl", fakeSimctl),
+    idb: invoke("idb", fakeIdb),
+    hasIdb: () => true,
+  };
+}
+
+// ---- record / replay ----
+//
+// `--record <session.jsonl>` wraps the active backend and appends every simctl/idb call
+// (args, stdin, stdout, stderr, exit code, duration) to a JSONL session. `--replay` serves
+// those results back in order without spawning anything and fails on the first call that
+// differs from the recording, so a session from a macOS node reproduces anywhere.
+
+const SESSION_VERSION = 1;
+
+// Temp-file names embed a timestamp (push payloads, screenshots); ignore it when matching.
+function replayArgs(args) {
+  return args.map((a) => String(a).replace(/\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z/g, "<time>"));
+}
+
+// simctl writes screenshots to disk; sessions carry the PNG so replay can recreate the file.
+function screenshotOutput(cmd, args) {
+  return cmd === "simctl" && args[0] === "io" && args[2] === "screenshot" ? args[3] : null;
+}
+
+function toolLabel(cmd) {
+  return cmd === "simctl" ? "xcrun simctl" : cmd;
+}
+
+function createRecordingBackend(inner, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const header = { type: "session", version: SESSION_VERSION, backend: inner.name, argv: process.argv.slice(2), startedAt: new Date().toISOString() };
+  fs.writeFileSync(file, JSON.stringify(header) + "\n", "utf8");
+
+  let seq = 0;
+  // Lines are appended as calls complete so a crashed run still leaves a usable prefix.
+  const wrap = (cmd) => async (args, { allowNonZero = false, ...opts } = {}) => {
+    const entry = { type: "call", seq: ++seq, cmd, args, stdin: opts.stdin ?? null };
+    const start = Date.now();
+    let res;
+    try {
+      res = await inner[cmd](args, { ...opts, allowNonZero: true });
+    } catch (e) {
+      // The code (E_NO_XCRUN, EACCES, ...) lets replay rebuild an error that classifies the same way.
+      const failure = { error: e?.message || String(e), ...(e?.code ? { errorCode: e.code } : {}), ...(e instanceof CliError ? { errorExtra: e.extra } : {}) };
+      fs.appendFileSync(file, JSON.stringify({ ...entry, ...failure, ms: Date.now() - start }) + "\n", "utf8");
+      throw e;
+    }
+    Object.assign(entry, { code: res.code, signal: res.signal ?? null, stdout: res.stdout, stderr: res.stderr, ms: Date.now() - start });
+    const shot = screenshotOutput(cmd, args);
+    if (shot && res.code === 0 && fs.existsSync(shot)) entry.file = fs.readFileSync(shot).toString("base64");
+    fs.appendFileSync(file, JSON.stringify(entry) + "\n", "utf8");
+    if (res.code !== 0 && !allowNonZero) throw commandError(toolLabel(cmd), args, res);
+    return res;
+  };
+
+  return { ...inner, simctl: wrap("simctl"), idb: wrap("idb"), recording: file };
+}
+
+function loadSession(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch {
+    fail("Replay session not found", { replay: file }, "E_FILE_NOT_FOUND");
+  }
+  const entries = raw.split("\n").filter((l) => l.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      fail(`Replay session has invalid JSON on line ${i + 1}`, { replay: file }, "E_INVALID_FILE");
+    }
+  });
+  const header = entries[0];
+  if (header?.type !== "session" || header.version !== SESSION_VERSION) {
+    fail(`Not a version ${SESSION_VERSION} session file`, { replay: file, header: header ?? null }, "E_INVALID_FILE");
+  }
+  return { header, calls: entries.filter((e) => e.type === "call") };
+}
+
+// A recorded call that threw (e.g. the tool was not installed), as the same kind of error.
+function replayedError(entry) {
+  if (/^E_[A-Z_]+$/.test(entry.errorCode ?? "")) return new CliError(entry.error, entry.errorExtra ?? {}, entry.errorCode);
+  return Object.assign(new Error(entry.error), entry.errorCode ? { code: entry.errorCode } : {});
+}
+
+function createReplayBackend(file) {
+  const { header, calls } = loadSession(file);
+  let next = 0;
+  let divergence = null;
+
+  const serve = (cmd) => async (args, { stdin = null, allowNonZero = false } = {}) => {
+    // Once diverged, every later call fails too, so commands that swallow errors can't mask it.
+    if (divergence) fail(divergence.message, divergence.extra, "E_REPLAY_MISMATCH");
+    const entry = calls[next];
+    const actual = { cmd, args: args.map(String), stdin };
+    const same = entry && entry.cmd === cmd &&
+      JSON.stringify(replayArgs(entry.args)) === JSON.stringify(replayArgs(args)) &&
+      (entry.stdin ?? null) === (stdin ?? null);
+    if (!same) {
+      divergence = {
+        message: entry
+          ? `Replay diverged at call ${next + 1}: expected \`${toolLabel(entry.cmd)} ${entry.args.join(" ")}\`, got \`${toolLabel(cmd)} ${args.join(" ")}\``
+          : `Replay diverged at call ${next + 1}: the session has only ${calls.length} calls, got \`${toolLabel(cmd)} ${args.join(" ")}\``,
+        extra: { replay: file, call: next + 1, expected: entry ? { cmd: entry.cmd, args: entry.args, stdin: entry.stdin ?? null } : null, actual },
+      };
+      fail(divergence.message, divergence.extra, "E_REPLAY_MISMATCH");
+    }
+    next++;
+
+    if (entry.error) throw replayedError(entry);
+    const shot = screenshotOutput(cmd, args);
+    if (shot && entry.file) {
+      fs.mkdirSync(path.dirname(shot), { recursive: true });
+      fs.writeFileSync(shot, Buffer.from(entry.file, "base64"));
+    }
+    const res = { code: entry.code, signal: entry.signal ?? null, stdout: entry.stdout ?? "", stderr: entry.stderr ?? "" };
+    if (res.code !== 0 && !allowNonZero) throw commandError(toolLabel(cmd), args, res);
+    return res;
+  };
+
+  return {
+    name: "replay",
+    session: header,
+    simctl: serve("simctl"),
+    idb: serve("idb"),
+    hasIdb: () => true,
+    // Called after the command finished: a swallowed divergence or unused calls are failures.
+    finish() {
+      if (divergence) return divergence;
+      if (next < calls.length) {
+        const e = calls[next];
+        return {
+          message: `Replay diverged: ${calls.length - next} recorded calls were not made (next: \`${toolLabel(e.cmd)} ${e.args.join(" ")}\`)`,
+          extra: { replay: file, call: next + 1, remaining: calls.length - next },
+        };
+      }
+      return null;
+    },
+  };
+}
+
+// ---- serve (JSON-RPC over HTTP) ----
+//
+// `serve` keeps one process alive so repeated calls skip Node startup and UDID resolution.
+// Every CLI command is a JSON-RPC 2.0 method named after its words ("ui.tap", "app.launch"),
+// with the camelCased flags as params. Results are the objects the CLI would print.
+
+const RPC_PARSE_ERROR = -32700;
+const RPC_INVALID_REQUEST = -32600;
+const RPC_METHOD_NOT_FOUND = -32601;
+const RPC_INVALID_PARAMS = -32602;
+const RPC_COMMAND_ERROR = -32000;
+const RPC_MAX_BODY_BYTES = 16 * 1024 * 1024;
+const LOOPBACK_HOSTS = ["127.0.0.1", "::1", "localhost"];
+// Only callable when the server was started with --allow-dangerous (serve) or listed with it (mcp).
+const RPC_DANGEROUS = ["erase", "delete"];
+
+// `device` methods run against a resolved UDID and are serialised per device. `params` maps
+// the flag-style params onto the cmd* options where they differ.
+const withInput = (p) => ({ ...p, input: p.text ?? p.value });
+const withAction = (action) => (p) => ({ ...p, action, service: Array.isArray(p.service) ? p.service.join(",") : p.service });
+const withSetting = (setting) => (p) => ({ ...p, setting });
+
+const RPC_METHODS = {
+  health: { fn: cmdHealth },
+  list: { fn: cmdList },
+  ensure: { fn: cmdEnsure },
+  "session.list": { fn: cmdSessionList },
+  "session.show": { fn: cmdSessionShow },
+  "session.release": { fn: cmdSessionRelease },
+  "list.runtimes": { fn: cmdListRuntimes },
+  "list.device-types": { fn: cmdListDeviceTypes },
+  select: { fn: cmdSelect },
+  create: { fn: cmdCreate },
+  boot: { fn: cmdBoot, device: true },
+  shutdown: { fn: cmdShutdown, device: true },
+  erase: { fn: cmdErase, device: true },
+  delete: { fn: cmdDelete, device: true },
+  screenshot: { fn: cmdScreenshot, device: true },
+  "image.diff": { fn: cmdImageDiff },
+  openurl: { fn: cmdOpenUrl, device: true },
+  "settings.appearance": { fn: cmdSettingsSet, device: true, params: withSetting("appearance") },
+  "settings.content-size": { fn: cmdSettingsSet, device: true, params: withSetting("content-size") },
+  "settings.increase-contrast": { fn: cmdSettingsSet, device: true, params: withSetting("increase-contrast") },
+  "settings.show": { fn: cmdSettingsShow, device: true },
+  "status-bar.override": { fn: cmdStatusBarOverride, device: true },
+  "status-bar.clear": { fn: cmdStatusBarClear, device: true },
+  "status-bar.show": { fn: cmdStatusBarShow, device: true },
+  "clipboard.get": { fn: cmdClipboardGet, device: true },
+  "clipboard.set": { fn: cmdClipboardSet, device: true, params: withInput },
+  "app.install": { fn: cmdAppInstall, device: true },
+  "app.uninstall": { fn: cmdAppUninstall, device: true },
+  "app.launch": { fn: cmdAppLaunch, device: true, params: (p) => ({ ...p, passthroughArgs: (p.args || []).map(String) }) },
+  "app.terminate": { fn: cmdAppTerminate, device: true },
+  "app.container": { fn: cmdAppContainer, device: true },
+  "privacy.grant": { fn: cmdPrivacy, device: true, params: withAction("grant") },
+  "privacy.revoke": { fn: cmdPrivacy, device: true, params: withAction("revoke") },
+  "privacy.reset": { fn: cmdPrivacy, device: true, params: withAction("reset") },
+  push: { fn: cmdPush, device: true, params: (p) => ({ ...p, payload: p.payload && typeof p.payload === "object" ? JSON.stringify(p.payload) : p.payload }) },
+  "logs.show": { fn: cmdLogsShow, device: true },
+  "ui.summary": { fn: cmdUiSummary, device: true },
+  "ui.tree": { fn: cmdUiTree, device: true },
+  "ui.outline": { fn: cmdUiOutline, device: true },
+  "ui.snapshot": { fn: cmdUiSnapshot, device: true },
+  "ui.diff": { fn: cmdUiDiff, device: true },
+  "ui.find": { fn: cmdUiFind, device: true },
+  "ui.tap": { fn: cmdUiTap, device: true },
+  "ui.type": { fn: cmdUiType, device: true, params: withInput },
+  "ui.button": { fn: cmdUiButton, device: true },
+  "ui.swipe": { fn: cmdUiSwipe, device: true },
+  "ui.long-press": { fn: cmdUiLongPress, device: true },
+  "ui.drag": { fn: cmdUiDrag, device: true },
+  "ui.scroll-to": { fn: cmdUiScrollTo, device: true },
+  "ui.wait": { fn: cmdUiWait, device: true },
+  "ui.assert": { fn: cmdUiAssert, device: true },
+  run: { fn: cmdRun, device: true },
+};
+
+// The message/extra/code reported for any thrown error, shared by the CLI and `serve`.
+function errorDetails(e) {
+  if (e instanceof CliError) return { message: e.message, extra: e.extra, code: e.code };
+  if (e instanceof CommandError) {
+    const stderr = e.stderr.trim();
+    return { message: e.message, extra: { exitCode: e.exitCode, ...(stderr ? { stderr } : { stdout: e.stdout.trim() || undefined }) }, code: e.code };
+  }
+  return { message: e?.message || String(e), extra: { stderr: e?.stderr, stdout: e?.stdout }, code: "E_INTERNAL" };
+}
+
+// Per-key promise chains. Key "*" (select/create and commands with --all) waits for everything
+// queued before it, and everything queued after it waits for it.
+function createLocks() {
+  const tails = new Map();
+  const withLock = (key, task) => {
+    const before = key === "*" ? [...tails.values()] : [tails.get(key), tails.get("*")];
+    const run = Promise.all(before).then(task);
+    const tail = run.then(() => {}, () => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return run;
+  };
+  const settled = (key) => tails.get(key);
+  return { withLock, settled };
+}
+
+// `blocked` methods answer "method not found", as if they did not exist.
+function createRpcDispatcher({ stateFile, blocked = [] }) {
+  const { withLock, settled } = createLocks();
+  // Promise of the default UDID, resolved once (state file, then simctl list) rather than per
+  // request. Kept as a promise so concurrent requests share one resolution and keep their order.
+  let defaultUdid = null;
+
+  const callMethod = async (method, params = {}) => {
+    const spec = RPC_METHODS[method];
+    const { udid: requestedUdid, stateFile: _sf, pretty: _p, ...rest } = params;
+    const opts = spec.params ? spec.params(rest) : rest;
+    delete opts.text;
+    const invoke = (udid) => spec.fn({ ...opts, ...(udid ? { udid } : {}), stateFile, _internalCall: true });
+
+    if (method === "select" || method === "create") {
+      return await withLock("*", async () => {
+        const res = await invoke();
+        defaultUdid = Promise.resolve(method === "select" ? res.selected.udid : res.created.udid);
+        return res;
+      });
+    }
+    if (!spec.device) return await invoke();
+    if (toBool(opts.all, false)) return await withLock("*", () => invoke());
+
+    let udid;
+    if (opts.device !== undefined) {
+      udid = await resolveUdid({ udid: logicalDeviceUdids(stateFile, opts.device), stateFile });
+    } else if (requestedUdid) {
+      udid = await resolveUdid({ udid: requestedUdid, stateFile });
+    } else {
+      await settled("*"); // a select in flight may change the default
+      defaultUdid ??= resolveUdid({ stateFile });
+      try {
+        udid = await defaultUdid;
+      } catch (e) {
+        defaultUdid = null;
+        throw e;
+      }
+    }
+    const res = await withLock(udid, () => invoke(udid));
+    if (method === "delete") defaultUdid = null; // re-resolve in case the default was deleted
+    return res;
+  };
+  const call = (method, params) => collectWarnings(() => callMethod(method, params));
+
+  // One JSON-RPC request object -> response object (null for notifications).
+  const handle = async (req) => {
+    const id = req && typeof req === "object" && "id" in req ? req.id : null;
+    const reply = (body) => ("id" in (req || {}) ? { jsonrpc: "2.0", id, ...body } : null);
+    if (!req || typeof req !== "object" || Array.isArray(req) || req.jsonrpc !== "2.0" || typeof req.method !== "string") {
+      return { jsonrpc: "2.0", id, error: { code: RPC_INVALID_REQUEST, message: "Invalid JSON-RPC 2.0 request" } };
+    }
+    if (!Object.hasOwn(RPC_METHODS, req.method)) {
+      return reply({ error: { code: RPC_METHOD_NOT_FOUND, message: `Unknown method: ${req.method}` } });
+    }
+    if (blocked.includes(req.method)) {
+      return reply({ error: { code: RPC_METHOD_NOT_FOUND, message: `${req.method} is disabled; start serve with --allow-dangerous to enable it` } });
+    }
+    if (req.params !== undefined && (!req.params || typeof req.params !== "object" || Array.isArray(req.params))) {
+      return reply({ error: { code: RPC_INVALID_PARAMS, message: "params must be an object of camelCased flags" } });
+    }
+    try {
+      return reply({ result: await call(req.method, req.params) });
+    } catch (e) {
+      const { message, extra, code } = errorDetails(e);
+      const hint = errorInfo(code).hint;
+      return reply({ error: { code: RPC_COMMAND_ERROR, message, data: { code, ...extra, ...(hint ? { hint } : {}) } } });
+    }
+  };
+
+  return { handle, call, methods: Object.keys(RPC_METHODS).filter((m) => !blocked.includes(m)) };
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new CliError("Request body too large", { limit }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function tokensMatch(given, expected) {
+  const a = crypto.createHash("sha256").update(String(given)).digest();
+  const b = crypto.createHash("sha256").update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Host header without the port: "127.0.0.1:8765" -> "127.0.0.1", "[::1]:8765" -> "::1".
+function hostHeaderName(value) {
+  return String(value ?? "").replace(/:\d+$/, "").replace(/^\[(.*)\]$/, "$1").toLowerCase();
+}
+
+// Why a request must be refused before it is read, or null. Browsers always send Origin on
+// cross-site POSTs and cannot send application/json without a CORS preflight (which gets a 405),
+// and checking Host defeats DNS rebinding, so a web page cannot reach the server.
+function serveRejection(req, secret) {
+  if (req.headers.origin !== undefined) return [403, "Requests with an Origin header are refused (browser requests are not allowed)"];
+  if (!LOOPBACK_HOSTS.includes(hostHeaderName(req.headers.host))) return [403, "Host header must be a loopback address"];
+  if (!tokensMatch((req.headers.authorization || "").replace(/^Bearer\s+/i, ""), secret)) return [401, "Missing or wrong bearer token"];
+  if (req.method !== "POST") return [405, "POST a JSON-RPC 2.0 request"];
+  if (!/^application\/json\s*(;|$)/i.test(req.headers["content-type"] || "")) return [415, "Content-Type must be application/json"];
+  return null;
+}
+
+async function cmdServe({ port, host, token, allowDangerous, stateFile, pretty, text }) {
+  const p = toNumber(port, 8765);
+  if (!Number.isInteger(p) || p < 0 || p > 65535) fail("Invalid --port (expected 0..65535)", { port });
+  const h = host === undefined ? "127.0.0.1" : String(host);
+  if (!LOOPBACK_HOSTS.includes(h)) fail("serve only listens on loopback (--host 127.0.0.1|::1|localhost)", { host: h });
+  if (token !== undefined && (typeof token !== "string" || !token)) fail("Missing value for --token");
+  // Without a token of their own, callers use the one generated here and printed on start.
+  const given = token ?? process.env.IOS_SIM_SERVE_TOKEN ?? null;
+  const secret = given ?? crypto.randomBytes(24).toString("base64url");
+  const dangerous = toBool(allowDangerous, false) || toBool(process.env.IOS_SIM_SERVE_ALLOW_DANGEROUS, false);
+
+  const rpc = createRpcDispatcher({ stateFile, blocked: dangerous ? [] : RPC_DANGEROUS });
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(JSON.stringify(body) + "\n");
+    };
+    const rejection = serveRejection(req, secret);
+    if (rejection) {
+      const [status, message] = rejection;
+      send(status, { jsonrpc: "2.0", id: null, error: { code: RPC_INVALID_REQUEST, message } });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req, RPC_MAX_BODY_BYTES));
+    } catch (e) {
+      const tooLarge = e instanceof CliError;
+      send(tooLarge ? 413 : 400, { jsonrpc: "2.0", id: null, error: { code: tooLarge ? RPC_INVALID_REQUEST : RPC_PARSE_ERROR, message: tooLarge ? e.message : "Parse error" } });
+      return;
+    }
+
+    // Batch entries run in order, like the steps of a flow. Separate HTTP requests run
+    // concurrently, serialised per device by the locks.
+    if (Array.isArray(payload)) {
+      if (!payload.length) {
+        send(400, { jsonrpc: "2.0", id: null, error: { code: RPC_INVALID_REQUEST, message: "Empty batch" } });
+        return;
+      }
+      const replies = [];
+      for (const entry of payload) {
+        const reply = await rpc.handle(entry);
+        if (reply) replies.push(reply);
+      }
+      if (replies.length) send(200, replies);
+      else res.writeHead(204).end();
+      return;
+    }
+    const reply = await rpc.handle(payload);
+    if (reply) send(200, reply);
+    else res.writeHead(204).end();
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", (e) => reject(e?.code === "EADDRINUSE" ? new CliError(`Port ${p} is already in use`, { port: p }) : e));
+    server.listen(p, h, resolve);
+  });
+
+  const address = server.address();
+  const url = `http://${address.family === "IPv6" ? `[${address.address}]` : address.address}:${address.port}/`;
+  emit({
+    ok: true,
+    url,
+    pid: process.pid,
+    auth: "bearer",
+    ...(given ? {} : { token: secret }),
+    backend: backend.name,
+    dangerous,
+    methods: rpc.methods,
+    summary: [
+      `Serving JSON-RPC on ${url}`,
+      given ? "Bearer token: the one given with --token/IOS_SIM_SERVE_TOKEN" : `Bearer token: ${secret}`,
+      ...(dangerous ? [] : ["erase/delete are disabled (start with --allow-dangerous to enable)"]),
+      "Stop with Ctrl+C.",
+    ],
+  }, { pretty, text });
+
+  // Resolve once the server has closed so main() (and --record/--replay bookkeeping) can finish.
+  await new Promise((resolve) => {
+    const stop = () => server.close(resolve);
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+  });
+}
+
+// ---- mcp (Model Context Protocol over stdio) ----
+//
+// `mcp` reads newline-delimited JSON-RPC from stdin and answers on stdout. Commands are tools
+// named like the RPC methods with "_" for separators (ui.scroll-to -> ui_scroll_to) and are run
+// through the same dispatcher as `serve`. erase/delete are only listed with --allow-dangerous.
+
+const MCP_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+const MCP_SERVER_INFO = { name: "ios-sim", version: "1.0.0" };
+
+const schemaStr = (description, extra = {}) => ({ type: "string", description, ...extra });
+const schemaNum = (description) => ({ type: "number", description });
+const schemaBool = (description) => ({ type: "boolean", description });
+
+const MCP_UDID = {
+  udid: schemaStr("Simulator UDID; defaults to the selected simulator"),
+  device: schemaStr("Logical device name from ios-sim.config.json, set up by ensure (instead of udid)"),
+};
+const MCP_TARGET = {
+  query: schemaStr("Fuzzy match on accessibility label/value"),
+  selector: schemaStr('Structured selector, e.g. type=Button label="Log in" index=1'),
+  ref: schemaStr("Element ref from ui_outline, e.g. e12"),
+  x: schemaNum("X in points (with y)"),
+  y: schemaNum("Y in points (with x)"),
+};
+const MCP_BUNDLE = { bundleId: schemaStr("App bundle identifier, e.g. com.example.App") };
+const MCP_DIRECTION = schemaStr("Swipe direction", { enum: ["up", "down", "left", "right"] });
+const MCP_COMPARE = {
+  threshold: schemaNum("Allowed percentage of differing pixels (default 0)"),
+  pixelThreshold: schemaNum("Per-pixel colour distance 0..1 treated as equal (default 0.1)"),
+  ignore: schemaStr("Regions to ignore: x,y,w,h[;x,y,w,h...]"),
+};
+const MCP_PRIVACY = {
+  ...MCP_UDID,
+  ...MCP_BUNDLE,
+  service: {
+    description: "Privacy service(s): all, calendar, contacts, location, location-always, photos, photos-add, media-library, microphone, motion, reminders, siri",
+    anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+  },
+};
+
+// tool -> [description, properties, required]. Properties are the RPC params (camelCased flags).
+const MCP_TOOLS = {
+  health: ["Check that simctl (and optionally idb) are usable", {}],
+  list: ["List simulators: booted ones by default, or every device matching the filters", {
+    state: schemaStr("Device state, e.g. Booted or Shutdown"),
+    name: schemaStr("Device name substring"),
+    runtime: schemaStr("Runtime substring, e.g. iOS 17"),
+    all: schemaBool("Include unavailable devices"),
+    full: schemaBool("Return the raw simctl list instead (large)"),
+  }],
+  list_runtimes: ["List simulator runtimes with versions, availability and supported device types", {}],
+  list_device_types: ["List simulator device types and the available runtimes that support them", {}],
+  select: ["Pick the default simulator by name/runtime substring (optionally boot it)", {
+    name: schemaStr("Device name substring, e.g. iPhone 15"),
+    runtime: schemaStr("Runtime substring, e.g. iOS 17"),
+    boot: schemaBool("Boot it after selecting"),
+    wait: schemaBool("Wait for Booted (default true)"),
+  }, ["name"]],
+  session_list: ["List the sessions in the state file with their devices and leases", {}],
+  session_show: ["Show this server's session: device, lease and element refs", {}],
+  session_release: ["Release this server's session and its device lease", {}],
+  ensure: ["Create or reuse the simulators declared in ios-sim.config.json and apply their locale, appearance and apps", {
+    config: schemaStr("Config file path (default ./ios-sim.config.json)"),
+    device: schemaStr("Only these logical names, comma-separated"),
+    boot: schemaBool("Boot the devices (needed to apply locale, appearance and apps)"),
+  }],
+  create: ["Create a simulator", {
+    name: schemaStr("Name for the new device"),
+    deviceType: schemaStr("Device type substring, e.g. iPhone 15"),
+    runtime: schemaStr("Runtime substring, e.g. iOS 17"),
+  }, ["name", "deviceType", "runtime"]],
+  boot: ["Boot a simulator", { ...MCP_UDID, wait: schemaBool("Wait for Booted (default true)"), timeout: schemaNum("Wait timeout in seconds (default 120)") }],
+  shutdown: ["Shut down a simulator (or all)", { ...MCP_UDID, all: schemaBool("Shut down every simulator") }],
+  erase: ["DANGEROUS: erase all content and settings of a shut-down simulator", { ...MCP_UDID, all: schemaBool("Erase every simulator") }],
+  delete: ["DANGEROUS: delete a simulator", MCP_UDID],
+  screenshot: ["Take a screenshot; returned as image content (with matrix, as the list of files written)", {
+    ...MCP_UDID,
+    out: schemaStr("Also write the PNG to this path"),
+    annotate: schemaBool("Draw numbered boxes on interactive elements (numbers match ui_outline refs)"),
+    maxWidth: schemaNum("Downscale to at most this many pixels wide"),
+    scale: schemaNum("Downscale factor in (0, 1]"),
+    crop: schemaStr("Crop region in points: x,y,w,h"),
+    element: schemaStr("Crop to the element best matching this query"),
+    elementSelector: schemaStr("Crop to the element matching this selector"),
+    padding: schemaNum("Padding around element crops, in points (default 8)"),
+    compare: schemaStr("Baseline PNG to compare the raw capture against"),
+    ...MCP_COMPARE,
+    ignore: schemaStr("Regions to ignore when comparing, in points: x,y,w,h[;...]"),
+    ignoreStatusBar: schemaBool("Ignore the status bar when comparing"),
+    ignoreQuery: schemaStr("Ignore the frame of the element matching this query when comparing"),
+    ignoreSelector: schemaStr("Ignore the frames of elements matching this selector when comparing"),
+    diffOut: schemaStr("Where to write the diff PNG"),
+    statusBar: schemaStr("Apply this status bar preset for the capture, then restore", { enum: Object.keys(STATUS_BAR_PRESETS) }),
+    matrix: schemaStr("Directory for one capture per appearance x content size (<appearance>-<size>.png) instead of a single shot"),
+    appearances: schemaStr("Matrix appearances, comma-separated (default light,dark)"),
+    contentSizes: schemaStr("Matrix content sizes, comma-separated (default all 12)"),
+    settle: schemaNum("Matrix: seconds to wait after changing settings (default 0.5)"),
+  }],
+  settings_appearance: ["Switch light/dark mode", { ...MCP_UDID, value: schemaStr("Appearance", { enum: CONFIG_APPEARANCES }) }, ["value"]],
+  settings_content_size: ["Set the Dynamic Type content size", {
+    ...MCP_UDID,
+    value: schemaStr("Content size category, or increment/decrement", { enum: [...CONTENT_SIZES, ...CONTENT_SIZE_STEPS] }),
+  }, ["value"]],
+  settings_increase_contrast: ["Turn the Increase Contrast accessibility setting on or off", { ...MCP_UDID, value: schemaStr("on or off", { enum: ["on", "off"] }) }, ["value"]],
+  settings_show: ["Show appearance, content size and increase contrast", MCP_UDID],
+  status_bar_override: ["Override the status bar (time, battery, signal, operator) for deterministic screenshots", {
+    ...MCP_UDID,
+    preset: schemaStr("Start from a preset; explicit fields win", { enum: Object.keys(STATUS_BAR_PRESETS) }),
+    time: schemaStr("Displayed time, e.g. 9:41"),
+    dataNetwork: schemaStr("Data network type", { enum: STATUS_BAR_FIELDS.dataNetwork }),
+    wifiMode: schemaStr("Wi-Fi mode", { enum: STATUS_BAR_FIELDS.wifiMode }),
+    wifiBars: schemaNum("Wi-Fi bars 0..3"),
+    cellularMode: schemaStr("Cellular mode", { enum: STATUS_BAR_FIELDS.cellularMode }),
+    cellularBars: schemaNum("Cellular bars 0..4"),
+    operatorName: schemaStr("Carrier name (empty to hide)"),
+    batteryState: schemaStr("Battery state", { enum: STATUS_BAR_FIELDS.batteryState }),
+    batteryLevel: schemaNum("Battery level 0..100"),
+  }],
+  status_bar_clear: ["Remove all status bar overrides", MCP_UDID],
+  status_bar_show: ["Show the active status bar overrides", MCP_UDID],
+  image_diff: ["Compare two PNG files", { a: schemaStr("Actual PNG"), b: schemaStr("Baseline PNG"), out: schemaStr("Diff PNG path"), ...MCP_COMPARE }, ["a", "b"]],
+  openurl: ["Open a URL (deep link) in the simulator", { ...MCP_UDID, url: schemaStr("URL to open") }, ["url"]],
+  clipboard_get: ["Read the simulator pasteboard", MCP_UDID],
+  clipboard_set: ["Write the simulator pasteboard", { ...MCP_UDID, text: schemaStr("Text to copy") }, ["text"]],
+  app_install: ["Install an .app bundle", { ...MCP_UDID, app: schemaStr("Path to the .app") }, ["app"]],
+  app_uninstall: ["Uninstall an app", { ...MCP_UDID, ...MCP_BUNDLE }, ["bundleId"]],
+  app_launch: ["Launch an app", { ...MCP_UDID, ...MCP_BUNDLE, args: { type: "array", items: { type: "string" }, description: "Launch arguments" } }, ["bundleId"]],
+  app_terminate: ["Terminate an app", { ...MCP_UDID, ...MCP_BUNDLE }, ["bundleId"]],
+  app_container: ["Get an app's container path", { ...MCP_UDID, ...MCP_BUNDLE, type: schemaStr("Container type", { enum: ["data", "app"] }) }, ["bundleId"]],
+  privacy_grant: ["Grant privacy permissions to an app", MCP_PRIVACY, ["bundleId", "service"]],
+  privacy_revoke: ["Revoke privacy permissions from an app", MCP_PRIVACY, ["bundleId", "service"]],
+  privacy_reset: ["Reset privacy permissions of an app", MCP_PRIVACY, ["bundleId", "service"]],
+  push: ["Send a push notification payload to an app", { ...MCP_UDID, ...MCP_BUNDLE, payload: { type: "object", description: 'APNs payload, e.g. {"aps":{"alert":"Hi"}}' } }, ["bundleId", "payload"]],
+  logs_show: ["Show recent simulator logs", { ...MCP_UDID, last: schemaStr("Time window, e.g. 5m (default)"), predicate: schemaStr("log show --predicate expression") }],
+  ui_summary: ["Compact summary of the interactive UI elements", { ...MCP_UDID, limit: schemaNum("Max elements (default 12)") }],
+  ui_tree: ["Full accessibility tree (large)", MCP_UDID],
+  ui_outline: ["Indented UI outline; interactive elements get refs like e12", MCP_UDID],
+  ui_snapshot: ["Save the UI tree under a name for ui_diff", { ...MCP_UDID, name: schemaStr("Snapshot name (default last)") }],
+  ui_diff: ["Diff the UI against a saved snapshot", { ...MCP_UDID, from: schemaStr("Snapshot name (default last)"), update: schemaBool("Save the current tree afterwards"), limit: schemaNum("Max changes listed (default 20)") }],
+  ui_find: ["Find UI elements", { ...MCP_UDID, query: MCP_TARGET.query, selector: MCP_TARGET.selector, limit: schemaNum("Max matches (default 20)") }],
+  ui_tap: ["Tap an element (query, selector or ref) or a point", { ...MCP_UDID, ...MCP_TARGET }],
+  ui_type: ["Type text into the focused field (or tap ref first)", { ...MCP_UDID, text: schemaStr("Text to type"), ref: MCP_TARGET.ref }, ["text"]],
+  ui_button: ["Press a hardware button", { ...MCP_UDID, name: schemaStr("Button", { enum: ["HOME", "LOCK", "SIRI", "SIDE_BUTTON", "APPLE_PAY"] }) }, ["name"]],
+  ui_swipe: ["Swipe on the screen or from an element", {
+    ...MCP_UDID,
+    direction: MCP_DIRECTION,
+    fromQuery: schemaStr("Start on the element matching this query"),
+    fromSelector: schemaStr("Start on the element matching this selector"),
+    x: MCP_TARGET.x,
+    y: MCP_TARGET.y,
+    distance: schemaNum("Distance in points"),
+    duration: schemaNum("Seconds"),
+  }, ["direction"]],
+  ui_long_press: ["Long-press an element or point", { ...MCP_UDID, ...MCP_TARGET, duration: schemaNum("Seconds (default 1)") }],
+  ui_drag: ["Drag between points or elements", {
+    ...MCP_UDID,
+    from: schemaStr("Start point x,y in points"),
+    to: schemaStr("End point x,y in points"),
+    fromQuery: schemaStr("Start on the element matching this query"),
+    toQuery: schemaStr("End on the element matching this query"),
+    fromSelector: schemaStr("Start on the element matching this selector"),
+    toSelector: schemaStr("End on the element matching this selector"),
+    duration: schemaNum("Seconds (default 1)"),
+  }],
+  ui_scroll_to: ["Swipe until an element is visible", {
+    ...MCP_UDID,
+    query: MCP_TARGET.query,
+    selector: MCP_TARGET.selector,
+    direction: MCP_DIRECTION,
+    container: schemaStr("Scroll region in points: x,y,w,h"),
+    maxSwipes: schemaNum("Give up after this many swipes (default 10)"),
+    distance: schemaNum("Swipe distance in points"),
+    duration: schemaNum("Swipe duration in seconds"),
+  }],
+  ui_wait: ["Wait for an element to appear/disappear or for the UI to settle", {
+    ...MCP_UDID,
+    query: MCP_TARGET.query,
+    selector: MCP_TARGET.selector,
+    gone: schemaBool("Wait for it to disappear"),
+    stable: schemaBool("Wait for the UI tree to stop changing"),
+    timeout: schemaNum("Seconds (default 10)"),
+    interval: schemaNum("Poll interval in seconds (default 0.5)"),
+  }],
+  ui_assert: ["Assert on a UI element; returns ok:false with details when a check fails", {
+    ...MCP_UDID,
+    query: MCP_TARGET.query,
+    selector: MCP_TARGET.selector,
+    exists: schemaBool("Element exists (default check)"),
+    notExists: schemaBool("Element does not exist"),
+    value: schemaStr("Exact value"),
+    valueContains: schemaStr("Value contains"),
+    enabled: schemaBool("Enabled state"),
+    count: schemaNum("Exact match count"),
+    minCount: schemaNum("Minimum match count"),
+    maxCount: schemaNum("Maximum match count"),
+    includeStatic: schemaBool("Also match static text"),
+  }],
+  run: ["Run a multi-step flow (see SKILL.md Flows)", {
+    ...MCP_UDID,
+    flow: { description: "Flow file path, or the flow itself ({steps:[...]} or an array of steps)", anyOf: [{ type: "string" }, { type: "object" }, { type: "array" }] },
+    continueOnError: schemaBool("Keep going after a failed step"),
+  }, ["flow"]],
+};
+
+const MCP_DANGEROUS = RPC_DANGEROUS;
+
+function mcpMethodFor(tool) {
+  return Object.keys(RPC_METHODS).find((m) => m.replace(/[.-]/g, "_") === tool) ?? null;
+}
+
+function mcpToolList({ allowDangerous }) {
+  return Object.entries(MCP_TOOLS)
+    .filter(([name]) => allowDangerous || !MCP_DANGEROUS.includes(name))
+    .map(([name, [description, properties, required = []]]) => ({
+      name,
+      description,
+      inputSchema: { type: "object", properties, ...(required.length ? { required } : {}), additionalProperties: false },
+    }));
+}
+
+// Tool results are the CLI result as JSON text; screenshots also come back as image content.
+function mcpContent(tool, result) {
+  if (tool === "screenshot" && result.base64) {
+    const { base64, ...rest } = result;
+    return [{ type: "image", data: base64, mimeType: "image/png" }, { type: "text", text: JSON.stringify(rest) }];
+  }
+  return [{ type: "text", text: JSON.stringify(result) }];
+}
+
+async function cmdMcp({ allowDangerous, stateFile }) {
+  const dangerous = toBool(allowDangerous, false) || toBool(process.env.IOS_SIM_MCP_ALLOW_DANGEROUS, false);
+  const rpc = createRpcDispatcher({ stateFile });
+  const send = (msg) => process.stdout.write(JSON.stringify({ jsonrpc: "2.0", ...msg }) + "\n");
+
+  const callTool = async (name, args = {}) => {
+    if (!Object.hasOwn(MCP_TOOLS, name) || (!dangerous && MCP_DANGEROUS.includes(name))) return null;
+    // The server-level opt-in is the confirmation for dangerous tools. Single screenshots are always
+    // inline; a matrix writes its files and comes back as the list of them.
+    const inline = name === "screenshot" && args.matrix === undefined;
+    const params = { ...args, ...(MCP_DANGEROUS.includes(name) ? { yes: true } : {}), ...(inline ? { base64: true } : {}) };
+    try {
+      const result = await rpc.call(mcpMethodFor(name), params);
+      return { content: mcpContent(name, result), isError: result?.ok === false };
+    } catch (e) {
+      const { message, extra, code } = errorDetails(e);
+      const hint = errorInfo(code).hint;
+      return { content: [{ type: "text", text: JSON.stringify({ ok: false, error: message, code, ...extra, ...(hint ? { hint } : {}) }) }], isError: true };
+    }
+  };
+
+  const handle = async (msg) => {
+    const isRequest = msg && typeof msg === "object" && "id" in msg && typeof msg.method === "string";
+    if (!isRequest) return; // notifications (initialized, cancelled) and stray responses
+    const { id, method, params = {} } = msg;
+    switch (method) {
+      case "initialize": {
+        const requested = params.protocolVersion;
+        const protocolVersion = MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0];
+        send({ id, result: { protocolVersion, capabilities: { tools: { listChanged: false } }, serverInfo: MCP_SERVER_INFO } });
+        return;
+      }
+      case "ping":
+        send({ id, result: {} });
+        return;
+      case "tools/list":
+        send({ id, result: { tools: mcpToolList({ allowDangerous: dangerous }) } });
+        return;
+      case "tools/call": {
+        const result = await callTool(params.name, params.arguments);
+        if (result) send({ id, result });
+        else send({ id, error: { code: RPC_INVALID_PARAMS, message: `Unknown tool: ${params.name}` } });
+        return;
+      }
+      default:
+        send({ id, error: { code: RPC_METHOD_NOT_FOUND, message: `Method not found: ${method}` } });
+    }
+  };
+
+  // Messages are handled as they arrive (a ping is not stuck behind a long flow); per-device
+  // ordering comes from the dispatcher's locks. Resolves once stdin closes and calls finish.
+  const pending = new Set();
+  const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch {
+      send({ id: null, error: { code: RPC_PARSE_ERROR, message: "Parse error" } });
+      continue;
+    }
+    const task = handle(msg).catch((e) => send({ id: msg?.id ?? null, error: { code: RPC_COMMAND_ERROR, message: e?.message || String(e) } }));
+    pending.add(task);
+    task.finally(() => pending.delete(task));
+  }
+  await Promise.all(pending);
+}
+
+// ---- batch (NDJSON over stdin/stdout) ----
+//
+// `batch` runs one command per stdin line through runCommand(), in order, and writes one result
+// line per command. Errors become result lines instead of exiting the process.
+
+// {"cmd":"ui","sub":"tap","flags":{"query":"Next"},"args":[...],"id":...} -> runCommand() input.
+// Flags may be kebab-case (as on the command line) or camelCase; objects are passed as JSON text.
+function parseBatchLine(line) {
+  let spec;
+  try {
+    spec = JSON.parse(line);
+  } catch (e) {
+    fail("Batch line is not valid JSON", { cause: e.message });
+  }
+  if (!spec || typeof spec !== "object" || Array.isArray(spec) || typeof spec.cmd !== "string" || !spec.cmd) {
+    fail("Batch line must be an object with a `cmd` string", { line: spec ?? null });
+  }
+  if (spec.sub !== undefined && typeof spec.sub !== "string") fail("`sub` must be a string", { sub: spec.sub });
+  if (spec.flags !== undefined && (!spec.flags || typeof spec.flags !== "object" || Array.isArray(spec.flags))) {
+    fail("`flags` must be an object", { flags: spec.flags });
   }
-  if (typeof payloadObj !== "object" || payloadObj === null) exitWithError("--payload must be a JSON object", { payload });
+  if (spec.args !== undefined && !Array.isArray(spec.args)) fail("`args` must be an array", { args: spec.args });
 
-  const tmpPath = path.join(os.tmpdir(), `sim-push-${nowIsoCompact()}.apns.json`);
-  fs.writeFileSync(tmpPath, JSON.stringify(payloadObj), "utf8");
+  const flags = {};
+  for (const [k, v] of Object.entries(spec.flags || {})) {
+    const key = k.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase());
+    flags[key] = v !== null && typeof v === "object" ? JSON.stringify(v) : v;
+  }
+  return { id: spec.id, cmd: spec.cmd, subcmd: spec.sub, flags, passthrough: (spec.args || []).map(String) };
+}
 
-  await run("xcrun", ["simctl", "push", resolvedUdid, bundleId, tmpPath], { allowNonZero: true });
+// A thrown error as a result entry (batch lines, fan-out devices).
+function errorOutcome(e) {
+  const { message, extra, code } = errorDetails(e);
+  const hint = errorInfo(code).hint;
+  return { ok: false, error: message, code, ...(Object.keys(extra).length ? { details: extra } : {}), ...(hint ? { hint } : {}) };
+}
 
-  emit({ ok: true, udid: resolvedUdid, bundleId, tmp: tmpPath, summary: ["Push sent"] }, { pretty, text });
+// Exit status of a run of commands (flow steps, batch lines, fan-out devices): that of the first
+// failure's error code, or 3 when it failed a check (assertion, compare, flow) without an error.
+function failureExitCode(failure) {
+  const code = failure.code ?? failure.result?.code;
+  return code ? errorInfo(code).exitCode : EXIT_CODES.assertion;
 }
 
-async function cmdLogsShow({ udid, last, predicate, stateFile, pretty, text }) {
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  const args = ["simctl", "spawn", resolvedUdid, "log", "show", "--style", "syslog", "--last", String(last || "5m")];
-  if (predicate) {
-    args.push("--predicate", String(predicate));
+async function cmdBatch({ stopOnError, timing, stateFile }) {
+  const stop = toBool(stopOnError, false);
+  const withMs = toBool(timing, false);
+  const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+
+  let index = 0;
+  let firstFailure = null;
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const t0 = Date.now();
+    let spec = null;
+    let outcome;
+    try {
+      spec = parseBatchLine(line);
+      const result = await collectWarnings(() => runCommand({ ...spec, stateFile, _internalCall: true }));
+      outcome = { ok: result?.ok !== false, result };
+    } catch (e) {
+      outcome = errorOutcome(e);
+    }
+    const entry = {
+      index,
+      ...(spec?.id !== undefined ? { id: spec.id } : {}),
+      cmd: spec?.cmd ?? null,
+      ...(spec?.subcmd ? { sub: spec.subcmd } : {}),
+      ok: outcome.ok,
+      ...(withMs ? { ms: Date.now() - t0 } : {}),
+      ...outcome,
+    };
+    process.stdout.write(JSON.stringify(entry) + "\n");
+    index++;
+    if (!entry.ok) {
+      firstFailure ??= entry;
+      if (stop) break;
+    }
   }
-  const { stdout, stderr, code } = await run("xcrun", args, { allowNonZero: true });
-  emit({ ok: code === 0, udid: resolvedUdid, last: String(last || "5m"), predicate: predicate || null, stdout, stderr }, { pretty, text });
+  lines.close();
+  if (firstFailure) process.exitCode = failureExitCode(firstFailure);
 }
 
-// ---- idb-backed UI automation ----
+// ---- multi-device fan-out ----
+//
+// `--udid all-booted`, `--udid a,b,c` or `--devices <name-substr[,...]>` run one device-scoped
+// command on several simulators at once. Each device gets its own runCommand() call with its
+// UDID and templated output paths; the results are aggregated by UDID.
 
-function ensureIdb() {
-  const p = whichSync("idb");
-  if (!p) {
-    exitWithError("idb not found. Install for UI automation: `brew install idb-companion` + `python3 -m pip install fb-idb`", { missing: "idb" });
+const FAN_OUT_COMMANDS = ["app install", "app launch", "app terminate", "screenshot", "settings", "status-bar", "openurl", "push", "ui", "run"];
+const FAN_OUT_PARALLEL = 4;
+// Path flags that may use {udid}, {name}, {runtime} and {index}; the written ones must differ per device.
+const FAN_OUT_PATH_FLAGS = ["out", "diff-out", "matrix", "compare", "flow"];
+const FAN_OUT_WRITTEN_FLAGS = ["out", "diff-out", "matrix"];
+
+function wantsFanOut(flags) {
+  return flags.devices !== undefined || (typeof flags.udid === "string" && (flags.udid === "all-booted" || flags.udid.includes(",")));
+}
+
+async function resolveFanOutTargets({ udid, devices: names }) {
+  const all = await listDevices();
+  const booted = all.filter((d) => d.state === "Booted" && d.isAvailable);
+  if (names !== undefined) {
+    if (typeof names !== "string" || !names.trim()) fail("Missing value for --devices <name-substr[,...]>");
+    const qs = names.split(",").map(normalise).filter(Boolean);
+    const matches = (d) => qs.some((q) => normalise(d.name).includes(q));
+    const picked = booted.filter(matches);
+    if (!picked.length) {
+      const notBooted = all.filter((d) => d.isAvailable && d.state !== "Booted" && matches(d)).length;
+      fail("No booted simulator matched --devices", { devices: names, notBooted }, notBooted ? "E_DEVICE_NOT_BOOTED" : "E_NO_DEVICE");
+    }
+    return picked;
+  }
+  if (udid === "all-booted") {
+    if (!booted.length) fail("No booted simulators for --udid all-booted", {}, "E_DEVICE_NOT_BOOTED");
+    return booted;
   }
-  return p;
+  const udids = [...new Set(udid.split(",").map((u) => u.trim()).filter(Boolean))];
+  for (const u of udids) {
+    if (!looksLikeUuid(u)) fail("Invalid --udid (expected UUID, a comma-separated list or all-booted)", { udid: u });
+  }
+  // Unknown UDIDs are still run so simctl reports them against that device.
+  return udids.map((u) => all.find((d) => d.udid === u) || { udid: u, name: u, runtimeName: "" });
 }
 
-async function idbDescribeAll({ udid }) {
-  ensureIdb();
-  const resolvedUdid = udid;
-  // idb ui describe-all already prints JSON array
-  const { json } = await runJson("idb", ["ui", "describe-all", "--udid", resolvedUdid, "--json"], { allowNonZero: true });
-  // Some idb versions print to stdout even without --json; keep tolerant.
-  if (!Array.isArray(json)) {
-    // If json parsing failed above, we'd have thrown. If it parsed but isn't array, we still accept.
-    return Array.isArray(json) ? json : [];
+function fanOutTemplate(value, device, index) {
+  const values = { udid: device.udid, name: device.name, runtime: device.runtimeName, index: String(index) };
+  return value.replace(/\{(udid|name|runtime|index)\}/g, (_, k) => String(values[k] ?? "").replace(/[^\w.-]+/g, "-"));
+}
+
+// Snapshots are stored by name, not per device, so fanned-out `ui snapshot`/`ui diff` default
+// to one snapshot per device.
+function fanOutFlags(cmd, subcmd, flags, device, index) {
+  const snapshotFlag = cmd === "ui" ? { snapshot: "name", diff: "from" }[subcmd] : undefined;
+  const out = { ...flags, udid: device.udid };
+  if (snapshotFlag && typeof out[snapshotFlag] !== "string") out[snapshotFlag] = "last-{udid}";
+  for (const k of [...FAN_OUT_PATH_FLAGS, ...(snapshotFlag ? [snapshotFlag] : [])]) {
+    if (typeof out[k] === "string") out[k] = fanOutTemplate(out[k], device, index);
   }
-  return json;
+  return { flags: out, written: [...FAN_OUT_WRITTEN_FLAGS, ...(snapshotFlag ? [snapshotFlag] : [])] };
 }
 
-function elementLabel(el) {
-  const parts = [
-    el?.AXLabel,
-    el?.title,
-    el?.AXValue,
-    el?.role_description,
-    el?.type,
-  ].filter((x) => typeof x === "string" && x.trim().length);
-  return parts[0] || "";
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 }
 
-function isInteractive(el) {
-  if (!el || el.enabled === false) return false;
-  const t = normalise(el.type);
-  const role = normalise(el.role_description || el.role);
-  const label = elementLabel(el);
-  if (!label) return false;
+async function runFanOut({ cmd, subcmd, flags, passthrough, stateFile, pretty, text, _internalCall }) {
+  const label = subcmd ? `${cmd} ${subcmd}` : cmd;
+  if (!FAN_OUT_COMMANDS.includes(cmd) && !FAN_OUT_COMMANDS.includes(label)) {
+    fail(`${label} cannot run on several devices`, { cmd, sub: subcmd, supported: FAN_OUT_COMMANDS }, "E_UNSUPPORTED");
+  }
+  if (flags.devices !== undefined && flags.udid !== undefined) fail("Use either --udid or --devices, not both");
+  let parallel = toNumber(flags.parallel, FAN_OUT_PARALLEL);
+  if (!Number.isInteger(parallel) || parallel < 1) fail("Invalid --parallel (expected a positive integer)", { parallel: flags.parallel });
+  // Sessions are one ordered call list; interleaved devices would not replay in the same order.
+  if (backend.recording || backend.name === "replay") parallel = 1;
+
+  const { devices: _devices, parallel: _parallel, ...rest } = flags;
+  const targets = await resolveFanOutTargets(flags);
+  const perDevice = targets.map((d, i) => fanOutFlags(cmd, subcmd, rest, d, i));
+  for (const k of perDevice[0].written) {
+    const values = perDevice.map((p) => p.flags[k]).filter((v) => typeof v === "string");
+    if (new Set(values).size < values.length) {
+      fail(`--${k} must differ per device; use {udid} or {name} in it, e.g. shots/{name}-{udid}.png`, { [k]: flags[k] });
+    }
+  }
 
-  const interactiveTypes = [
-    "button",
-    "text field",
-    "secure text field",
-    "search field",
-    "switch",
-    "slider",
-    "link",
-    "cell",
-    "tab bar button",
-    "checkbox",
-    "radio button",
-  ];
+  const outcomes = await mapConcurrent(targets, parallel, async (d, i) => {
+    const t0 = Date.now();
+    let outcome;
+    try {
+      const result = await runCommand({ cmd, subcmd, flags: perDevice[i].flags, passthrough, stateFile, _internalCall: true });
+      outcome = { ok: result?.ok !== false, result };
+    } catch (e) {
+      outcome = errorOutcome(e);
+    }
+    return { udid: d.udid, name: d.name, runtime: d.runtimeName, ms: Date.now() - t0, ...outcome };
+  });
 
-  const typeHints = [
-    "button",
-    "textfield",
-    "securetextfield",
-    "searchfield",
-    "switch",
-    "slider",
-    "link",
-    "cell",
-    "tabbarbutton",
-    "checkbox",
-    "radiobutton",
-  ];
+  const failed = outcomes.filter((o) => !o.ok);
+  const failCode = failed.length ? failed[0].code ?? failed[0].result?.code : undefined;
+  const summary = [`${label}: ${outcomes.length - failed.length}/${outcomes.length} devices ok`];
+  for (const o of outcomes) {
+    const detail = o.result ? o.result.summary?.[0] ?? "" : `${o.code}: ${o.error}`;
+    summary.push(`${o.ok ? "✓" : "✗"} ${o.name} (${o.udid})${detail ? ` — ${detail}` : ""}`);
+  }
 
-  return interactiveTypes.some((x) => role.includes(x)) || typeHints.some((x) => t.includes(x));
+  const result = {
+    ok: failed.length === 0,
+    fanOut: true,
+    devices: Object.fromEntries(outcomes.map(({ udid, ...o }) => [udid, o])),
+    counts: { total: outcomes.length, ok: outcomes.length - failed.length, failed: failed.length },
+    ...(failCode ? { code: failCode } : {}),
+    summary,
+  };
+  if (!_internalCall) {
+    emit(result, { pretty, text });
+    if (failed.length) process.exitCode = failureExitCode(failed[0]);
+  }
+  return result;
 }
 
-function scoreMatch(query, candidate) {
-  const q = normalise(query);
-  const c = normalise(candidate);
-  if (!q || !c) return 0;
-  if (q === c) return 100;
-  if (c.startsWith(q)) return 90;
-  if (c.includes(q)) return 80;
-  if (q.includes(c)) return 60;
-  // cheap token overlap
-  const qt = new Set(q.split(" ").filter(Boolean));
-  const ct = new Set(c.split(" ").filter(Boolean));
-  let inter = 0;
-  for (const t of qt) if (ct.has(t)) inter++;
-  const score = Math.round((inter / Math.max(1, qt.size)) * 50);
-  return score; // 0..50
+// ---- JavaScript API ----
+//
+// `import { Simulator } from "./ios-sim.mjs"` drives the same cmd* functions as the CLI, with
+// _internalCall set: methods return the objects the CLI prints (summary included) and never
+// exit the process. Failures throw CliError (bad input, tool-level errors) or CommandError
+// (a simctl/idb call failed). `ui.assert`, `screenshot({ compare })` and `run` report
+// `ok: false` rather than throwing. Use configureBackend() to pick the fake or replay backend.
+
+// Most ui methods take a query string or an options object ({ query | selector | ref | x, y, ... }).
+function targetOptions(target) {
+  return typeof target === "string" ? { query: target } : { ...target };
 }
 
-function centreOfFrame(frame) {
-  const x = toNumber(frame?.x, null);
-  const y = toNumber(frame?.y, null);
-  const w = toNumber(frame?.width, null);
-  const h = toNumber(frame?.height, null);
-  if (x === null || y === null || w === null || h === null) return null;
-  return { x: x + w / 2, y: y + h / 2 };
-}
+export class Simulator {
+  // `device` is a logical name recorded by ensure() and is looked up in the state file.
+  constructor({ udid = null, device = null, stateFile = STATE_FILE_DEFAULT } = {}) {
+    this.udid = device ? logicalDeviceUdids(stateFile, device) : udid;
+    this.stateFile = stateFile;
+
+    const call = (fn, opts = {}) => this._call(fn, opts);
+    this.ui = {
+      summary: ({ limit } = {}) => call(cmdUiSummary, { limit }),
+      tree: () => call(cmdUiTree),
+      outline: () => call(cmdUiOutline),
+      snapshot: ({ name } = {}) => call(cmdUiSnapshot, { name }),
+      diff: ({ from, update, limit } = {}) => call(cmdUiDiff, { from, update, limit }),
+      find: (target, { limit } = {}) => call(cmdUiFind, { ...targetOptions(target), limit }),
+      tap: (target) => call(cmdUiTap, targetOptions(target)),
+      type: (input, { ref } = {}) => call(cmdUiType, { input, ref }),
+      button: (name) => call(cmdUiButton, { name }),
+      swipe: (opts = {}) => call(cmdUiSwipe, opts),
+      longPress: (target, { duration } = {}) => call(cmdUiLongPress, { ...targetOptions(target), duration }),
+      drag: (opts = {}) => call(cmdUiDrag, opts),
+      scrollTo: (target, opts = {}) => call(cmdUiScrollTo, { ...targetOptions(target), ...opts }),
+      wait: (target, opts = {}) => call(cmdUiWait, { ...(target ? targetOptions(target) : {}), ...opts }),
+      assert: (target, checks = {}) => call(cmdUiAssert, { ...targetOptions(target), ...checks }),
+    };
+    this.clipboard = {
+      get: () => call(cmdClipboardGet),
+      set: (input) => call(cmdClipboardSet, { input }),
+    };
+    this.settings = {
+      appearance: (value) => call(cmdSettingsSet, { setting: "appearance", value }),
+      contentSize: (value) => call(cmdSettingsSet, { setting: "content-size", value }),
+      increaseContrast: (value) => call(cmdSettingsSet, { setting: "increase-contrast", value }),
+      show: () => call(cmdSettingsShow),
+    };
+    // override({ preset, time, batteryLevel, ... }) takes the `status-bar override` flags, camelCased.
+    this.statusBar = {
+      override: (opts = {}) => call(cmdStatusBarOverride, opts),
+      clear: () => call(cmdStatusBarClear),
+      show: () => call(cmdStatusBarShow),
+    };
+  }
 
-function summariseUi(elements, limit = 12) {
-  const total = elements.length;
-  const interactive = elements.filter(isInteractive);
-  const countsByType = {};
-  const top = [];
+  _call(fn, opts = {}) {
+    return collectWarnings(() => fn({ ...opts, udid: this.udid, stateFile: this.stateFile, _internalCall: true }));
+  }
 
-  for (const el of interactive) {
-    const t = String(el?.type || el?.role_description || "unknown");
-    countsByType[t] = (countsByType[t] || 0) + 1;
+  static async health() {
+    return await cmdHealth({ _internalCall: true });
   }
 
-  // pick top by type then label
-  for (const el of interactive) {
-    const label = elementLabel(el);
-    if (!label) continue;
-    top.push({ type: el.type || el.role_description || "unknown", label });
-    if (top.length >= limit) break;
+  static async list({ full = false, state, name, runtime, all, pruneUnavailable } = {}) {
+    // As with erase()/delete(), asking for the prune is the confirmation.
+    return await cmdList({ full, state, name, runtime, all, pruneUnavailable, yes: pruneUnavailable, _internalCall: true });
   }
 
-  const summary = [
-    `UI elements: ${total}`,
-    `Interactive: ${interactive.length}`,
-    ...top.map((x) => `- ${x.type}: ${x.label}`),
-  ];
+  static async runtimes() {
+    return await cmdListRuntimes({ _internalCall: true });
+  }
 
-  return { total, interactiveCount: interactive.length, countsByType, top, summary };
-}
+  static async deviceTypes() {
+    return await cmdListDeviceTypes({ _internalCall: true });
+  }
 
-async function cmdUiSummary({ udid, limit, stateFile, pretty, text }) {
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  const elements = await idbDescribeAll({ udid: resolvedUdid });
-  const lim = Math.max(1, Math.min(200, Number(limit || 12)));
-  const s = summariseUi(elements, lim);
-  emit({ ok: true, udid: resolvedUdid, ...s }, { pretty, text });
-}
+  // Picks a device like `select` (and records it in the state file); resolves to a Simulator for it.
+  static async select({ name, runtime, boot, wait, stateFile = STATE_FILE_DEFAULT } = {}) {
+    const res = await cmdSelect({ name, runtime, boot, wait, stateFile, _internalCall: true });
+    return new Simulator({ udid: res.selected.udid, stateFile });
+  }
 
-async function cmdUiTree({ udid, stateFile, pretty }) {
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  const elements = await idbDescribeAll({ udid: resolvedUdid });
-  emit({ ok: true, udid: resolvedUdid, elements }, { pretty, text: false });
-}
+  static async ensure({ config, device, boot, stateFile = STATE_FILE_DEFAULT } = {}) {
+    return await collectWarnings(() => cmdEnsure({ config, device, boot, stateFile, _internalCall: true }));
+  }
 
-async function cmdUiFind({ udid, query, limit, stateFile, pretty, text }) {
-  if (!query || typeof query !== "string") exitWithError("Missing --query");
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  const elements = await idbDescribeAll({ udid: resolvedUdid });
+  static async create({ name, deviceType, runtime, stateFile = STATE_FILE_DEFAULT } = {}) {
+    const res = await cmdCreate({ name, deviceType, runtime, stateFile, _internalCall: true });
+    return new Simulator({ udid: res.created.udid, stateFile });
+  }
 
-  const matches = [];
-  for (const el of elements) {
-    if (!isInteractive(el)) continue;
-    const label = elementLabel(el);
-    const score = Math.max(
-      scoreMatch(query, label),
-      scoreMatch(query, el?.AXLabel),
-      scoreMatch(query, el?.title),
-      scoreMatch(query, el?.AXValue),
-    );
-    if (score <= 0) continue;
-    matches.push({
-      score,
-      label,
-      type: el?.type || el?.role_description || "unknown",
-      frame: el?.frame || null,
-      centre: centreOfFrame(el?.frame) || null,
-    });
+  boot({ wait, timeout } = {}) {
+    return this._call(cmdBoot, { wait, timeout });
   }
 
-  matches.sort((a, b) => b.score - a.score);
-  const lim = Math.max(1, Math.min(200, Number(limit || 20)));
-  const trimmed = matches.slice(0, lim);
+  shutdown() {
+    return this._call(cmdShutdown);
+  }
 
-  const summary = [
-    `Matches: ${matches.length}`,
-    ...trimmed.slice(0, Math.min(10, trimmed.length)).map((m) => `${m.score} — ${m.type}: ${m.label}`),
-  ];
+  // The CLI's --yes guard exists for agents; calling erase()/delete() is the confirmation here.
+  erase() {
+    return this._call(cmdErase, { yes: true });
+  }
 
-  emit({ ok: true, udid: resolvedUdid, query, matches: trimmed, summary }, { pretty, text });
-}
+  delete() {
+    return this._call(cmdDelete, { yes: true });
+  }
 
-async function cmdUiTap({ udid, query, x, y, stateFile, pretty, text }) {
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  ensureIdb();
+  install(app) {
+    return this._call(cmdAppInstall, { app });
+  }
 
-  let tapPoint = null;
-  let target = null;
+  uninstall(bundleId) {
+    return this._call(cmdAppUninstall, { bundleId });
+  }
 
-  if (x !== undefined && y !== undefined) {
-    const px = toNumber(x);
-    const py = toNumber(y);
-    if (px === undefined || py === undefined) exitWithError("Invalid --x/--y (expected numbers)", { x, y });
-    tapPoint = { x: px, y: py };
-    target = { kind: "coordinate", x: px, y: py };
-  } else {
-    if (!query || typeof query !== "string") exitWithError("Missing --query (or provide --x and --y)");
-    const elements = await idbDescribeAll({ udid: resolvedUdid });
-    let best = null;
-    let bestScore = 0;
-
-    for (const el of elements) {
-      if (!isInteractive(el)) continue;
-      const label = elementLabel(el);
-      const score = Math.max(
-        scoreMatch(query, label),
-        scoreMatch(query, el?.AXLabel),
-        scoreMatch(query, el?.title),
-        scoreMatch(query, el?.AXValue),
-      );
-      if (score > bestScore) {
-        const centre = centreOfFrame(el?.frame);
-        if (!centre) continue;
-        bestScore = score;
-        best = { score, label, type: el?.type || el?.role_description || "unknown", centre };
-      }
-    }
+  launch(bundleId, args = []) {
+    return this._call(cmdAppLaunch, { bundleId, passthroughArgs: args.map(String) });
+  }
 
-    if (!best || bestScore < 50) {
-      exitWithError("No sufficiently confident UI match for --query. Try `ui summary` or `ui tree`.", { query, bestScore });
-    }
+  terminate(bundleId) {
+    return this._call(cmdAppTerminate, { bundleId });
+  }
 
-    tapPoint = best.centre;
-    target = best;
+  container(bundleId, type = "data") {
+    return this._call(cmdAppContainer, { bundleId, type });
   }
 
-  await run("idb", ["ui", "tap", String(tapPoint.x), String(tapPoint.y), "--udid", resolvedUdid, "--json"], { allowNonZero: true });
+  // Same options as the `screenshot` flags, camelCased (out, compare, annotate, maxWidth, crop, …).
+  screenshot(opts = {}) {
+    return this._call(cmdScreenshot, opts);
+  }
 
-  emit({
-    ok: true,
-    udid: resolvedUdid,
-    tapped: target,
-    summary: [`Tap: ${target.kind === "coordinate" ? `${target.x},${target.y}` : target.label}`],
-  }, { pretty, text });
-}
+  openUrl(url) {
+    return this._call(cmdOpenUrl, { url });
+  }
 
-async function cmdUiType({ udid, text: inputText, stateFile, pretty, text }) {
-  if (inputText === undefined) exitWithError("Missing --text");
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  ensureIdb();
+  privacy(action, bundleId, services) {
+    return this._call(cmdPrivacy, { action, bundleId, service: [].concat(services).join(",") });
+  }
 
-  await run("idb", ["text", String(inputText), "--udid", resolvedUdid, "--json"], { allowNonZero: true });
-  emit({ ok: true, udid: resolvedUdid, summary: ["Typed text"] }, { pretty, text });
-}
+  push(bundleId, payload) {
+    return this._call(cmdPush, { bundleId, payload: typeof payload === "string" ? payload : JSON.stringify(payload) });
+  }
 
-async function cmdUiButton({ udid, name, stateFile, pretty, text }) {
-  if (!name || typeof name !== "string") exitWithError("Missing --name HOME|LOCK|SIRI|SIDE_BUTTON|APPLE_PAY");
-  const resolvedUdid = await resolveUdid({ udid, stateFile });
-  ensureIdb();
+  logs({ last, predicate } = {}) {
+    return this._call(cmdLogsShow, { last, predicate });
+  }
 
-  const n = String(name).toUpperCase();
-  await run("idb", ["ui", "button", n, "--udid", resolvedUdid, "--json"], { allowNonZero: true });
-  emit({ ok: true, udid: resolvedUdid, button: n, summary: [`Button: ${n}`] }, { pretty, text });
+  // `flow` is a flow file path, or the flow itself (an array of steps or { steps, ... }).
+  run(flow, { continueOnError } = {}) {
+    return this._call(cmdRun, { flow, continueOnError });
+  }
 }
 
+export { CliError, CommandError, configureBackend, diffUi, normaliseElements, useSession };
+
 // ---- help ----
 
 function help() {
@@ -966,19 +5709,31 @@ Usage:
 
 Global flags:
   --state-file <path>   (default: ./.ios-sim-state.json or IOS_SIM_STATE_FILE)
+  --session <name>      keep selection, refs and device lease in a named session (or IOS_SIM_SESSION)
   --pretty              pretty-print JSON
   --text                output short text summary (if provided)
+  --backend real|fake   (default: real or IOS_SIM_BACKEND; fake emulates simctl/idb, runs anywhere)
+  --fake-fixture <file> seed for the fake backend (or IOS_SIM_FAKE_FIXTURE)
+  --record <file.jsonl> record every simctl/idb call (args, output, exit code, timing)
+  --replay <file.jsonl> serve a recorded session instead of running simctl/idb; fails on divergence
+  --udid all-booted | --udid <a,b,c> | --devices <name-substr[,...]>  [--parallel 4]
+                        run app install/launch/terminate, screenshot, openurl, push, ui * or run on
+                        several booted simulators; {udid} {name} {runtime} {index} in --out etc.
   --help
 
 Commands:
   health
-  list [--full]
+  list [--state <state>] [--name <substr>] [--runtime <substr>] [--all] [--prune-unavailable --yes] [--full]
+  list runtimes | list device-types
   select --name <substr> [--runtime <substr>] [--boot] [--wait]
   boot [--udid <uuid>] [--wait] [--timeout <sec>]
   shutdown [--udid <uuid>|--all]
   erase --yes [--udid <uuid>|--all]
   delete --yes [--udid <uuid>]
   create --name <name> --device-type <substr> --runtime <substr>
+  session list | session show | session release   (of the --session session; default: "default")
+  ensure [--config ios-sim.config.json] [--device <name[,name...]>] [--boot]
+         (create/reuse the configured devices; then --device <name> works wherever --udid does)
 
   app install --app <path/to/App.app> [--udid <uuid>]
   app uninstall --bundle-id <id> [--udid <uuid>]
@@ -986,8 +5741,26 @@ Commands:
   app terminate --bundle-id <id> [--udid <uuid>]
   app container --bundle-id <id> [--type data|app] [--udid <uuid>]
 
-  screenshot --out <file.png> [--udid <uuid>]
+  screenshot --out <file.png> [--annotate] [--udid <uuid>]
+             [--max-width <px>] [--scale <0..1>] [--crop x,y,w,h | --element <query> | --element-selector <sel>]
+             [--padding 8] [--base64]   (crop/element in points; --base64 without --out keeps nothing on disk)
+             [--status-bar [marketing]]   (override the status bar for the capture, then restore it)
+  screenshot --matrix <dir> [--appearances light,dark] [--content-sizes <size,...>] [--settle 0.5]
+             (one <appearance>-<size>.png per combination; settings are restored afterwards)
+  screenshot --compare <baseline.png> [--out <file.png>] [--threshold <pct>] [--pixel-threshold 0.1]
+             [--ignore x,y,w,h[;...]] [--ignore-status-bar] [--ignore-query <text>]
+             [--ignore-selector <sel>] [--diff-out <file.png>]   (regions in points; exit 3 on mismatch)
+  image diff --a <actual.png> --b <baseline.png> [--out <diff.png>] [--threshold <pct>]
+             [--pixel-threshold 0.1] [--ignore x,y,w,h[;...]]  (pixels; runs on any OS)
   record-video --out <file.mp4> [--udid <uuid>]
+  status-bar override [--preset marketing] [--time 9:41] [--data-network wifi|lte|5g|...]
+             [--wifi-mode active] [--wifi-bars 0-3] [--cellular-mode active] [--cellular-bars 0-4]
+             [--operator-name <text>] [--battery-state charged|charging|discharging] [--battery-level 0-100]
+  status-bar clear | status-bar show [--udid <uuid>]
+  settings appearance light|dark [--udid <uuid>]
+  settings content-size <extra-small..accessibility-extra-extra-extra-large>|increment|decrement
+  settings increase-contrast on|off
+  settings show [--udid <uuid>]
   openurl --url <url> [--udid <uuid>]
   clipboard get [--udid <uuid>]
   clipboard set --text <text> [--udid <uuid>]
@@ -997,11 +5770,38 @@ Commands:
 
   ui summary [--limit 12] [--udid <uuid>]
   ui tree [--udid <uuid>]
-  ui find --query <text> [--limit 20] [--udid <uuid>]
-  ui tap --query <text> [--udid <uuid>]
+  ui outline [--udid <uuid>]            (indented tree; interactive elements get refs like e12)
+  ui snapshot [--name last] [--udid <uuid>]
+  ui diff [--from <name>] [--update] [--limit 20] [--udid <uuid>]
+  ui find --query <text>|--selector <sel> [--limit 20] [--udid <uuid>]
+  ui tap --query <text>|--selector <sel>|--ref <eN> [--udid <uuid>]
   ui tap --x <num> --y <num> [--udid <uuid>]
-  ui type --text <text> [--udid <uuid>]
+  ui type --text <text> [--ref <eN>] [--udid <uuid>]
   ui button --name HOME|LOCK|SIRI|SIDE_BUTTON|APPLE_PAY [--udid <uuid>]
+  ui swipe --direction up|down|left|right [--from-query <text>|--from-selector <sel>|--x <n> --y <n>]
+           [--distance <pt>] [--duration <s>]
+  ui long-press --query <text>|--selector <sel>|--ref <eN>|--x <n> --y <n> [--duration 1]
+  ui drag --from <x,y>|--from-query <text>|--from-selector <sel>
+          --to <x,y>|--to-query <text>|--to-selector <sel> [--duration 1]
+  ui scroll-to --query <text>|--selector <sel> [--direction down] [--container x,y,w,h] [--max-swipes 10] [--distance <pt>]
+  ui wait --query <text>|--selector <sel> [--gone] [--stable] [--timeout 10] [--interval 0.5] [--udid <uuid>]
+  ui wait --stable [--timeout 10] [--interval 0.5] [--udid <uuid>]
+  ui assert --query <text>|--selector <sel> [--exists|--not-exists] [--value <s>] [--value-contains <s>]
+            [--enabled true|false] [--count <n>] [--min-count <n>] [--max-count <n>]
+            [--include-static] [--udid <uuid>]     (exit 3 when an assertion fails)
+
+  Selectors: type=Button label="Delete" index=1 | label~=/^Sign/ | value*="@" | enabled=true
+             within(type=Cell label~"Wi-Fi") | right-of(label="Email") | left-of/above/below(...)
+
+  run --flow <file.json> [--continue-on-error] [--udid <uuid>]
+
+  serve [--port 8765] [--host 127.0.0.1] [--token <secret>] [--allow-dangerous]   (JSON-RPC 2.0 over HTTP,
+        loopback only; POST application/json with Authorization: Bearer <token> (generated and printed
+        unless given); methods are command words joined by dots, e.g. "ui.tap"; params are camelCased flags;
+        erase/delete need --allow-dangerous)
+  batch [--stop-on-error] [--timing]   (NDJSON: one {"cmd","sub","flags","args","id"} per stdin line,
+        one result line per command on stdout; exits with the first failure's status)
+  mcp [--allow-dangerous]   (Model Context Protocol server on stdin/stdout; erase/delete need --allow-dangerous)
 
 Examples:
   node ios-sim.mjs health --text
@@ -1009,6 +5809,7 @@ Examples:
   node ios-sim.mjs select --name "iPhone 15" --runtime "iOS" --boot
   node ios-sim.mjs app install --app ./DerivedData/.../MyApp.app
   node ios-sim.mjs ui tap --query "Log in"
+  node ios-sim.mjs run --flow flows/login.json --text
 `.trim();
   process.stdout.write(msg + "\n");
 }
@@ -1023,32 +5824,78 @@ async function main() {
   const stateFile = typeof flags["state-file"] === "string" ? String(flags["state-file"]) : STATE_FILE_DEFAULT;
 
   const [cmd, subcmd, ...restPos] = parsed._;
+  // `settings <setting> <value>` is the one command with a positional value (same as --value).
+  if (cmd === "settings" && restPos.length === 1 && flags.value === undefined) flags.value = restPos.shift();
+  if (restPos.length) exitWithError(`Unexpected argument: ${restPos[0]} (quote values with spaces, e.g. --query "Log in")`, { args: restPos });
 
   if (toBool(flags.help, false) || !cmd) {
     help();
     process.exit(0);
   }
 
+  if (flags.session !== undefined && typeof flags.session !== "string") exitWithError("Missing value for --session <name>");
+  useSession(flags.session ?? activeSession);
+  if (flags.replay !== undefined && typeof flags.replay !== "string") exitWithError("Missing value for --replay <session.jsonl>");
+  if (flags.record !== undefined && typeof flags.record !== "string") exitWithError("Missing value for --record <session.jsonl>");
+  configureBackend({
+    backend: typeof flags.backend === "string" ? flags.backend : (process.env.IOS_SIM_BACKEND || "real"),
+    fixture: typeof flags["fake-fixture"] === "string" ? flags["fake-fixture"] : (process.env.IOS_SIM_FAKE_FIXTURE || null),
+    stateFile,
+    record: flags.record ?? null,
+    replay: flags.replay ?? null,
+  });
+
   // Most commands require macOS+xcrun (but we still provide helpful errors).
-  if (!isMacOS() && cmd !== "help") {
+  // `image` only works on local files and the fake backend needs no simulator, so both run anywhere.
+  const needsSimulatorHost = cmd !== "image" && backend.name === "real";
+  if (needsSimulatorHost && !isMacOS()) {
     // Still allow help.
-    exitWithError("This tool must run on macOS (Simulator host). Use a macOS node/gateway.", { platform: process.platform });
+    exitWithError("This tool must run on macOS (Simulator host). Use a macOS node/gateway.", { platform: process.platform }, "E_NOT_MACOS");
   }
-  if (!whichSync("xcrun")) {
-    exitWithError("xcrun not found. Install Xcode Command Line Tools / Xcode.", {});
+  if (needsSimulatorHost && !whichSync("xcrun")) {
+    exitWithError("xcrun not found. Install Xcode Command Line Tools / Xcode.", {}, "E_NO_XCRUN");
+  }
+
+  return await runCommand({ cmd, subcmd, flags, passthrough: parsed.passthrough, stateFile, pretty, text });
+}
+
+// Commands that own the process (run until interrupted or until stdin closes).
+const PROCESS_COMMANDS = ["record-video", "serve", "mcp", "batch"];
+
+// CLI dispatch: `flags` as parseArgv produces them (kebab-case). With _internalCall the command
+// returns its result instead of printing it (used by `batch`).
+async function runCommand({ cmd, subcmd, flags = {}, passthrough = [], stateFile, pretty = false, text = false, _internalCall = false }) {
+  if (_internalCall && PROCESS_COMMANDS.includes(cmd)) fail(`${cmd} cannot be run inside another command`, { cmd }, "E_UNSUPPORTED");
+  if (flags.device !== undefined && cmd !== "ensure") {
+    if (flags.udid !== undefined) fail("Use either --udid or --device, not both");
+    const { device, ...rest } = flags;
+    flags = { ...rest, udid: logicalDeviceUdids(stateFile, device) };
   }
+  if (wantsFanOut(flags)) return await runFanOut({ cmd, subcmd, flags, passthrough, stateFile, pretty, text, _internalCall });
 
   switch (cmd) {
     case "health":
-      await cmdHealth({ pretty, text });
-      return;
+      return await cmdHealth({ pretty, text, _internalCall });
 
     case "list":
-      await cmdList({ full: toBool(flags.full, false), pretty, text });
-      return;
+      if (subcmd === "runtimes") return await cmdListRuntimes({ pretty, text, _internalCall });
+      if (subcmd === "device-types") return await cmdListDeviceTypes({ pretty, text, _internalCall });
+      if (subcmd) fail("Unknown list subcommand (expected runtimes|device-types)", { subcmd });
+      return await cmdList({
+        full: toBool(flags.full, false),
+        state: flags.state,
+        name: flags.name,
+        runtime: flags.runtime,
+        all: flags.all,
+        pruneUnavailable: flags["prune-unavailable"],
+        yes: flags.yes,
+        pretty,
+        text,
+        _internalCall,
+      });
 
     case "select":
-      await cmdSelect({
+      return await cmdSelect({
         name: flags.name,
         runtime: flags.runtime,
         boot: flags.boot,
@@ -1056,61 +5903,124 @@ async function main() {
         stateFile,
         pretty,
         text,
+        _internalCall,
       });
-      return;
 
     case "boot":
-      await cmdBoot({ udid: flags.udid, wait: flags.wait, timeout: flags.timeout, stateFile, pretty, text });
-      return;
+      return await cmdBoot({ udid: flags.udid, wait: flags.wait, timeout: flags.timeout, stateFile, pretty, text, _internalCall });
 
     case "shutdown":
-      await cmdShutdown({ udid: flags.udid, all: flags.all, stateFile, pretty, text });
-      return;
+      return await cmdShutdown({ udid: flags.udid, all: flags.all, stateFile, pretty, text, _internalCall });
 
     case "erase":
-      await cmdErase({ udid: flags.udid, all: flags.all, yes: flags.yes, stateFile, pretty, text });
-      return;
+      return await cmdErase({ udid: flags.udid, all: flags.all, yes: flags.yes, stateFile, pretty, text, _internalCall });
 
     case "delete":
-      await cmdDelete({ udid: flags.udid, yes: flags.yes, stateFile, pretty, text });
-      return;
+      return await cmdDelete({ udid: flags.udid, yes: flags.yes, stateFile, pretty, text, _internalCall });
+
+    case "session":
+      if (!subcmd) fail("session requires subcommand: list|show|release");
+      if (subcmd === "list") return await cmdSessionList({ stateFile, pretty, text, _internalCall });
+      else if (subcmd === "show") return await cmdSessionShow({ stateFile, pretty, text, _internalCall });
+      else if (subcmd === "release") return await cmdSessionRelease({ stateFile, pretty, text, _internalCall });
+      else fail("Unknown session subcommand", { subcmd });
+
+    case "ensure":
+      return await cmdEnsure({ config: flags.config, device: flags.device, boot: flags.boot, stateFile, pretty, text, _internalCall });
 
     case "create":
-      await cmdCreate({ name: flags.name, deviceType: flags["device-type"], runtime: flags.runtime, stateFile, pretty, text });
-      return;
+      return await cmdCreate({ name: flags.name, deviceType: flags["device-type"], runtime: flags.runtime, stateFile, pretty, text, _internalCall });
 
     case "screenshot":
-      await cmdScreenshot({ udid: flags.udid, out: flags.out, stateFile, pretty, text });
-      return;
+      return await cmdScreenshot({
+        udid: flags.udid,
+        out: flags.out,
+        compare: flags.compare,
+        threshold: flags.threshold,
+        pixelThreshold: flags["pixel-threshold"],
+        ignore: flags.ignore,
+        ignoreStatusBar: flags["ignore-status-bar"],
+        ignoreQuery: flags["ignore-query"],
+        ignoreSelector: flags["ignore-selector"],
+        diffOut: flags["diff-out"],
+        annotate: flags.annotate,
+        maxWidth: flags["max-width"],
+        scale: flags.scale,
+        crop: flags.crop,
+        element: flags.element,
+        elementSelector: flags["element-selector"],
+        padding: flags.padding,
+        base64: flags.base64,
+        statusBar: flags["status-bar"],
+        matrix: flags.matrix,
+        appearances: flags.appearances,
+        contentSizes: flags["content-sizes"],
+        settle: flags.settle,
+        stateFile,
+        pretty,
+        text,
+        _internalCall,
+      });
+
+    case "image":
+      if (!subcmd) fail("image requires subcommand: diff");
+      if (subcmd === "diff") return await cmdImageDiff({ a: flags.a, b: flags.b, out: flags.out, threshold: flags.threshold, pixelThreshold: flags["pixel-threshold"], ignore: flags.ignore, pretty, text, _internalCall });
+      else fail("Unknown image subcommand", { subcmd });
 
     case "record-video":
-      await cmdRecordVideo({ udid: flags.udid, out: flags.out, stateFile });
-      return;
+      return await cmdRecordVideo({ udid: flags.udid, out: flags.out, stateFile });
 
     case "openurl":
-      await cmdOpenUrl({ udid: flags.udid, url: flags.url, stateFile, pretty, text });
-      return;
+      return await cmdOpenUrl({ udid: flags.udid, url: flags.url, stateFile, pretty, text, _internalCall });
+
+    case "settings":
+      if (!subcmd) fail("settings requires subcommand: appearance|content-size|increase-contrast|show");
+      if (subcmd === "show") return await cmdSettingsShow({ udid: flags.udid, stateFile, pretty, text, _internalCall });
+      else if (Object.hasOwn(UI_SETTINGS, subcmd)) return await cmdSettingsSet({ udid: flags.udid, setting: subcmd, value: flags.value, stateFile, pretty, text, _internalCall });
+      else fail("Unknown settings subcommand", { subcmd });
+
+    case "status-bar":
+      if (!subcmd) fail("status-bar requires subcommand: override|clear|show");
+      if (subcmd === "override") {
+        return await cmdStatusBarOverride({
+          udid: flags.udid,
+          preset: flags.preset,
+          time: flags.time,
+          dataNetwork: flags["data-network"],
+          wifiMode: flags["wifi-mode"],
+          wifiBars: flags["wifi-bars"],
+          cellularMode: flags["cellular-mode"],
+          cellularBars: flags["cellular-bars"],
+          operatorName: flags["operator-name"],
+          batteryState: flags["battery-state"],
+          batteryLevel: flags["battery-level"],
+          stateFile,
+          pretty,
+          text,
+          _internalCall,
+        });
+      } else if (subcmd === "clear") return await cmdStatusBarClear({ udid: flags.udid, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "show") return await cmdStatusBarShow({ udid: flags.udid, stateFile, pretty, text, _internalCall });
+      else fail("Unknown status-bar subcommand", { subcmd });
 
     case "clipboard":
-      if (!subcmd) exitWithError("clipboard requires subcommand: get|set");
-      if (subcmd === "get") await cmdClipboardGet({ udid: flags.udid, stateFile, pretty, text });
-      else if (subcmd === "set") await cmdClipboardSet({ udid: flags.udid, text: flags.text ?? flags.value, stateFile, pretty, text });
-      else exitWithError("Unknown clipboard subcommand", { subcmd });
-      return;
+      if (!subcmd) fail("clipboard requires subcommand: get|set");
+      if (subcmd === "get") return await cmdClipboardGet({ udid: flags.udid, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "set") return await cmdClipboardSet({ udid: flags.udid, input: flags.text ?? flags.value, stateFile, pretty, text, _internalCall });
+      else fail("Unknown clipboard subcommand", { subcmd });
 
     case "app":
-      if (!subcmd) exitWithError("app requires subcommand: install|uninstall|launch|terminate|container");
-      if (subcmd === "install") await cmdAppInstall({ udid: flags.udid, app: flags.app, stateFile, pretty, text });
-      else if (subcmd === "uninstall") await cmdAppUninstall({ udid: flags.udid, bundleId: flags["bundle-id"], stateFile, pretty, text });
-      else if (subcmd === "launch") await cmdAppLaunch({ udid: flags.udid, bundleId: flags["bundle-id"], passthroughArgs: parsed.passthrough, stateFile, pretty, text });
-      else if (subcmd === "terminate") await cmdAppTerminate({ udid: flags.udid, bundleId: flags["bundle-id"], stateFile, pretty, text });
-      else if (subcmd === "container") await cmdAppContainer({ udid: flags.udid, bundleId: flags["bundle-id"], type: flags.type, stateFile, pretty, text });
-      else exitWithError("Unknown app subcommand", { subcmd });
-      return;
+      if (!subcmd) fail("app requires subcommand: install|uninstall|launch|terminate|container");
+      if (subcmd === "install") return await cmdAppInstall({ udid: flags.udid, app: flags.app, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "uninstall") return await cmdAppUninstall({ udid: flags.udid, bundleId: flags["bundle-id"], stateFile, pretty, text, _internalCall });
+      else if (subcmd === "launch") return await cmdAppLaunch({ udid: flags.udid, bundleId: flags["bundle-id"], passthroughArgs: passthrough, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "terminate") return await cmdAppTerminate({ udid: flags.udid, bundleId: flags["bundle-id"], stateFile, pretty, text, _internalCall });
+      else if (subcmd === "container") return await cmdAppContainer({ udid: flags.udid, bundleId: flags["bundle-id"], type: flags.type, stateFile, pretty, text, _internalCall });
+      else fail("Unknown app subcommand", { subcmd });
 
     case "privacy": {
       const action = subcmd;
-      await cmdPrivacy({
+      return await cmdPrivacy({
         udid: flags.udid,
         action,
         bundleId: flags["bundle-id"],
@@ -1118,36 +6028,87 @@ async function main() {
         stateFile,
         pretty,
         text,
+        _internalCall,
       });
-      return;
     }
 
     case "push":
-      await cmdPush({ udid: flags.udid, bundleId: flags["bundle-id"], payload: flags.payload, stateFile, pretty, text });
-      return;
+      return await cmdPush({ udid: flags.udid, bundleId: flags["bundle-id"], payload: flags.payload, stateFile, pretty, text, _internalCall });
 
     case "logs":
-      if (!subcmd) exitWithError("logs requires subcommand: show");
-      if (subcmd === "show") await cmdLogsShow({ udid: flags.udid, last: flags.last, predicate: flags.predicate, stateFile, pretty, text });
-      else exitWithError("Unknown logs subcommand", { subcmd });
-      return;
+      if (!subcmd) fail("logs requires subcommand: show");
+      if (subcmd === "show") return await cmdLogsShow({ udid: flags.udid, last: flags.last, predicate: flags.predicate, stateFile, pretty, text, _internalCall });
+      else fail("Unknown logs subcommand", { subcmd });
 
     case "ui":
-      if (!subcmd) exitWithError("ui requires subcommand: summary|tree|find|tap|type|button");
-      if (subcmd === "summary") await cmdUiSummary({ udid: flags.udid, limit: flags.limit, stateFile, pretty, text });
-      else if (subcmd === "tree") await cmdUiTree({ udid: flags.udid, stateFile, pretty });
-      else if (subcmd === "find") await cmdUiFind({ udid: flags.udid, query: flags.query, limit: flags.limit, stateFile, pretty, text });
-      else if (subcmd === "tap") await cmdUiTap({ udid: flags.udid, query: flags.query, x: flags.x, y: flags.y, stateFile, pretty, text });
-      else if (subcmd === "type") await cmdUiType({ udid: flags.udid, text: flags.text, stateFile, pretty, text });
-      else if (subcmd === "button") await cmdUiButton({ udid: flags.udid, name: flags.name, stateFile, pretty, text });
-      else exitWithError("Unknown ui subcommand", { subcmd });
-      return;
+      if (!subcmd) fail("ui requires subcommand: summary|tree|outline|snapshot|diff|find|tap|type|button|swipe|long-press|drag|scroll-to|wait|assert");
+      if (subcmd === "summary") return await cmdUiSummary({ udid: flags.udid, limit: flags.limit, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "tree") return await cmdUiTree({ udid: flags.udid, stateFile, pretty, _internalCall });
+      else if (subcmd === "outline") return await cmdUiOutline({ udid: flags.udid, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "snapshot") return await cmdUiSnapshot({ udid: flags.udid, name: flags.name, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "diff") return await cmdUiDiff({ udid: flags.udid, from: flags.from, update: flags.update, limit: flags.limit, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "find") return await cmdUiFind({ udid: flags.udid, query: flags.query, selector: flags.selector, limit: flags.limit, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "tap") return await cmdUiTap({ udid: flags.udid, query: flags.query, selector: flags.selector, ref: flags.ref, x: flags.x, y: flags.y, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "type") return await cmdUiType({ udid: flags.udid, input: flags.text ?? flags.value, ref: flags.ref, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "button") return await cmdUiButton({ udid: flags.udid, name: flags.name, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "assert") return await cmdUiAssert({
+        udid: flags.udid,
+        query: flags.query,
+        selector: flags.selector,
+        exists: flags.exists,
+        notExists: flags["not-exists"],
+        value: flags.value,
+        valueContains: flags["value-contains"],
+        enabled: flags.enabled,
+        count: flags.count,
+        minCount: flags["min-count"],
+        maxCount: flags["max-count"],
+        includeStatic: flags["include-static"],
+        stateFile,
+        pretty,
+        text,
+        _internalCall,
+      });
+      else if (subcmd === "swipe") return await cmdUiSwipe({ udid: flags.udid, direction: flags.direction, fromQuery: flags["from-query"], fromSelector: flags["from-selector"], x: flags.x, y: flags.y, distance: flags.distance, duration: flags.duration, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "long-press") return await cmdUiLongPress({ udid: flags.udid, query: flags.query, selector: flags.selector, ref: flags.ref, x: flags.x, y: flags.y, duration: flags.duration, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "drag") return await cmdUiDrag({ udid: flags.udid, from: flags.from, to: flags.to, fromQuery: flags["from-query"], toQuery: flags["to-query"], fromSelector: flags["from-selector"], toSelector: flags["to-selector"], duration: flags.duration, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "scroll-to") return await cmdUiScrollTo({ udid: flags.udid, query: flags.query, selector: flags.selector, direction: flags.direction, container: flags.container, maxSwipes: flags["max-swipes"], distance: flags.distance, duration: flags.duration, stateFile, pretty, text, _internalCall });
+      else if (subcmd === "wait") return await cmdUiWait({ udid: flags.udid, query: flags.query, selector: flags.selector, gone: flags.gone, stable: flags.stable, timeout: flags.timeout, interval: flags.interval, stateFile, pretty, text, _internalCall });
+      else fail("Unknown ui subcommand", { subcmd });
+
+    case "run":
+      return await cmdRun({ udid: flags.udid, flow: flags.flow, continueOnError: flags["continue-on-error"], stateFile, pretty, text, _internalCall });
+
+    case "serve":
+      return await cmdServe({ port: flags.port, host: flags.host, token: flags.token, allowDangerous: flags["allow-dangerous"], stateFile, pretty, text });
+
+    case "mcp":
+      return await cmdMcp({ allowDangerous: flags["allow-dangerous"], stateFile });
+
+    case "batch":
+      return await cmdBatch({ stopOnError: flags["stop-on-error"], timing: flags.timing, stateFile });
 
     default:
-      exitWithError("Unknown command. Run with --help.", { cmd });
+      fail("Unknown command. Run with --help.", { cmd });
+  }
+}
+
+// Only run the CLI when executed directly, so the module can also be imported for its API.
+function isEntryPoint() {
+  if (!process.argv[1]) return false;
+  try {
+    return fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url));
+  } catch {
+    return false;
   }
 }
 
-main().catch((e) => {
-  exitWithError(e?.message || String(e), { stderr: e?.stderr, stdout: e?.stdout });
-});
+if (isEntryPoint()) {
+  main().then(() => {
+    const problem = backend.finish?.();
+    if (problem) exitWithError(problem.message, problem.extra, "E_REPLAY_MISMATCH");
+  }).catch((e) => {
+    const { message, extra, code } = errorDetails(e);
+    exitWithError(message, extra, code);
+  });
+}
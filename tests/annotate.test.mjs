@@ -0,0 +1,41 @@
+// screenshot --annotate numbers on-screen elements and ties the numbers to ui tap --ref (stub simctl/idb).
+import assert from "node:assert/strict";
+import path from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { stubHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const BLANK = fileURLToPath(new URL("fixtures/screen-blank.png", import.meta.url));
+const UI = [
+  { type: "Application", AXLabel: "Example", frame: { x: 0, y: 0, width: 393, height: 852 }, enabled: true },
+  { type: "TextField", AXLabel: "Email", frame: { x: 20, y: 300, width: 353, height: 40 }, enabled: true },
+  { type: "Button", AXLabel: "Log in", frame: { x: 20, y: 700, width: 353, height: 44 }, enabled: true },
+];
+
+const h = stubHost({ devices: [{ udid: UDID, name: "iPhone 15", state: "Booted" }], ui: UI, screenshot: BLANK });
+after(() => h.cleanup());
+
+test("--annotate draws numbered boxes and reports them in points", () => {
+  const out = path.join(h.dir, "shot.png");
+  const { status, result } = h.run(["screenshot", "--out", out, "--annotate", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.equal(result.scale, 1);
+  assert.deepEqual(
+    result.annotations.map(({ n, ref, label, centre }) => ({ n, ref, label, centre })),
+    [
+      { n: 1, ref: "e1", label: "Email", centre: { x: 196.5, y: 320 } },
+      { n: 2, ref: "e2", label: "Log in", centre: { x: 196.5, y: 722 } },
+    ],
+  );
+  const drawn = h.run(["image", "diff", "--a", out, "--b", BLANK]).result;
+  assert.ok(drawn.mismatched > 0, "the saved screenshot carries the boxes");
+});
+
+test("a bare marker number taps the annotated element", () => {
+  const { status, result } = h.run(["ui", "tap", "--ref", "2", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.equal(result.tapped.label, "Log in");
+  assert.equal(h.calls().at(-1), `idb ui tap 196.5 722 --udid ${UDID} --json`);
+});
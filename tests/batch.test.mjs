@@ -0,0 +1,55 @@
+// batch: NDJSON commands on stdin, one result line each (fake backend).
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { after, test } from "node:test";
+
+import { fakeHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const fixture = JSON.parse(fs.readFileSync(new URL("fixtures/fake-login.json", import.meta.url), "utf8"));
+const hosts = [];
+
+after(() => hosts.forEach((h) => h.cleanup()));
+
+function batch(lines, flags = []) {
+  const h = fakeHost(fixture);
+  hosts.push(h);
+  h.run(["boot", "--udid", UDID]);
+  const input = lines.map((l) => (typeof l === "string" ? l : JSON.stringify(l))).join("\n") + "\n";
+  const { status, stdout } = h.run(["batch", ...flags], { input });
+  return { status, out: stdout.trim().split("\n").map((l) => JSON.parse(l)) };
+}
+
+const LINES = [
+  { cmd: "app", sub: "launch", flags: { bundleId: "com.example.App", udid: UDID } },
+  { cmd: "ui", sub: "tap", flags: { query: "Sign up", udid: UDID }, id: "missing" },
+  { cmd: "ui", sub: "tap", flags: { query: "Log in", udid: UDID }, id: "login" },
+];
+
+test("every line runs and failures are reported inline", () => {
+  const { status, out } = batch(LINES);
+  assert.equal(status, 5);
+  assert.deepEqual(out.map((o) => [o.index, o.id, o.ok]), [[0, undefined, true], [1, "missing", false], [2, "login", true]]);
+  assert.equal(out[1].code, "E_UI_NO_MATCH");
+  assert.equal(out[2].result.tapped.label, "Log in");
+  assert.ok(out.every((o) => o.ms === undefined));
+});
+
+test("--stop-on-error stops after the first failed line", () => {
+  const { status, out } = batch(LINES, ["--stop-on-error"]);
+  assert.equal(status, 5);
+  assert.deepEqual(out.map((o) => o.index), [0, 1]);
+});
+
+test("--timing adds ms to every line", () => {
+  const { status, out } = batch([LINES[0], LINES[2]], ["--timing"]);
+  assert.equal(status, 0);
+  assert.ok(out.every((o) => Number.isInteger(o.ms) && o.ms >= 0));
+});
+
+test("bad lines and unbatchable commands fail without stopping the batch", () => {
+  const { status, out } = batch(["{not json", { cmd: "serve" }, LINES[0]]);
+  assert.equal(status, 1);
+  assert.deepEqual(out.map((o) => o.ok), [false, false, true]);
+  assert.match(out[1].error, /serve/);
+});
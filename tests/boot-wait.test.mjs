@@ -0,0 +1,59 @@
+// boot waits on bootstatus (or polls without it), and device lookups are scoped and cached (stub xcrun).
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+
+import { stubHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const hosts = [];
+
+function host(rules = [], state = "Booted") {
+  const h = stubHost({ devices: [{ udid: UDID, name: "iPhone 15", state }], ui: [], rules });
+  hosts.push(h);
+  return h;
+}
+
+const simctlCalls = (h) => h.calls().filter((c) => c.startsWith("xcrun simctl ")).map((c) => c.replace(/^xcrun simctl /, "").replace(UDID, "<udid>"));
+
+after(() => hosts.forEach((h) => h.cleanup()));
+
+test("boot waits with bootstatus and reports its phases", () => {
+  const h = host([], "Shutdown");
+  const { status, result } = h.run(["boot", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.equal(result.wait.method, "bootstatus");
+  assert.equal(result.wait.ready, true);
+  assert.deepEqual(Object.keys(result.timings), ["resolveMs", "bootMs", "waitMs", "totalMs"]);
+  assert.deepEqual(simctlCalls(h), ["boot <udid>", "bootstatus <udid> -b"]);
+});
+
+test("without bootstatus, boot polls the state and then listapps", () => {
+  const h = host([{ match: "simctl bootstatus", stderr: "Unrecognized subcommand: bootstatus", code: 64 }]);
+  const { status, result } = h.run(["boot", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.equal(result.wait.method, "poll");
+  assert.match(result.wait.bootstatusError, /Unrecognized subcommand/);
+  assert.deepEqual(simctlCalls(h).slice(-2), ["list --json devices <udid>", "listapps <udid>"]);
+});
+
+test("a wait that runs out exits 6 with E_TIMEOUT", () => {
+  const h = host([
+    { match: "simctl bootstatus", stderr: "Unrecognized subcommand: bootstatus", code: 64 },
+    { match: "simctl listapps", stderr: "Unable to lookup in current state: Booting", code: 149 },
+  ]);
+  const { status, result } = h.run(["boot", "--udid", UDID, "--timeout", "1"]);
+  assert.equal(status, 6);
+  assert.equal(result.ok, false);
+  assert.equal(result.code, "E_TIMEOUT");
+});
+
+test("lookups of the default device in one process share a scoped simctl list", () => {
+  const h = host();
+  const input = [
+    { cmd: "openurl", flags: { url: "example://a" } },
+    { cmd: "openurl", flags: { url: "example://b" } },
+    { cmd: "clipboard", sub: "get" },
+  ].map((l) => JSON.stringify(l)).join("\n");
+  assert.equal(h.run(["batch"], { input }).status, 0);
+  assert.deepEqual(simctlCalls(h).filter((c) => c.startsWith("list")), ["list --json devices"]);
+});
@@ -0,0 +1,52 @@
+// diffUi, the comparison behind `ui diff`, on recorded idb describe-all output.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { test } from "node:test";
+
+import { diffUi, normaliseElements } from "../scripts/ios-sim.mjs";
+
+const fixture = (name) => normaliseElements(JSON.parse(fs.readFileSync(new URL(`fixtures/${name}.json`, import.meta.url), "utf8")));
+const before = fixture("ui-login-before");
+const after = fixture("ui-login-after");
+const diff = diffUi(before, after);
+const changeOf = (label) => diff.changed.find((c) => c.label === label)?.changes;
+
+test("identical trees have no differences", () => {
+  assert.deepEqual(diffUi(before, before), { added: [], removed: [], changed: [], unchanged: before.length });
+});
+
+test("unlabelled containers are left out", () => {
+  assert.ok(before.every((e) => e.type !== "Other"));
+});
+
+test("added elements", () => {
+  assert.deepEqual(diff.added, [{ type: "StaticText", label: "Wrong password" }]);
+});
+
+test("removed elements", () => {
+  assert.deepEqual(diff.removed, [{ type: "StaticText", label: "Loading…" }]);
+});
+
+test("changed value and enabled state", () => {
+  assert.deepEqual(changeOf("Email"), { value: { from: "", to: "a@example.com" } });
+  assert.deepEqual(changeOf("Log in"), { enabled: { from: true, to: false } });
+});
+
+test("a relabelled element in place is a change, not a remove and add", () => {
+  assert.deepEqual(changeOf("Register"), { label: { from: "Sign up", to: "Register" } });
+  assert.ok(!diff.removed.some((e) => e.label === "Sign up"));
+});
+
+test("moved elements report the frame change", () => {
+  assert.deepEqual(changeOf("Terms"), { frame: { from: [20, 1400, 353, 44], to: [20, 760, 353, 44] } });
+  assert.equal(diff.unchanged, 2);
+});
+
+test("duplicates pair with the nearest element", () => {
+  const row = (y) => ({ type: "Button", AXLabel: "Delete", frame: { x: 300, y, width: 60, height: 44 }, enabled: true });
+  const rows = normaliseElements([row(100), row(200), row(300)]);
+  const { added, removed, changed } = diffUi(rows, normaliseElements([row(100), row(300)]));
+  assert.deepEqual(added, []);
+  assert.deepEqual(removed, [{ type: "Button", label: "Delete" }]);
+  assert.deepEqual(changed, []);
+});
@@ -0,0 +1,147 @@
+// ensure: config validation, idempotent create/reuse, --device and app installs (fake backend,
+// plus stub xcrun for simctl's own listapps output).
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+
+import { fakeHost, stubHost } from "./helpers/cli.mjs";
+
+const fixture = JSON.parse(fs.readFileSync(new URL("fixtures/fake-login.json", import.meta.url), "utf8"));
+const hosts = [];
+
+function host(config) {
+  const h = fakeHost(fixture);
+  hosts.push(h);
+  if (config !== undefined) fs.writeFileSync(path.join(h.dir, "ios-sim.config.json"), typeof config === "string" ? config : JSON.stringify(config), "utf8");
+  return h;
+}
+
+after(() => hosts.forEach((h) => h.cleanup()));
+
+describe("config validation", () => {
+  const phone = { deviceType: "iPhone 15", runtime: "iOS 17" };
+  const cases = [
+    ["no devices", { devices: {} }, /`devices` must be an object of named devices/],
+    ["devices as an array", { devices: [phone] }, /`devices` must be an object/],
+    ["bad logical name", { devices: { "my phone": phone } }, /devices\.my phone: names may only use/],
+    ["missing runtime", { devices: { phone: { deviceType: "iPhone 15" } } }, /devices\.phone\.runtime is required/],
+    ["bad locale", { devices: { phone: { ...phone, locale: "English" } } }, /devices\.phone\.locale must look like en_GB/],
+    ["bad appearance", { devices: { phone: { ...phone, appearance: "dim" } } }, /devices\.phone\.appearance must be light or dark/],
+    ["apps not a list", { devices: { phone: { ...phone, apps: "build/App.app" } } }, /devices\.phone\.apps must be an array/],
+    ["boot not a boolean", { devices: { phone: { ...phone, boot: "yes" } } }, /devices\.phone\.boot must be true or false/],
+  ];
+  for (const [name, config, message] of cases) {
+    test(name, () => {
+      const { status, error } = host(config).run(["ensure"]);
+      assert.equal(status, 1);
+      assert.equal(error.code, "E_INVALID_FILE");
+      assert.match(error.error, message);
+    });
+  }
+
+  test("invalid JSON and a missing file", () => {
+    assert.equal(host("{ devices: ").run(["ensure"]).error.code, "E_INVALID_FILE");
+    assert.equal(host().run(["ensure"]).error.code, "E_FILE_NOT_FOUND");
+  });
+});
+
+describe("ensure", () => {
+  const h = host({
+    devices: {
+      phone: { deviceType: "iPhone 15", runtime: "iOS 17", locale: "en_GB", appearance: "dark" },
+      spare: { deviceType: "iPhone", runtime: "iOS", name: "Spare" },
+    },
+  });
+
+  test("creates the devices and defers settings until they are booted", () => {
+    const { status, result } = h.run(["ensure"]);
+    assert.equal(status, 0);
+    assert.equal(result.devices.phone.action, "created");
+    assert.deepEqual(result.devices.phone.pending, ["locale", "appearance"]);
+    assert.equal(result.devices.spare.name, "Spare");
+  });
+
+  test("running it again reuses them, and --boot applies the settings", () => {
+    const first = h.run(["list", "--all"]).result.devices.length;
+    const { result } = h.run(["ensure", "--device", "phone", "--boot"]);
+    assert.equal(result.devices.phone.action, "reused");
+    assert.equal(result.devices.phone.state, "Booted");
+    assert.deepEqual(result.devices.phone.applied, ["locale", "appearance"]);
+    assert.deepEqual(Object.keys(result.devices), ["phone"]);
+    assert.equal(h.run(["list", "--all"]).result.devices.length, first);
+  });
+
+  test("--device resolves to the recorded simulator", () => {
+    const udid = h.run(["ensure", "--device", "phone"]).result.devices.phone.udid;
+    assert.equal(h.run(["openurl", "--url", "example://x", "--device", "phone"]).result.udid, udid);
+    const { status, error } = h.run(["openurl", "--url", "example://x", "--device", "tablet"]);
+    assert.equal(status, 4);
+    assert.match(error.error, /"tablet" has not been set up/);
+  });
+});
+
+describe("ensure apps", () => {
+  const h = host({ devices: { phone: { deviceType: "iPhone 15", runtime: "iOS 17", apps: ["build/App.app"], boot: true } } });
+  const build = (version) => {
+    fs.mkdirSync(path.join(h.dir, "build/App.app"), { recursive: true });
+    const plist = `<plist><dict><key>CFBundleIdentifier</key><string>com.example.Built</string><key>CFBundleShortVersionString</key><string>1.0</string><key>CFBundleVersion</key><string>${version}</string></dict></plist>`;
+    fs.writeFileSync(path.join(h.dir, "build/App.app/Info.plist"), plist, "utf8");
+  };
+  const apps = () => {
+    const { applied, unchanged } = h.run(["ensure"]).result.devices.phone;
+    return { applied, unchanged };
+  };
+
+  test("an app already installed at the same version is left alone", () => {
+    build("1");
+    assert.deepEqual(apps(), { applied: ["app build/App.app"], unchanged: [] });
+    assert.deepEqual(apps(), { applied: [], unchanged: ["app build/App.app"] });
+  });
+
+  test("a new build is installed again", () => {
+    build("2");
+    assert.deepEqual(apps(), { applied: ["app build/App.app"], unchanged: [] });
+  });
+});
+
+// Trimmed from a real `simctl listapps`: nested dictionaries carry keys of their own.
+const LISTAPPS = `{
+    "com.apple.Preferences" =     {
+        ApplicationType = System;
+        CFBundleIdentifier = "com.apple.Preferences";
+        CFBundleVersion = "1.0";
+    };
+    "com.example.Built" =     {
+        ApplicationType = User;
+        CFBundleIdentifier = "com.example.Built";
+        CFBundleShortVersionString = "2.1";
+        CFBundleVersion = 42;
+        GroupContainers =         {
+            "group.com.example" = "file:///tmp/group/";
+        };
+        SBAppTags =         (
+        );
+    };
+}
+`;
+
+test("simctl listapps output decides whether the app is reinstalled", () => {
+  const UDID = "11111111-1111-4111-8111-111111111111";
+  const run = (version) => {
+    const h = stubHost({
+      devices: [{ udid: UDID, name: "phone", state: "Booted", deviceTypeIdentifier: "com.apple.CoreSimulator.SimDeviceType.iPhone-15" }],
+      devicetypes: [{ identifier: "com.apple.CoreSimulator.SimDeviceType.iPhone-15", name: "iPhone 15" }],
+      rules: [{ match: "^xcrun simctl listapps ", stdout: LISTAPPS }],
+    });
+    hosts.push(h);
+    fs.mkdirSync(path.join(h.dir, "App.app"));
+    const plist = `<plist><dict><key>CFBundleIdentifier</key><string>com.example.Built</string><key>CFBundleShortVersionString</key><string>2.1</string><key>CFBundleVersion</key><string>${version}</string></dict></plist>`;
+    fs.writeFileSync(path.join(h.dir, "App.app/Info.plist"), plist, "utf8");
+    fs.writeFileSync(path.join(h.dir, "ios-sim.config.json"), JSON.stringify({ devices: { phone: { deviceType: "iPhone 15", runtime: "iOS 17", apps: ["App.app"] } } }), "utf8");
+    const { unchanged } = h.run(["ensure"]).result.devices.phone;
+    return { unchanged, installs: h.calls().filter((c) => c.startsWith("xcrun simctl install ")).length };
+  };
+  assert.deepEqual(run("42"), { unchanged: ["app App.app"], installs: 0 });
+  assert.deepEqual(run("43"), { unchanged: [], installs: 1 });
+});
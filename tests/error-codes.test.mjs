@@ -0,0 +1,66 @@
+// Error payloads carry a stable code and hint, and the exit status follows the code's category (stub xcrun/idb).
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import process from "node:process";
+import { after, test } from "node:test";
+
+import { runCli, scratchDir, stubHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const h = stubHost({
+  devices: [{ udid: UDID, name: "iPhone 15", state: "Booted" }],
+  ui: [],
+  rules: [
+    { match: "simctl openurl", stderr: "An error was encountered processing the command (domain=NSOSStatusErrorDomain, code=-10814)", code: 1 },
+    { match: "simctl get_app_container", stderr: "No such file or directory", code: 2 },
+  ],
+});
+const plain = scratchDir();
+after(() => {
+  h.cleanup();
+  fs.rmSync(plain, { recursive: true, force: true });
+});
+
+test("usage errors exit 1 with E_USAGE", () => {
+  const { status, error } = h.run(["ui", "tap", "--udid", UDID]);
+  assert.equal(status, 1);
+  assert.equal(error.code, "E_USAGE");
+});
+
+test("destructive commands without --yes exit 1 with a hint", () => {
+  const { status, error } = h.run(["erase", "--udid", UDID]);
+  assert.equal(status, 1);
+  assert.equal(error.code, "E_CONFIRMATION_REQUIRED");
+  assert.match(error.hint, /--yes/);
+});
+
+test("an unknown device exits 4", () => {
+  const { status, error } = h.run(["select", "--name", "Pixel"]);
+  assert.equal(status, 4);
+  assert.equal(error.code, "E_NO_DEVICE");
+});
+
+test("a UI lookup miss exits 5", () => {
+  const { status, error } = h.run(["ui", "tap", "--query", "Log in", "--udid", UDID]);
+  assert.equal(status, 5);
+  assert.equal(error.code, "E_UI_NO_MATCH");
+  assert.ok(error.hint);
+});
+
+test("failed simctl calls are classified from stderr and exit 7", () => {
+  const missing = h.run(["app", "container", "--bundle-id", "com.example.Missing", "--udid", UDID]);
+  assert.equal(missing.status, 7);
+  assert.equal(missing.error.code, "E_APP_NOT_INSTALLED");
+  assert.equal(missing.error.exitCode, 2);
+
+  const other = h.run(["openurl", "--url", "example://x", "--udid", UDID]);
+  assert.equal(other.status, 7);
+  assert.equal(other.error.code, "E_SIMCTL_FAILED");
+  assert.match(other.error.stderr, /code=-10814/);
+});
+
+test("off macOS the real backend exits 2 with E_NOT_MACOS", { skip: process.platform === "darwin" }, () => {
+  const { status, error } = runCli(["list"], { cwd: plain });
+  assert.equal(status, 2);
+  assert.equal(error.code, "E_NOT_MACOS");
+});
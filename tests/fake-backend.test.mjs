@@ -0,0 +1,89 @@
+// End-to-end runs of the CLI on the fake backend: each step is a separate process,
+// sharing the state file and the fake world like a real session would.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { after, before, describe, test } from "node:test";
+
+import { fakeHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const fixture = JSON.parse(fs.readFileSync(new URL("fixtures/fake-login.json", import.meta.url), "utf8"));
+
+describe("fake backend: select, boot, launch, tap", () => {
+  let h;
+  before(() => {
+    h = fakeHost(fixture);
+  });
+  after(() => h.cleanup());
+
+  test("select picks the device and records it", () => {
+    const { status, result } = h.run(["select", "--name", "iPhone"]);
+    assert.equal(status, 0);
+    assert.equal(result.selected.udid, UDID);
+    const state = JSON.parse(fs.readFileSync(`${h.dir}/.ios-sim-state.json`, "utf8"));
+    assert.equal(state.udid, UDID);
+  });
+
+  test("boot uses the selected device", () => {
+    const { status, result } = h.run(["boot"]);
+    assert.equal(status, 0);
+    assert.equal(result.udid, UDID);
+    assert.equal(result.boot.alreadyBooted, false);
+    assert.equal(h.run(["list", "--state", "booted"]).result.counts.booted, 1);
+  });
+
+  test("booting again reports already booted", () => {
+    assert.equal(h.run(["boot"]).result.boot.alreadyBooted, true);
+  });
+
+  test("app launch shows the app's screen", () => {
+    const { status, result } = h.run(["app", "launch", "--bundle-id", "com.example.App"]);
+    assert.equal(status, 0);
+    assert.equal(result.ok, true);
+    assert.deepEqual(h.run(["ui", "find", "--query", "Log in"]).result.matches.map((m) => m.type), ["Button"]);
+  });
+
+  test("app launch of an app that is not installed fails", () => {
+    const { status, result } = h.run(["app", "launch", "--bundle-id", "com.example.Missing"]);
+    assert.equal(status, 7);
+    assert.equal(result.code, "E_APP_NOT_INSTALLED");
+  });
+
+  test("ui tap follows the screen transition", () => {
+    const { status, result } = h.run(["ui", "tap", "--query", "Log in"]);
+    assert.equal(status, 0);
+    assert.equal(result.tapped.label, "Log in");
+    assert.equal(h.run(["ui", "assert", "--query", "Inbox", "--include-static"]).status, 0);
+    assert.equal(h.run(["ui", "assert", "--query", "Log in", "--not-exists"]).status, 0);
+  });
+
+  test("ui tap without a match fails with E_UI_NO_MATCH", () => {
+    const { status, error } = h.run(["ui", "tap", "--query", "Log in"]);
+    assert.equal(status, 5);
+    assert.equal(error.code, "E_UI_NO_MATCH");
+  });
+});
+
+describe("fake backend: tap by ref", () => {
+  let h;
+  before(() => {
+    h = fakeHost(fixture);
+    h.run(["select", "--name", "iPhone", "--boot"]);
+    h.run(["app", "launch", "--bundle-id", "com.example.App"]);
+  });
+  after(() => h.cleanup());
+
+  test("ui outline refs can be tapped", () => {
+    const { outline } = h.run(["ui", "outline"]).result;
+    const ref = outline.find((line) => line.includes('"Log in"')).match(/\[(e\d+)\]/)[1];
+    const { status, result } = h.run(["ui", "tap", "--ref", ref]);
+    assert.equal(status, 0);
+    assert.equal(result.tapped.label, "Log in");
+  });
+
+  test("refs go stale once the screen changes", () => {
+    const { status, error } = h.run(["ui", "tap", "--ref", "e1"]);
+    assert.equal(status, 5);
+    assert.equal(error.code, "E_STALE_REF");
+  });
+});
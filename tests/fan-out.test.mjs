@@ -0,0 +1,65 @@
+// Device-scoped commands across several simulators: selection, path templates and exit status (stub xcrun/idb).
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { stubHost } from "./helpers/cli.mjs";
+
+const A = "11111111-1111-4111-8111-111111111111";
+const B = "22222222-2222-4222-8222-222222222222";
+const C = "33333333-3333-4333-8333-333333333333";
+const BLANK = fileURLToPath(new URL("fixtures/screen-blank.png", import.meta.url));
+const hosts = [];
+
+function host(devices) {
+  const h = stubHost({ devices, ui: [], screenshot: BLANK });
+  hosts.push(h);
+  return h;
+}
+
+after(() => hosts.forEach((h) => h.cleanup()));
+
+const TWO_BOOTED = [
+  { udid: A, name: "iPhone 15", state: "Booted" },
+  { udid: B, name: "iPad Air (M2)", state: "Booted" },
+  { udid: C, name: "iPhone SE", state: "Shutdown" },
+];
+
+test("--out is templated per device, with unsafe characters replaced", () => {
+  const h = host(TWO_BOOTED);
+  const { status, result } = h.run(["screenshot", "--udid", "all-booted", "--out", "shots/{name}-{udid}.png"]);
+  assert.equal(status, 0);
+  assert.equal(result.fanOut, true);
+  assert.deepEqual(result.counts, { total: 2, ok: 2, failed: 0 });
+  assert.deepEqual(fs.readdirSync(path.join(h.dir, "shots")).sort(), [`iPad-Air-M2--${B}.png`, `iPhone-15-${A}.png`]);
+});
+
+test("an --out that comes out the same for two devices is rejected up front", () => {
+  const h = host([...TWO_BOOTED, { udid: C, name: "iPhone 15", state: "Booted" }]);
+  for (const out of ["shot.png", "shots/{name}.png"]) {
+    const { status, error } = h.run(["screenshot", "--udid", "all-booted", "--out", out]);
+    assert.equal(status, 1);
+    assert.equal(error.code, "E_USAGE");
+    assert.match(error.error, /--out must differ per device/);
+  }
+  assert.ok(!h.calls().some((c) => c.includes(" screenshot ")));
+});
+
+test("--devices picks booted devices by name and the first failure sets the exit status", () => {
+  const h = host(TWO_BOOTED);
+  const { status, result } = h.run(["ui", "tap", "--query", "Log in", "--devices", "iPhone,iPad"]);
+  assert.equal(status, 5);
+  assert.equal(result.ok, false);
+  assert.deepEqual(Object.keys(result.devices).sort(), [A, B]);
+  assert.ok(Object.values(result.devices).every((d) => d.code === "E_UI_NO_MATCH"));
+});
+
+test("shut-down matches are not booted", () => {
+  const h = host(TWO_BOOTED);
+  const { status, error } = h.run(["openurl", "--url", "example://x", "--devices", "SE"]);
+  assert.equal(status, 4);
+  assert.equal(error.code, "E_DEVICE_NOT_BOOTED");
+  assert.ok(!h.calls().some((c) => c.includes("simctl boot")));
+});
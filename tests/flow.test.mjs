@@ -0,0 +1,91 @@
+// `run --flow` with a failing step, against stub xcrun/idb.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { stubHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const UI = [
+  { type: "Application", AXLabel: "Example", frame: { x: 0, y: 0, width: 393, height: 852 }, enabled: true },
+  { type: "Button", AXLabel: "Log in", frame: { x: 20, y: 700, width: 353, height: 44 }, enabled: true },
+];
+const STEPS = [
+  { action: "launch", bundleId: "com.example.App" },
+  { action: "tap", query: "Sign up", name: "tap missing" },
+  { action: "button", name: "HOME" },
+];
+const hosts = [];
+
+const fixture = (name) => fileURLToPath(new URL(`fixtures/${name}.png`, import.meta.url));
+
+function flowHost(flow) {
+  const h = stubHost({
+    devices: [{ udid: UDID, name: "iPhone 15", state: "Booted" }],
+    ui: UI,
+    screenshot: fixture("png-plain"),
+    rules: [{ match: "^xcrun simctl launch ", stdout: "com.example.App: 4242\n" }],
+  });
+  fs.writeFileSync(path.join(h.dir, "flow.json"), JSON.stringify(flow), "utf8");
+  hosts.push(h);
+  return h;
+}
+
+after(() => hosts.forEach((h) => h.cleanup()));
+
+test("stops at the first failed step", () => {
+  const h = flowHost({ steps: STEPS });
+  const { status, result } = h.run(["run", "--flow", "flow.json", "--udid", UDID]);
+  assert.equal(status, 5);
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.counts, { total: 3, passed: 1, failed: 1, skipped: 1 });
+  assert.deepEqual(result.steps.map((s) => s.ok), [true, false]);
+  assert.equal(result.steps[1].name, "tap missing");
+  assert.ok(!h.calls().some((c) => c.startsWith("idb ui button")));
+});
+
+test("--continue-on-error runs the remaining steps", () => {
+  const h = flowHost({ steps: STEPS });
+  const { status, result } = h.run(["run", "--flow", "flow.json", "--continue-on-error", "--udid", UDID]);
+  assert.equal(status, 5);
+  assert.deepEqual(result.counts, { total: 3, passed: 2, failed: 1, skipped: 0 });
+  assert.deepEqual(result.steps.map((s) => s.ok), [true, false, true]);
+  assert.ok(h.calls().includes(`idb ui button HOME --udid ${UDID} --json`));
+});
+
+test("a failed assertion step exits 3", () => {
+  const h = flowHost({ steps: [STEPS[0], { action: "assert", query: "Log in", notExists: true }] });
+  const { status, result } = h.run(["run", "--flow", "flow.json", "--udid", UDID]);
+  assert.equal(status, 3);
+  assert.equal(result.steps[1].error, "Assertion failed: not-exists");
+});
+
+test("continueOnError in the flow file works like the flag", () => {
+  const h = flowHost({ continueOnError: true, steps: STEPS });
+  const { result } = h.run(["run", "--flow", "flow.json", "--udid", UDID]);
+  assert.deepEqual(result.counts, { total: 3, passed: 2, failed: 1, skipped: 0 });
+});
+
+test("a flow without failures exits 0 and runs every step on the device", () => {
+  const h = flowHost({ steps: [STEPS[0], { action: "tap", query: "Log in" }, STEPS[2]] });
+  const { status, result } = h.run(["run", "--flow", "flow.json", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.deepEqual(result.counts, { total: 3, passed: 3, failed: 0, skipped: 0 });
+  assert.ok(h.calls().includes(`idb ui tap 196.5 722 --udid ${UDID} --json`));
+});
+
+test("screenshot steps compare against a baseline with the screenshot options", () => {
+  const compare = { action: "screenshot", out: "shot.png", compare: fixture("png-changed"), diffOut: "diff.png" };
+  const failing = flowHost({ steps: [compare] });
+  const { status, result } = failing.run(["run", "--flow", "flow.json", "--udid", UDID]);
+  assert.equal(status, 3);
+  assert.match(result.steps[0].error, /^Compare: MISMATCH — 4 px/);
+  assert.ok(fs.existsSync(path.join(failing.dir, "diff.png")));
+
+  const h = flowHost({ steps: [{ ...compare, threshold: 10 }] });
+  const passed = h.run(["run", "--flow", "flow.json", "--udid", UDID]);
+  assert.equal(passed.status, 0);
+  assert.equal(passed.result.steps[0].result.compare.threshold, 10);
+});
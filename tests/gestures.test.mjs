@@ -0,0 +1,67 @@
+// Swipe, long-press, drag and scroll-to turn into the expected idb calls (stub idb).
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+
+import { stubHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const APP = { type: "Application", AXLabel: "Example", frame: { x: 0, y: 0, width: 393, height: 852 }, enabled: true };
+const LOGIN = { type: "Button", AXLabel: "Log in", frame: { x: 20, y: 700, width: 353, height: 44 }, enabled: true };
+const terms = (y) => ({ type: "Button", AXLabel: "Terms", frame: { x: 20, y, width: 353, height: 44 }, enabled: true });
+const hosts = [];
+
+function host(spec) {
+  const h = stubHost({ devices: [{ udid: UDID, name: "iPhone 15", state: "Booted" }], ...spec });
+  hosts.push(h);
+  return h;
+}
+
+const idbCalls = (h, prefix) => h.calls().filter((c) => c.startsWith(prefix)).map((c) => c.replace(` --udid ${UDID} --json`, ""));
+
+after(() => hosts.forEach((h) => h.cleanup()));
+
+test("swipe starts at the screen centre and stays inside the screen", () => {
+  const h = host({ ui: [APP, LOGIN] });
+  const { status, result } = h.run(["ui", "swipe", "--direction", "up", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.deepEqual(result.from, { x: 196.5, y: 426 });
+  assert.deepEqual(idbCalls(h, "idb ui swipe"), ["idb ui swipe 197 426 197 1"]);
+});
+
+test("long-press holds a tap on the matched element", () => {
+  const h = host({ ui: [APP, LOGIN] });
+  const { status } = h.run(["ui", "long-press", "--query", "Log in", "--duration", "2", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.deepEqual(idbCalls(h, "idb ui tap"), ["idb ui tap 196.5 722 --duration 2"]);
+});
+
+test("drag is a slow swipe between the two endpoints", () => {
+  const h = host({ ui: [APP, LOGIN] });
+  const { status } = h.run(["ui", "drag", "--from", "10,20", "--to-query", "Log in", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.deepEqual(idbCalls(h, "idb ui swipe"), ["idb ui swipe 10 20 197 722 --duration 1"]);
+});
+
+test("scroll-to swipes until the element is on screen", () => {
+  const h = host({ uiSequence: [[APP, terms(1400)], [APP, terms(900)], [APP, terms(600)]] });
+  const { status, result } = h.run(["ui", "scroll-to", "--query", "Terms", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.equal(result.swipes, 2);
+  assert.equal(idbCalls(h, "idb ui swipe").length, 2);
+});
+
+test("scroll-to stops when the tree stops changing", () => {
+  const h = host({ ui: [APP, terms(1400)] });
+  const { status, error } = h.run(["ui", "scroll-to", "--query", "Terms", "--udid", UDID]);
+  assert.notEqual(status, 0);
+  assert.equal(error.reason, "tree-unchanged");
+  assert.equal(idbCalls(h, "idb ui swipe").length, 1);
+});
+
+test("an unknown direction is rejected before touching the device", () => {
+  const h = host({ ui: [APP] });
+  const { status, error } = h.run(["ui", "swipe", "--direction", "sideways", "--udid", UDID]);
+  assert.notEqual(status, 0);
+  assert.match(error.error, /Invalid --direction/);
+  assert.deepEqual(idbCalls(h, "idb"), []);
+});
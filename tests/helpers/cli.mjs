@@ -0,0 +1,68 @@
+// Runs scripts/ios-sim.mjs in a scratch directory, either on the fake backend or on the real
+// one with stub xcrun/idb executables (see stub-tool.mjs) first on PATH.
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import process from "node:process";
+import { fileURLToPath } from "node:url";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+export const CLI = path.resolve(HERE, "../../scripts/ios-sim.mjs");
+
+export function scratchDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "ios-sim-test-"));
+}
+
+function parseJson(s) {
+  try {
+    return JSON.parse(s.trim().split("\n").pop());
+  } catch {
+    return null;
+  }
+}
+
+// `result` is the JSON printed on stdout, `error` the JSON error printed on stderr.
+export function runCli(args, { cwd, env = {}, nodeArgs = [], input } = {}) {
+  const clean = Object.fromEntries(Object.entries(process.env).filter(([k]) => !k.startsWith("IOS_SIM_")));
+  const res = spawnSync(process.execPath, [...nodeArgs, CLI, ...args], {
+    cwd,
+    env: { ...clean, IOS_SIM_STATE_FILE: path.join(cwd, ".ios-sim-state.json"), ...env },
+    input,
+    encoding: "utf8",
+    timeout: 60000,
+  });
+  return { status: res.status, stdout: res.stdout, stderr: res.stderr, result: parseJson(res.stdout), error: parseJson(res.stderr) };
+}
+
+// Fake backend seeded from `fixture` (see references/FAKE_BACKEND.md).
+export function fakeHost(fixture) {
+  const dir = scratchDir();
+  fs.writeFileSync(path.join(dir, "fixture.json"), JSON.stringify(fixture), "utf8");
+  return {
+    dir,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+    run: (args, opts = {}) => runCli(["--backend", "fake", "--fake-fixture", "fixture.json", ...args], { cwd: dir, ...opts }),
+  };
+}
+
+// Real backend against stub xcrun/idb answering from `spec` ({ devices, ui, rules }).
+export function stubHost(spec) {
+  const dir = scratchDir();
+  const bin = path.join(dir, "bin");
+  fs.mkdirSync(bin);
+  for (const tool of ["xcrun", "idb"]) {
+    const wrapper = path.join(bin, tool);
+    fs.writeFileSync(wrapper, `#!/bin/sh\nexec "${process.execPath}" "${path.join(HERE, "stub-tool.mjs")}" ${tool} "$@"\n`, "utf8");
+    fs.chmodSync(wrapper, 0o755);
+  }
+  const specFile = path.join(dir, "stub.json");
+  fs.writeFileSync(specFile, JSON.stringify(spec), "utf8");
+  const env = { PATH: `${bin}${path.delimiter}${process.env.PATH}`, IOS_SIM_STUB: specFile };
+  return {
+    dir,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+    run: (args, opts = {}) => runCli(args, { cwd: dir, nodeArgs: ["--import", path.join(HERE, "darwin.mjs")], ...opts, env: { ...env, ...opts.env } }),
+    calls: () => (fs.existsSync(`${specFile}.calls`) ? fs.readFileSync(`${specFile}.calls`, "utf8").trim().split("\n") : []),
+  };
+}
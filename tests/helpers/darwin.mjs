@@ -0,0 +1,4 @@
+// Preloaded (`node --import`) by stubHost() runs: the CLI refuses to start off macOS.
+import process from "node:process";
+
+Object.defineProperty(process, "platform", { value: "darwin" });
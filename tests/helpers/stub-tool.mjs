@@ -0,0 +1,36 @@
+// Stand-in for xcrun and idb in the CLI tests; stubHost() puts wrappers named after both on
+// PATH that run `node stub-tool.mjs <xcrun|idb> ...args`. Answers come from the JSON spec named
+// by IOS_SIM_STUB: the first rule whose `match` regex matches the command line wins, otherwise
+// `simctl list` prints `devices` (plus `runtimes`/`devicetypes` when given), `idb ui describe-all`
+// prints `ui` (or, with `uiSequence`, one tree per call, repeating the last) and
+// `simctl io <udid> screenshot <file>` copies the PNG named by `screenshot`. Every call is
+// appended to `<spec>.calls`.
+import fs from "node:fs";
+import process from "node:process";
+
+const RUNTIME = { identifier: "com.apple.CoreSimulator.SimRuntime.iOS-17-5", name: "iOS 17.5", version: "17.5", isAvailable: true };
+
+const [tool, ...args] = process.argv.slice(2);
+const specFile = process.env.IOS_SIM_STUB;
+const spec = JSON.parse(fs.readFileSync(specFile, "utf8"));
+const line = [tool, ...args].join(" ");
+fs.appendFileSync(`${specFile}.calls`, line + "\n", "utf8");
+
+const rule = (spec.rules || []).find((r) => new RegExp(r.match).test(line));
+if (rule) {
+  if (rule.stdout) process.stdout.write(rule.stdout);
+  if (rule.stderr) process.stderr.write(rule.stderr + "\n");
+  process.exitCode = rule.code ?? 0;
+} else if (tool === "xcrun" && args[0] === "simctl" && args[1] === "list") {
+  const devices = (spec.devices || []).map((d) => ({ state: "Shutdown", isAvailable: true, ...d }));
+  process.stdout.write(JSON.stringify({ devices: { [RUNTIME.identifier]: devices }, runtimes: spec.runtimes || [RUNTIME], devicetypes: spec.devicetypes || [] }));
+} else if (tool === "xcrun" && args[0] === "simctl" && args[1] === "io" && args[3] === "screenshot" && spec.screenshot) {
+  fs.copyFileSync(spec.screenshot, args[4]);
+} else if (tool === "idb" && args[0] === "ui" && args[1] === "describe-all") {
+  let tree = spec.ui || [];
+  if (spec.uiSequence) {
+    const polls = fs.readFileSync(`${specFile}.calls`, "utf8").split("\n").filter((l) => l.startsWith("idb ui describe-all")).length;
+    tree = spec.uiSequence[Math.min(polls, spec.uiSequence.length) - 1];
+  }
+  process.stdout.write(JSON.stringify(tree));
+}
@@ -0,0 +1,57 @@
+// image diff on small fixture PNGs. png-filters.png uses filter types 0–4 (one per row) and RGB;
+// png-plain.png has the same pixels as unfiltered RGBA; png-changed.png differs in a 2×2 block at 5,1.
+// png-diff-expected.png is the highlighted diff of changed against plain.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { stubHost } from "./helpers/cli.mjs";
+
+const fixture = (name) => fileURLToPath(new URL(`fixtures/${name}.png`, import.meta.url));
+const h = stubHost({});
+after(() => h.cleanup());
+
+const diff = (a, b, ...flags) => h.run(["image", "diff", "--a", fixture(a), "--b", fixture(b), ...flags]);
+
+test("every PNG filter type decodes to the same pixels as the unfiltered image", () => {
+  const { status, result } = diff("png-filters", "png-plain", "--pixel-threshold", "0");
+  assert.equal(status, 0);
+  assert.equal(result.mismatched, 0);
+  assert.deepEqual([result.width, result.height], [8, 5]);
+});
+
+test("the mismatch percentage is checked against --threshold", () => {
+  const failed = diff("png-changed", "png-plain");
+  assert.equal(failed.status, 3);
+  assert.equal(failed.result.ok, false);
+  assert.equal(failed.result.mismatched, 4);
+  assert.equal(failed.result.percent, 10);
+
+  const allowed = diff("png-changed", "png-plain", "--threshold", "10");
+  assert.equal(allowed.status, 0);
+  assert.equal(allowed.result.ok, true);
+});
+
+test("--ignore regions are left out of the comparison", () => {
+  const { status, result } = diff("png-changed", "png-plain", "--ignore", "5,1,2,2");
+  assert.equal(status, 0);
+  assert.equal(result.ignored, 4);
+  assert.equal(result.compared, 36);
+  assert.equal(result.mismatched, 0);
+});
+
+test("--out writes the highlighted diff, which decodes back to the expected pixels", () => {
+  const out = path.join(h.dir, "diff.png");
+  assert.equal(diff("png-changed", "png-plain", "--out", out).result.diff, out);
+  const { status, result } = h.run(["image", "diff", "--a", out, "--b", fixture("png-diff-expected"), "--pixel-threshold", "0"]);
+  assert.equal(status, 0);
+  assert.equal(result.mismatched, 0);
+});
+
+test("no diff image is written when the images match", () => {
+  const out = path.join(h.dir, "none.png");
+  assert.equal(diff("png-filters", "png-plain", "--out", out).result.diff, null);
+  assert.ok(!fs.existsSync(out));
+});
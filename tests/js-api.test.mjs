@@ -0,0 +1,47 @@
+// The importable Simulator API, in-process on the fake backend.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { CliError, Simulator, configureBackend } from "../scripts/ios-sim.mjs";
+import { scratchDir } from "./helpers/cli.mjs";
+
+const dir = scratchDir();
+const stateFile = path.join(dir, "state.json");
+let sim;
+
+before(async () => {
+  configureBackend({ backend: "fake", fixture: fileURLToPath(new URL("fixtures/fake-login.json", import.meta.url)), stateFile });
+  sim = await Simulator.select({ name: "iPhone", boot: true, stateFile });
+});
+after(() => {
+  configureBackend();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("select resolves to a Simulator for the chosen device", () => {
+  assert.ok(sim instanceof Simulator);
+  assert.equal(sim.udid, "11111111-1111-4111-8111-111111111111");
+  assert.equal(JSON.parse(fs.readFileSync(stateFile, "utf8")).udid, sim.udid);
+});
+
+test("methods return what the CLI would print", async () => {
+  assert.equal((await sim.launch("com.example.App")).ok, true);
+  const tapped = await sim.ui.tap("Log in");
+  assert.equal(tapped.tapped.label, "Log in");
+  assert.ok(Array.isArray(tapped.summary));
+});
+
+test("a failed assertion is ok: false, not an exit", async () => {
+  const res = await sim.ui.assert("Log in", { exists: true });
+  assert.equal(res.ok, false);
+  assert.equal(process.exitCode, undefined);
+});
+
+test("errors are thrown as CliError", async () => {
+  await assert.rejects(() => sim.ui.tap("Log in"), CliError);
+  await assert.rejects(() => Simulator.select({ name: "Pixel", stateFile }), CliError);
+});
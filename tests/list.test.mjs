@@ -0,0 +1,66 @@
+// list filters, unavailable devices and the runtime/device-type inventories (stub xcrun).
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+
+import { stubHost } from "./helpers/cli.mjs";
+
+const IOS = "com.apple.CoreSimulator.SimRuntime.iOS-17-5";
+const IPHONE = "com.apple.CoreSimulator.SimDeviceType.iPhone-15";
+const IPAD = "com.apple.CoreSimulator.SimDeviceType.iPad-Air";
+const h = stubHost({
+  devices: [
+    { udid: "11111111-1111-4111-8111-111111111111", name: "iPhone 15", state: "Booted" },
+    { udid: "22222222-2222-4222-8222-222222222222", name: "iPhone 15 Pro", state: "Shutdown" },
+    { udid: "33333333-3333-4333-8333-333333333333", name: "iPad Air", state: "Shutdown" },
+    { udid: "44444444-4444-4444-8444-444444444444", name: "iPhone 8", state: "Shutdown", isAvailable: false, availabilityError: "runtime profile not found" },
+  ],
+  runtimes: [
+    { identifier: IOS, name: "iOS 17.5", version: "17.5", buildversion: "21F79", platform: "iOS", isAvailable: true, supportedDeviceTypes: [{ identifier: IPHONE, name: "iPhone 15" }] },
+  ],
+  devicetypes: [
+    { identifier: IPHONE, name: "iPhone 15", productFamily: "iPhone" },
+    { identifier: IPAD, name: "iPad Air", productFamily: "iPad" },
+  ],
+});
+after(() => h.cleanup());
+
+const names = (args) => h.run(["list", ...args]).result.devices.map((d) => d.name);
+
+test("without filters only booted devices are shown", () => {
+  const { result } = h.run(["list"]);
+  assert.deepEqual(result.devices.map((d) => d.name), ["iPhone 15"]);
+  assert.deepEqual(result.counts, { available: 3, booted: 1, unavailable: 1, shown: 1 });
+});
+
+test("--state, --name and --runtime filter the available devices", () => {
+  assert.deepEqual(names(["--state", "SHUTDOWN"]), ["iPhone 15 Pro", "iPad Air"]);
+  assert.deepEqual(names(["--name", "iphone"]), ["iPhone 15", "iPhone 15 Pro"]);
+  assert.deepEqual(names(["--runtime", "17.5", "--name", "iPad"]), ["iPad Air"]);
+});
+
+test("--all adds unavailable devices with their availability error", () => {
+  const unavailable = h.run(["list", "--all"]).result.devices.find((d) => d.name === "iPhone 8");
+  assert.equal(unavailable.isAvailable, false);
+  assert.equal(unavailable.availabilityError, "runtime profile not found");
+});
+
+test("--prune-unavailable needs --yes", () => {
+  const { status, error } = h.run(["list", "--prune-unavailable"]);
+  assert.equal(status, 1);
+  assert.equal(error.code, "E_CONFIRMATION_REQUIRED");
+  assert.ok(!h.calls().includes("xcrun simctl delete unavailable"));
+});
+
+test("--prune-unavailable --yes deletes them and reports what went", () => {
+  const { result } = h.run(["list", "--prune-unavailable", "--yes"]);
+  assert.deepEqual(result.pruned.map((d) => d.name), ["iPhone 8"]);
+  assert.ok(h.calls().includes("xcrun simctl delete unavailable"));
+});
+
+test("runtimes and device types are cross-referenced", () => {
+  const [runtime] = h.run(["list", "runtimes"]).result.runtimes;
+  assert.equal(runtime.buildversion, "21F79");
+  assert.deepEqual(runtime.supportedDeviceTypes, ["iPhone 15"]);
+  const types = h.run(["list", "device-types"]).result.deviceTypes;
+  assert.deepEqual(types.map((t) => [t.name, t.productFamily, t.runtimes]), [["iPhone 15", "iPhone", ["iOS 17.5"]], ["iPad Air", "iPad", []]]);
+});
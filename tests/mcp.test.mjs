@@ -0,0 +1,72 @@
+// mcp over stdio on the fake backend: one process per session, stdin closed after the messages.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { after, test } from "node:test";
+
+import { fakeHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const fixture = JSON.parse(fs.readFileSync(new URL("fixtures/fake-login.json", import.meta.url), "utf8"));
+const hosts = [];
+
+after(() => hosts.forEach((h) => h.cleanup()));
+
+// Runs one MCP session and returns the responses by id.
+function session(messages, flags = []) {
+  const h = fakeHost(fixture);
+  hosts.push(h);
+  const input = messages.map((m, i) => JSON.stringify({ jsonrpc: "2.0", id: i + 1, ...m })).join("\n") + "\n";
+  const { status, stdout } = h.run(["mcp", ...flags], { input });
+  assert.equal(status, 0);
+  const byId = Object.fromEntries(stdout.trim().split("\n").map((l) => JSON.parse(l)).map((r) => [r.id, r]));
+  return { h, byId };
+}
+
+const call = (name, args = {}) => ({ method: "tools/call", params: { name, arguments: args } });
+const toolNames = (res) => res.result.tools.map((t) => t.name);
+const text = (res) => JSON.parse(res.result.content.find((c) => c.type === "text").text);
+
+test("initialize negotiates a supported protocol version", () => {
+  const { byId } = session([{ method: "initialize", params: { protocolVersion: "2024-11-05" } }, { method: "initialize", params: { protocolVersion: "1999-01-01" } }]);
+  assert.equal(byId[1].result.protocolVersion, "2024-11-05");
+  assert.equal(byId[2].result.protocolVersion, "2025-06-18");
+  assert.equal(byId[1].result.serverInfo.name, "ios-sim");
+});
+
+test("tools run through the dispatcher and return the CLI result as text", () => {
+  const { byId } = session([
+    call("select", { name: "iPhone", boot: true }),
+    call("app_launch", { bundleId: "com.example.App" }),
+    call("ui_tap", { query: "Log in" }),
+    call("ui_tap", { query: "Log in" }),
+  ]);
+  assert.equal(text(byId[3]).tapped.label, "Log in");
+  assert.equal(byId[4].result.isError, true);
+  assert.equal(text(byId[4]).code, "E_UI_NO_MATCH");
+});
+
+test("erase and delete are hidden and refused without --allow-dangerous", () => {
+  const { h, byId } = session([{ method: "tools/list" }, call("delete", { udid: UDID })]);
+  assert.ok(!toolNames(byId[1]).includes("erase"));
+  assert.ok(!toolNames(byId[1]).includes("delete"));
+  assert.equal(byId[2].error.message, "Unknown tool: delete");
+  assert.equal(h.run(["list"]).result.counts.available, 1);
+});
+
+test("--allow-dangerous lists them and the opt-in stands in for --yes", () => {
+  const { h, byId } = session([{ method: "tools/list" }, call("delete", { udid: UDID })], ["--allow-dangerous"]);
+  assert.ok(toolNames(byId[1]).includes("delete"));
+  assert.equal(byId[2].result.isError, false);
+  assert.equal(h.run(["list"]).result.counts.available, 0);
+});
+
+test("screenshot is inline, except for a matrix, which returns the files it wrote", () => {
+  const { byId } = session([
+    call("select", { name: "iPhone", boot: true }),
+    call("screenshot", {}),
+    call("screenshot", { matrix: "m", appearances: "light,dark", contentSizes: "large", settle: 0 }),
+  ]);
+  assert.deepEqual(byId[2].result.content.map((c) => c.type), ["image", "text"]);
+  assert.equal(byId[3].result.isError, false);
+  assert.deepEqual(text(byId[3]).shots.map((s) => s.out.split(/[\\/]/).slice(-2).join("/")), ["m/light-large.png", "m/dark-large.png"]);
+});
@@ -0,0 +1,55 @@
+// ui outline hands out eN refs that ui tap/type resolve against the live tree (stub idb).
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+
+import { stubHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const APP = { type: "Application", AXLabel: "Example", frame: { x: 0, y: 0, width: 393, height: 852 }, enabled: true };
+const EMAIL = { type: "TextField", AXLabel: "Email", frame: { x: 20, y: 300, width: 353, height: 40 }, enabled: true };
+const login = (y) => ({ type: "Button", AXLabel: "Log in", frame: { x: 20, y, width: 353, height: 44 }, enabled: true });
+const hosts = [];
+
+function host(spec) {
+  const h = stubHost({ devices: [{ udid: UDID, name: "iPhone 15", state: "Booted" }], ...spec });
+  hosts.push(h);
+  return h;
+}
+
+const idbCalls = (h) => h.calls().filter((c) => c.startsWith("idb ") && !c.startsWith("idb ui describe-all")).map((c) => c.replace(` --udid ${UDID} --json`, ""));
+
+after(() => hosts.forEach((h) => h.cleanup()));
+
+test("outline numbers interactive elements and persists the refs", () => {
+  const h = host({ ui: [APP, EMAIL, login(700)] });
+  const { status, result } = h.run(["ui", "outline", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.equal(result.refCount, 2);
+  assert.deepEqual(result.outline, ['Application "Example"', '  [e1] TextField "Email"', '  [e2] Button "Log in"']);
+});
+
+test("type --ref focuses the field before typing the --text value", () => {
+  const h = host({ ui: [APP, EMAIL, login(700)] });
+  h.run(["ui", "outline", "--udid", UDID]);
+  const { status, result } = h.run(["ui", "type", "--ref", "e1", "--text", "me@example.com", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.equal(result.focused.label, "Email");
+  assert.deepEqual(idbCalls(h), ["idb ui tap 196.5 320", "idb text me@example.com"]);
+});
+
+test("tap --ref follows an element that moved since the outline", () => {
+  const h = host({ uiSequence: [[APP, EMAIL, login(700)], [APP, EMAIL, login(600)]] });
+  h.run(["ui", "outline", "--udid", UDID]);
+  const { status, result } = h.run(["ui", "tap", "--ref", "e2", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.equal(result.tapped.moved, true);
+  assert.deepEqual(idbCalls(h), ["idb ui tap 196.5 622"]);
+});
+
+test("unknown and malformed refs fail without tapping", () => {
+  const h = host({ ui: [APP, EMAIL, login(700)] });
+  h.run(["ui", "outline", "--udid", UDID]);
+  assert.match(h.run(["ui", "tap", "--ref", "e9", "--udid", UDID]).error.error, /Unknown --ref e9/);
+  assert.match(h.run(["ui", "tap", "--ref", "first", "--udid", UDID]).error.error, /Invalid --ref/);
+  assert.deepEqual(idbCalls(h), []);
+});
@@ -0,0 +1,66 @@
+// --record on the fake backend, then --replay of the session with no backend at all.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, before, test } from "node:test";
+
+import { fakeHost, runCli, stubHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const fixture = JSON.parse(fs.readFileSync(new URL("fixtures/fake-login.json", import.meta.url), "utf8"));
+let h;
+
+before(() => {
+  h = fakeHost(fixture);
+  h.run(["boot", "--udid", UDID]);
+  h.run(["app", "launch", "--bundle-id", "com.example.App", "--udid", UDID]);
+  assert.equal(h.run(["--record", "session.jsonl", "ui", "tap", "--query", "Log in", "--udid", UDID]).status, 0);
+});
+after(() => h.cleanup());
+
+const replay = (...args) => runCli(["--replay", "session.jsonl", ...args, "--udid", UDID], { cwd: h.dir });
+
+test("the session holds every call with its output", () => {
+  const [header, ...calls] = fs.readFileSync(`${h.dir}/session.jsonl`, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+  assert.equal(header.backend, "fake");
+  assert.deepEqual(calls.map((c) => c.args.slice(0, 2)), [["ui", "describe-all"], ["ui", "tap"]]);
+  assert.ok(calls.every((c) => c.code === 0 && typeof c.ms === "number"));
+});
+
+test("replaying the same command line gives the recorded result", () => {
+  const { status, result } = replay("ui", "tap", "--query", "Log in");
+  assert.equal(status, 0);
+  assert.deepEqual(result.tapped.centre, { x: 196.5, y: 722 });
+});
+
+test("a call with different args is a divergence", () => {
+  const { status, error } = replay("ui", "tap", "--query", "Email");
+  assert.equal(status, 7);
+  assert.equal(error.code, "E_REPLAY_MISMATCH");
+  assert.match(error.error, /^Replay diverged at call 2/);
+  assert.deepEqual(error.actual.args.slice(0, 4), ["ui", "tap", "196.5", "220"]);
+});
+
+test("recorded calls left unused fail the replay", () => {
+  const { status, error } = replay("ui", "find", "--query", "Log in");
+  assert.equal(status, 7);
+  assert.equal(error.code, "E_REPLAY_MISMATCH");
+  assert.match(error.error, /1 recorded calls were not made/);
+});
+
+// An idb whose interpreter is gone: found on PATH, but spawning it fails with ENOENT.
+test("a tool that could not be started replays as the same error", () => {
+  const s = stubHost({ devices: [{ udid: UDID, name: "iPhone 15", state: "Booted" }] });
+  try {
+    fs.writeFileSync(path.join(s.dir, "bin", "idb"), "#!/nonexistent/python3\n", "utf8");
+    const recorded = s.run(["--record", "broken.jsonl", "ui", "tree", "--udid", UDID]);
+    assert.equal(recorded.error.code, "E_NO_IDB");
+    const call = fs.readFileSync(path.join(s.dir, "broken.jsonl"), "utf8").trim().split("\n").map((l) => JSON.parse(l)).find((c) => c.cmd === "idb");
+    assert.equal(call.errorCode, "E_NO_IDB");
+    const { status, error } = runCli(["--replay", "broken.jsonl", "ui", "tree", "--udid", UDID], { cwd: s.dir });
+    assert.equal(status, recorded.status);
+    assert.equal(error.code, "E_NO_IDB");
+  } finally {
+    s.cleanup();
+  }
+});
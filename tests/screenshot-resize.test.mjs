@@ -0,0 +1,71 @@
+// Screenshot cropping (in points) and downscaling. screen-3x.png is a 300×600 capture of a
+// 100×200 pt screen with a red block at 10,20 (30×10 pt); red-90x30.png is that block alone.
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { scratchDir, stubHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const fixture = (name) => fileURLToPath(new URL(`fixtures/${name}.png`, import.meta.url));
+const UI = [
+  { type: "Application", AXLabel: "Example", frame: { x: 0, y: 0, width: 100, height: 200 }, enabled: true },
+  { type: "Button", AXLabel: "Home", frame: { x: 0, y: 190, width: 50, height: 10 }, enabled: true },
+];
+
+const h = stubHost({ devices: [{ udid: UDID, name: "iPhone 15", state: "Booted" }], ui: UI, screenshot: fixture("screen-3x") });
+const tmp = scratchDir();
+after(() => {
+  h.cleanup();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const shot = (name, ...flags) => h.run(["screenshot", "--out", path.join(h.dir, `${name}.png`), ...flags, "--udid", UDID]);
+
+test("--crop is in points and maps to the capture's pixels", () => {
+  const { status, result } = shot("crop", "--crop", "10,20,30,10");
+  assert.equal(status, 0);
+  assert.deepEqual(result.image, { ...result.image, width: 90, height: 30 });
+  const cmp = h.run(["image", "diff", "--a", result.out, "--b", fixture("red-90x30"), "--pixel-threshold", "0"]);
+  assert.equal(cmp.result.mismatched, 0);
+});
+
+test("--element crops to the element plus --padding, clamped at the screen edges", () => {
+  const { status, result } = shot("element", "--element", "Home", "--padding", "8");
+  assert.equal(status, 0);
+  assert.equal(result.element.label, "Home");
+  assert.deepEqual(result.crop, { x: -8, y: 182, width: 66, height: 26 });
+  assert.deepEqual([result.image.width, result.image.height], [(50 + 8) * 3, (10 + 8) * 3]);
+});
+
+test("--max-width and --scale only ever shrink", () => {
+  const size = (...flags) => {
+    const { image } = shot("resized", ...flags).result;
+    return [image.width, image.height];
+  };
+  assert.deepEqual(size("--max-width", "150"), [150, 300]);
+  assert.deepEqual(size("--scale", "0.5"), [150, 300]);
+  assert.deepEqual(size("--scale", "0.5", "--max-width", "100"), [100, 200]);
+  assert.equal(shot("large", "--max-width", "1000").result.image, undefined);
+});
+
+test("--base64 without --out returns the image inline and leaves nothing on disk", () => {
+  const { status, result } = h.run(["screenshot", "--base64", "--scale", "0.5", "--udid", UDID], { env: { TMPDIR: tmp } });
+  assert.equal(status, 0);
+  assert.equal(result.out, undefined);
+  const png = Buffer.from(result.base64, "base64");
+  assert.equal(png.length, result.image.bytes);
+  assert.deepEqual([png.readUInt32BE(16), png.readUInt32BE(20)], [150, 300]);
+  assert.deepEqual(fs.readdirSync(tmp), []);
+});
+
+test("--compare without --out deletes the capture, also when the comparison fails", () => {
+  const { status, result } = h.run(["screenshot", "--compare", fixture("screen-3x"), "--udid", UDID], { env: { TMPDIR: tmp } });
+  assert.equal(status, 0);
+  assert.equal(result.compare.mismatched, 0);
+  assert.equal(result.out, undefined);
+  assert.notEqual(h.run(["screenshot", "--compare", path.join(h.dir, "missing.png"), "--udid", UDID], { env: { TMPDIR: tmp } }).status, 0);
+  assert.deepEqual(fs.readdirSync(tmp), []);
+});
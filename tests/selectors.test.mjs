@@ -0,0 +1,61 @@
+// The --selector language: attribute operators, index= and relative clauses (stub idb).
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+
+import { stubHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const cell = (label, y) => ({ type: "Cell", AXLabel: label, frame: { x: 0, y, width: 393, height: 44 }, enabled: true });
+const toggle = (y, on) => ({ type: "Switch", AXLabel: "Enabled", AXValue: on ? "1" : "0", frame: { x: 320, y: y + 6, width: 51, height: 31 }, enabled: true });
+const button = (label, y, enabled = true) => ({ type: "Button", AXLabel: label, frame: { x: 20, y, width: 100, height: 44 }, enabled });
+const UI = [
+  { type: "Application", AXLabel: "Settings", frame: { x: 0, y: 0, width: 393, height: 852 }, enabled: true },
+  cell("Wi-Fi", 100),
+  toggle(100, true),
+  cell("Bluetooth", 150),
+  toggle(150, false),
+  { type: "StaticText", AXLabel: "Email", frame: { x: 20, y: 300, width: 80, height: 40 }, enabled: true },
+  { type: "TextField", AXLabel: "Email address", AXValue: "a@b.c", frame: { x: 110, y: 300, width: 260, height: 40 }, enabled: true },
+  button("Delete", 400),
+  button("Delete all", 460, false),
+  button("Sign in", 520),
+];
+
+const h = stubHost({ devices: [{ udid: UDID, name: "iPhone 15", state: "Booted" }], ui: UI });
+after(() => h.cleanup());
+
+function find(selector) {
+  const { status, result, error } = h.run(["ui", "find", "--selector", selector, "--udid", UDID]);
+  assert.equal(status, 0, JSON.stringify(error));
+  return result.matches.map((m) => `${m.type}: ${m.label}`);
+}
+
+test("attribute operators match exactly, by prefix and by regex", () => {
+  assert.deepEqual(find('type=Button label="Delete"'), ["Button: Delete"]);
+  assert.deepEqual(find('label^="Delete"'), ["Button: Delete", "Button: Delete all"]);
+  assert.deepEqual(find("label~=/^sign/i"), ["Button: Sign in"]);
+  assert.deepEqual(find("enabled=false"), ["Button: Delete all"]);
+});
+
+test("index= picks the Nth match", () => {
+  assert.deepEqual(find('label^="Delete" index=1'), ["Button: Delete all"]);
+});
+
+test("within() scopes to a container and right-of() to the same row", () => {
+  const { result } = h.run(["ui", "find", "--selector", 'type=Switch within(type=Cell label~"Wi-Fi")', "--udid", UDID]);
+  assert.deepEqual(result.matches.map((m) => m.value), ["1"]);
+  assert.deepEqual(find('right-of(label="Email")'), ["TextField: Email address"]);
+});
+
+test("tap --selector taps the centre of the match", () => {
+  const { status } = h.run(["ui", "tap", "--selector", 'type=Switch within(type=Cell label~"Bluetooth")', "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.ok(h.calls().includes(`idb ui tap 345.5 171.5 --udid ${UDID} --json`), h.calls().join("\n"));
+});
+
+test("a malformed selector is a usage error pointing at the offset", () => {
+  const { status, error } = h.run(["ui", "find", "--selector", "type=", "--udid", UDID]);
+  assert.equal(status, 1);
+  assert.match(error.error, /Invalid --selector/);
+  assert.equal(error.at, 5);
+});
@@ -0,0 +1,107 @@
+// serve: JSON-RPC over loopback HTTP, on the fake backend. The server is a child process,
+// stopped with SIGTERM after the tests.
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import process from "node:process";
+import readline from "node:readline";
+import { after, before, test } from "node:test";
+
+import { CLI, scratchDir } from "./helpers/cli.mjs";
+
+const TOKEN = "s3cret";
+const dir = scratchDir();
+let server;
+let url;
+
+before(async () => {
+  fs.copyFileSync(new URL("fixtures/fake-login.json", import.meta.url), path.join(dir, "fixture.json"));
+  const env = Object.fromEntries(Object.entries(process.env).filter(([k]) => !k.startsWith("IOS_SIM_")));
+  server = spawn(process.execPath, [CLI, "--backend", "fake", "--fake-fixture", "fixture.json", "serve", "--port", "0", "--token", TOKEN], {
+    cwd: dir,
+    env: { ...env, IOS_SIM_STATE_FILE: path.join(dir, ".ios-sim-state.json") },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  const [line] = await once(readline.createInterface({ input: server.stdout }), "line");
+  ({ url } = JSON.parse(line));
+});
+
+after(async () => {
+  if (server.exitCode === null) {
+    const exited = once(server, "exit");
+    server.kill("SIGTERM");
+    await exited;
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function post(body, { token = TOKEN, method = "POST" } = {}) {
+  const res = await fetch(url, {
+    method,
+    headers: { "content-type": "application/json", ...(token ? { authorization: `Bearer ${token}` } : {}) },
+    body: method === "POST" ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, body: res.status === 204 ? null : await res.json() };
+}
+
+// node:http rather than fetch, so the Host and Origin headers go out exactly as given.
+function rawPost(headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method: "POST", headers: { "content-type": "application/json", authorization: `Bearer ${TOKEN}`, ...headers } }, (res) => {
+      res.resume();
+      res.on("end", () => resolve(res.statusCode));
+    });
+    req.on("error", reject);
+    req.end(JSON.stringify({ jsonrpc: "2.0", id: 1, method: "health" }));
+  });
+}
+
+const rpc = (method, params, id = 1) => ({ jsonrpc: "2.0", id, method, ...(params ? { params } : {}) });
+
+test("requests without the bearer token are rejected", async () => {
+  assert.equal((await post(rpc("health"), { token: null })).status, 401);
+  assert.equal((await post(rpc("health"), { token: "wrong" })).status, 401);
+});
+
+test("only POST is accepted", async () => {
+  assert.equal((await post(null, { method: "GET" })).status, 405);
+});
+
+test("browser-style requests are refused", async () => {
+  assert.equal(await rawPost({}), 200);
+  assert.equal(await rawPost({ origin: "https://example.com" }), 403);
+  assert.equal(await rawPost({ host: `attacker.example:${new URL(url).port}` }), 403);
+  assert.equal(await rawPost({ "content-type": "text/plain" }), 415);
+});
+
+test("erase and delete are disabled without --allow-dangerous", async () => {
+  const { body } = await post(rpc("delete", { udid: "11111111-1111-4111-8111-111111111111", yes: true }));
+  assert.equal(body.error.code, -32601);
+  assert.match(body.error.message, /--allow-dangerous/);
+});
+
+test("a batch runs in order against the selected device", async () => {
+  const { status, body } = await post([
+    rpc("select", { name: "iPhone", boot: true }, 1),
+    rpc("app.launch", { bundleId: "com.example.App" }, 2),
+    rpc("ui.tap", { query: "Log in" }, 3),
+  ]);
+  assert.equal(status, 200);
+  assert.deepEqual(body.map((r) => r.id), [1, 2, 3]);
+  assert.equal(body[2].result.tapped.label, "Log in");
+  assert.equal(body[2].result.udid, body[0].result.selected.udid);
+});
+
+test("command failures come back as JSON-RPC errors with the CLI error code", async () => {
+  const { body } = await post(rpc("ui.tap", { query: "Log in" }));
+  assert.equal(body.error.code, -32000);
+  assert.equal(body.error.data.code, "E_UI_NO_MATCH");
+});
+
+test("unknown methods and notifications", async () => {
+  assert.equal((await post(rpc("nope"))).body.error.code, -32601);
+  assert.equal((await post({ jsonrpc: "2.0", method: "health" })).status, 204);
+});
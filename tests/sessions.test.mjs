@@ -0,0 +1,68 @@
+// Named sessions: separate state per --session, device leases and locked concurrent writes.
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import { after, before, describe, test } from "node:test";
+import { promisify } from "node:util";
+
+import { CLI, fakeHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const fixture = JSON.parse(fs.readFileSync(new URL("fixtures/fake-login.json", import.meta.url), "utf8"));
+
+describe("sessions and leases", () => {
+  let h;
+  before(() => {
+    h = fakeHost(fixture);
+  });
+  after(() => h.cleanup());
+
+  test("select records the device in the named session only", () => {
+    assert.equal(h.run(["select", "--name", "iPhone", "--session", "a"]).status, 0);
+    const state = JSON.parse(fs.readFileSync(path.join(h.dir, ".ios-sim-state.json"), "utf8"));
+    assert.equal(state.udid, undefined);
+    assert.equal(state.sessions.a.udid, UDID);
+    assert.equal(state.sessions.a.lease.udid, UDID);
+    assert.equal(h.run(["session", "show"], { env: { IOS_SIM_SESSION: "a" } }).result.session.udid, UDID);
+  });
+
+  test("a second session using a leased device gets a warning, not an error", () => {
+    const { status, result } = h.run(["select", "--name", "iPhone", "--session", "b"]);
+    assert.equal(status, 0);
+    assert.deepEqual(result.warnings.map((w) => [w.code, w.session]), [["W_DEVICE_LEASED", "a"]]);
+  });
+
+  test("session list and release", () => {
+    assert.deepEqual(h.run(["session", "list"]).result.sessions.map((s) => s.name), ["a", "b"]);
+    const { result } = h.run(["session", "release", "--session", "b"]);
+    assert.equal(result.released, UDID);
+    assert.equal(result.removed, true);
+    assert.deepEqual(h.run(["session", "list"]).result.sessions.map((s) => s.name), ["a"]);
+    assert.equal(h.run(["session", "show", "--session", "b"]).result.exists, false);
+  });
+
+  test("invalid session names are usage errors", () => {
+    const { status, error } = h.run(["session", "show", "--session", "bad name"]);
+    assert.equal(status, 1);
+    assert.equal(error.code, "E_USAGE");
+  });
+});
+
+test("concurrent selects in different sessions all reach the state file", async () => {
+  const h = fakeHost(fixture);
+  try {
+    const names = ["s1", "s2", "s3", "s4"];
+    const env = { ...process.env, IOS_SIM_STATE_FILE: path.join(h.dir, ".ios-sim-state.json") };
+    await Promise.all(
+      names.map((name) =>
+        promisify(execFile)(process.execPath, [CLI, "--backend", "fake", "--fake-fixture", "fixture.json", "select", "--name", "iPhone", "--session", name], { cwd: h.dir, env }),
+      ),
+    );
+    const state = JSON.parse(fs.readFileSync(path.join(h.dir, ".ios-sim-state.json"), "utf8"));
+    assert.deepEqual(Object.keys(state.sessions).sort(), names);
+  } finally {
+    h.cleanup();
+  }
+});
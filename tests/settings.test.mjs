@@ -0,0 +1,73 @@
+// settings appearance/content-size/increase-contrast and screenshot --matrix (fake backend).
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+
+import { fakeHost } from "./helpers/cli.mjs";
+
+const fixture = JSON.parse(fs.readFileSync(new URL("fixtures/fake-login.json", import.meta.url), "utf8"));
+
+describe("settings", () => {
+  let h;
+  before(() => {
+    h = fakeHost(fixture);
+    h.run(["select", "--name", "iPhone", "--boot"]);
+  });
+  after(() => h.cleanup());
+
+  test("show reads the defaults", () => {
+    const { result } = h.run(["settings", "show"]);
+    assert.deepEqual([result.appearance, result.contentSize, result.increaseContrast], ["light", "large", "off"]);
+  });
+
+  test("set reports the previous value", () => {
+    const { status, result } = h.run(["settings", "appearance", "dark"]);
+    assert.equal(status, 0);
+    assert.deepEqual([result.value, result.previous], ["dark", "light"]);
+    assert.equal(h.run(["settings", "increase-contrast", "yes"]).result.value, "on");
+  });
+
+  test("content-size accepts UIKit names and steps", () => {
+    assert.equal(h.run(["settings", "content-size", "UIContentSizeCategoryAccessibilityLarge"]).result.value, "accessibility-large");
+    assert.equal(h.run(["settings", "content-size", "decrement"]).result.value, "accessibility-medium");
+  });
+
+  test("unknown settings and values are usage errors", () => {
+    for (const args of [["content-size", "huge"], ["appearance", "dim"], ["font", "large"]]) {
+      const { status, error } = h.run(["settings", ...args]);
+      assert.equal(status, 1);
+      assert.equal(error.code, "E_USAGE");
+    }
+  });
+});
+
+describe("screenshot --matrix", () => {
+  let h;
+  before(() => {
+    h = fakeHost(fixture);
+    h.run(["select", "--name", "iPhone", "--boot"]);
+    h.run(["settings", "content-size", "extra-large"]);
+  });
+  after(() => h.cleanup());
+
+  test("captures every combination and restores the settings", () => {
+    const { status, result } = h.run(["screenshot", "--matrix", "m", "--appearances", "light,dark", "--content-sizes", "large,accessibility-extra-large", "--settle", "0"]);
+    assert.equal(status, 0);
+    assert.deepEqual(fs.readdirSync(path.join(h.dir, "m")).sort(), [
+      "dark-accessibility-extra-large.png",
+      "dark-large.png",
+      "light-accessibility-extra-large.png",
+      "light-large.png",
+    ]);
+    assert.deepEqual(result.restored, { appearance: "light", contentSize: "extra-large" });
+    const now = h.run(["settings", "show"]).result;
+    assert.deepEqual([now.appearance, now.contentSize], ["light", "extra-large"]);
+  });
+
+  test("--matrix cannot be combined with single-file options", () => {
+    const { status, error } = h.run(["screenshot", "--matrix", "m", "--out", "x.png"]);
+    assert.equal(status, 1);
+    assert.match(error.error, /--matrix writes one file per combination/);
+  });
+});
@@ -0,0 +1,84 @@
+// status-bar override/clear/show and screenshot --status-bar restoring what was there (stub xcrun).
+import assert from "node:assert/strict";
+import path from "node:path";
+import { after, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { stubHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const BLANK = fileURLToPath(new URL("fixtures/screen-blank.png", import.meta.url));
+const MARKETING = "--time 9:41 --dataNetwork wifi --wifiMode active --wifiBars 3 --cellularMode active --cellularBars 4 --operatorName  --batteryState charged --batteryLevel 100";
+const hosts = [];
+
+// `overridden` makes `status_bar list` report an active override, as simctl does after one.
+function host({ overridden = false } = {}) {
+  const rules = overridden ? [{ match: "status_bar \\S+ list", stdout: "Current Status Bar Overrides:\n=============================\nTime: 10:00, Battery Level: 50\n" }] : [];
+  const h = stubHost({ devices: [{ udid: UDID, name: "iPhone 15", state: "Booted" }], ui: [], screenshot: BLANK, rules });
+  hosts.push(h);
+  return h;
+}
+
+const barCalls = (h) => h.calls().filter((c) => c.includes(" status_bar ") && !c.endsWith(" list")).map((c) => c.replace(`xcrun simctl status_bar ${UDID} `, ""));
+
+after(() => hosts.forEach((h) => h.cleanup()));
+
+test("override expands the preset, lets fields win and records the result", () => {
+  const h = host();
+  const { status, result } = h.run(["status-bar", "override", "--preset", "marketing", "--battery-level", "50", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.equal(result.overrides.batteryLevel, 50);
+  assert.equal(barCalls(h).at(-1), `override ${MARKETING.replace("--batteryLevel 100", "--batteryLevel 50")}`);
+});
+
+test("invalid fields and presets are usage errors", () => {
+  const h = host();
+  for (const args of [["--battery-level", "101"], ["--data-network", "6g"], ["--preset", "nope"], []]) {
+    const { status, error } = h.run(["status-bar", "override", ...args, "--udid", UDID]);
+    assert.equal(status, 1);
+    assert.equal(error.code, "E_USAGE");
+  }
+  assert.deepEqual(barCalls(h), []);
+});
+
+test("screenshot --status-bar puts back the overrides ios-sim applied earlier", () => {
+  const h = host({ overridden: true });
+  h.run(["status-bar", "override", "--time", "10:00", "--battery-level", "50", "--udid", UDID]);
+  const { status, result } = h.run(["screenshot", "--status-bar", "--out", path.join(h.dir, "shot.png"), "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.equal(result.statusBar.preset, "marketing");
+  assert.equal(result.warnings, undefined);
+  assert.deepEqual(barCalls(h).slice(1), [`override ${MARKETING}`, "clear", "override --time 10:00 --batteryLevel 50"]);
+});
+
+test("screenshot --status-bar warns about overrides it cannot restore", () => {
+  const h = host({ overridden: true });
+  const { status, result } = h.run(["screenshot", "--status-bar", "--out", path.join(h.dir, "shot.png"), "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.deepEqual(barCalls(h), [`override ${MARKETING}`, "clear"]);
+  assert.deepEqual(result.warnings.map((w) => [w.code, w.overrides]), [["W_STATUS_BAR_NOT_RESTORED", { Time: "10:00", "Battery Level": "50" }]]);
+});
+
+test("clear forgets the record", () => {
+  const h = host({ overridden: true });
+  h.run(["status-bar", "override", "--time", "10:00", "--udid", UDID]);
+  assert.equal(h.run(["status-bar", "clear", "--udid", UDID]).status, 0);
+  const { result } = h.run(["status-bar", "show", "--udid", UDID]);
+  assert.equal(result.active, true);
+  assert.equal(result.recorded, null);
+});
+
+test("a failed restore is a warning and keeps the capture's result or error", () => {
+  const failClear = { match: "status_bar \\S+ clear", code: 1, stderr: "clear failed" };
+  const h = stubHost({ devices: [{ udid: UDID, name: "iPhone 15", state: "Booted" }], ui: [], screenshot: BLANK, rules: [failClear] });
+  hosts.push(h);
+  const { status, result } = h.run(["screenshot", "--status-bar", "--out", path.join(h.dir, "shot.png"), "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.deepEqual(result.warnings.map((w) => [w.code, w.errorCode]), [["W_STATUS_BAR_NOT_RESTORED", "E_SIMCTL_FAILED"]]);
+
+  const failBoth = stubHost({ devices: [{ udid: UDID, name: "iPhone 15", state: "Booted" }], ui: [], rules: [failClear, { match: " io \\S+ screenshot ", code: 1, stderr: "capture failed" }] });
+  hosts.push(failBoth);
+  const { error } = failBoth.run(["screenshot", "--status-bar", "--out", path.join(failBoth.dir, "shot.png"), "--udid", UDID]);
+  assert.equal(error.code, "E_SIMCTL_FAILED");
+  assert.match(JSON.stringify(error), /capture failed/);
+});
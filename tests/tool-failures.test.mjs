@@ -0,0 +1,108 @@
+// Mutating commands report simctl/idb failures, except the benign "already in that
+// state" exits. Runs the real backend against stub xcrun/idb.
+import assert from "node:assert/strict";
+import { after, describe, test } from "node:test";
+
+import { stubHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const BUNDLE = "com.example.App";
+const hosts = [];
+
+function host(rules, { state = "Booted" } = {}) {
+  const h = stubHost({ devices: [{ udid: UDID, name: "iPhone 15", state }], rules });
+  hosts.push(h);
+  return h;
+}
+
+after(() => hosts.forEach((h) => h.cleanup()));
+
+describe("benign non-zero exits", () => {
+  test("boot of a booted device succeeds as already booted", () => {
+    const h = host([{ match: "^xcrun simctl boot ", stderr: "Unable to boot device in current state: Booted", code: 149 }]);
+    const { status, result } = h.run(["boot", "--udid", UDID]);
+    assert.equal(status, 0);
+    assert.equal(result.ok, true);
+    assert.equal(result.boot.alreadyBooted, true);
+  });
+
+  test("shutdown of a shut down device succeeds as already shut down", () => {
+    const h = host([{ match: "^xcrun simctl shutdown ", stderr: "Unable to shutdown device in current state: Shutdown", code: 149 }], { state: "Shutdown" });
+    const { status, result } = h.run(["shutdown", "--udid", UDID]);
+    assert.equal(status, 0);
+    assert.equal(result.alreadyShutdown, true);
+  });
+
+  test("terminate of an app that is not running succeeds with wasRunning: false", () => {
+    const h = host([{ match: "^xcrun simctl terminate ", stderr: "found nothing to terminate", code: 3 }]);
+    const { status, result } = h.run(["app", "terminate", "--bundle-id", BUNDLE, "--udid", UDID]);
+    assert.equal(status, 0);
+    assert.equal(result.wasRunning, false);
+  });
+});
+
+describe("simctl failures", () => {
+  test("privacy reports each service separately", () => {
+    const h = host([{ match: "^xcrun simctl privacy .* grant location ", stderr: "Failed to grant access: Operation not permitted", code: 1 }]);
+    const { status, result } = h.run(["privacy", "grant", "--bundle-id", BUNDLE, "--service", "photos,location,camera", "--udid", UDID]);
+    assert.equal(status, 7);
+    assert.equal(result.ok, false);
+    assert.equal(result.code, "E_SIMCTL_FAILED");
+    assert.deepEqual(result.results.map((r) => [r.service, r.ok]), [["photos", true], ["location", false], ["camera", true]]);
+    assert.match(result.results[1].error, /Operation not permitted/);
+  });
+
+  test("push to an app that is not installed fails with E_APP_NOT_INSTALLED", () => {
+    const h = host([{ match: "^xcrun simctl push ", stderr: "Application com.example.Missing is not installed", code: 1 }]);
+    const { status, error } = h.run(["push", "--bundle-id", "com.example.Missing", "--payload", '{"aps":{"alert":"hi"}}', "--udid", UDID]);
+    assert.equal(status, 7);
+    assert.equal(error.code, "E_APP_NOT_INSTALLED");
+  });
+
+  test("uninstall failure is reported", () => {
+    const h = host([{ match: "^xcrun simctl uninstall ", stderr: "Failed to uninstall the requested application", code: 1 }]);
+    const { status, error } = h.run(["app", "uninstall", "--bundle-id", BUNDLE, "--udid", UDID]);
+    assert.equal(status, 7);
+    assert.equal(error.code, "E_SIMCTL_FAILED");
+  });
+
+  test("erase of a booted device fails with E_DEVICE_STATE", () => {
+    const h = host([{ match: "^xcrun simctl erase ", stderr: "Unable to erase contents and settings in current state: Booted", code: 149 }]);
+    const { status, error } = h.run(["erase", "--yes", "--udid", UDID]);
+    assert.equal(status, 4);
+    assert.equal(error.code, "E_DEVICE_STATE");
+  });
+
+  test("delete failure is reported", () => {
+    const h = host([{ match: "^xcrun simctl delete ", stderr: `Invalid device: ${UDID}`, code: 164 }]);
+    const { status, error } = h.run(["delete", "--yes", "--udid", UDID]);
+    assert.equal(status, 4);
+    assert.equal(error.code, "E_NO_DEVICE");
+  });
+});
+
+describe("idb failures", () => {
+  const idbDown = { stderr: "Failed to connect to companion", code: 1 };
+
+  test("ui tap", () => {
+    const h = host([{ match: "^idb ui tap ", ...idbDown }]);
+    const { status, error } = h.run(["ui", "tap", "--x", "10", "--y", "20", "--udid", UDID]);
+    assert.equal(status, 7);
+    assert.equal(error.code, "E_IDB_FAILED");
+  });
+
+  test("ui type", () => {
+    const h = host([{ match: "^idb text ", ...idbDown }]);
+    const { status, error } = h.run(["ui", "type", "--text", "hello", "--udid", UDID]);
+    assert.equal(status, 7);
+    assert.equal(error.code, "E_IDB_FAILED");
+  });
+
+  test("ui button", () => {
+    const h = host([{ match: "^idb ui button ", ...idbDown }]);
+    const { status, error } = h.run(["ui", "button", "--name", "home", "--udid", UDID]);
+    assert.equal(status, 7);
+    assert.equal(error.code, "E_IDB_FAILED");
+    assert.ok(h.calls().includes(`idb ui button HOME --udid ${UDID} --json`));
+  });
+});
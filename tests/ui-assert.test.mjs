@@ -0,0 +1,51 @@
+// `ui assert` checks against a stub idb tree: structured results and exit status 3 on failure.
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+
+import { stubHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const UI = [
+  { type: "Application", AXLabel: "Example", frame: { x: 0, y: 0, width: 393, height: 852 }, enabled: true },
+  { type: "TextField", AXLabel: "Email", AXValue: "ada@example.com", frame: { x: 20, y: 300, width: 353, height: 40 }, enabled: true },
+  { type: "Button", AXLabel: "Log in", frame: { x: 20, y: 700, width: 353, height: 44 }, enabled: false },
+  { type: "StaticText", AXLabel: "Welcome", frame: { x: 20, y: 100, width: 353, height: 30 }, enabled: true },
+];
+
+const h = stubHost({ devices: [{ udid: UDID, name: "iPhone 15", state: "Booted" }], ui: UI });
+after(() => h.cleanup());
+
+const assertUi = (...args) => h.run(["ui", "assert", ...args, "--udid", UDID]);
+
+test("passing checks exit 0 and list what was checked", () => {
+  const { status, result } = assertUi("--query", "Email", "--value", "ada@example.com", "--enabled", "true");
+  assert.equal(status, 0);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.checks.map((c) => c.assertion), ["value", "enabled"]);
+});
+
+test("disabled controls exist, and --enabled reports them", () => {
+  assert.equal(assertUi("--query", "Log in").status, 0);
+  const { status, result } = assertUi("--query", "Log in", "--enabled", "true");
+  assert.equal(status, 3);
+  assert.deepEqual([result.assertion, result.expected, result.actual], ["enabled", true, false]);
+});
+
+test("a failed check exits 3 with the expected and actual values", () => {
+  const { status, result } = assertUi("--query", "Email", "--value-contains", "grace");
+  assert.equal(status, 3);
+  assert.equal(result.ok, false);
+  assert.deepEqual([result.assertion, result.expected, result.actual], ["value-contains", "grace", "ada@example.com"]);
+});
+
+test("static text needs --include-static", () => {
+  assert.equal(assertUi("--query", "Welcome").status, 3);
+  assert.equal(assertUi("--query", "Welcome", "--include-static").status, 0);
+  assert.equal(assertUi("--query", "Sign up", "--not-exists").status, 0);
+});
+
+test("counts", () => {
+  assert.equal(assertUi("--query", "Email", "--count", "1").status, 0);
+  assert.equal(assertUi("--query", "Email", "--min-count", "2").result.actual, 1);
+  assert.equal(assertUi("--query", "Email", "--count", "-1").status, 1);
+});
@@ -0,0 +1,54 @@
+// ui snapshot saves the tree; ui diff reports what changed since (stub idb, recorded trees).
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { after, test } from "node:test";
+
+import { stubHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const fixture = (name) => JSON.parse(fs.readFileSync(new URL(`fixtures/${name}.json`, import.meta.url), "utf8"));
+const before = fixture("ui-login-before");
+const later = fixture("ui-login-after");
+const hosts = [];
+
+function host(uiSequence) {
+  const h = stubHost({ devices: [{ udid: UDID, name: "iPhone 15", state: "Booted" }], uiSequence });
+  hosts.push(h);
+  return h;
+}
+
+after(() => hosts.forEach((h) => h.cleanup()));
+
+test("diff against the last snapshot reports added, removed and changed elements", () => {
+  const h = host([before, later]);
+  assert.equal(h.run(["ui", "snapshot", "--udid", UDID]).status, 0);
+  const { status, result } = h.run(["ui", "diff", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.equal(result.from, "last");
+  assert.deepEqual(result.added, [{ type: "StaticText", label: "Wrong password" }]);
+  assert.deepEqual(result.removed, [{ type: "StaticText", label: "Loading…" }]);
+  const changes = Object.fromEntries(result.changed.map((c) => [c.label, c.changes]));
+  assert.deepEqual(changes, {
+    Email: { value: { from: "", to: "a@example.com" } },
+    Register: { label: { from: "Sign up", to: "Register" } },
+    "Log in": { enabled: { from: true, to: false } },
+    Terms: { frame: { from: [20, 1400, 353, 44], to: [20, 760, 353, 44] } },
+  });
+  assert.deepEqual(result.counts, { added: 1, removed: 1, changed: 4, unchanged: 2 });
+});
+
+test("--update makes the current tree the new baseline", () => {
+  const h = host([before, later]);
+  h.run(["ui", "snapshot", "--name", "login", "--udid", UDID]);
+  assert.equal(h.run(["ui", "diff", "--from", "login", "--update", "--udid", UDID]).result.updated, true);
+  const { result } = h.run(["ui", "diff", "--from", "login", "--udid", UDID]);
+  assert.deepEqual(result.counts, { added: 0, removed: 0, changed: 0, unchanged: 7 });
+});
+
+test("an unknown snapshot name fails before reading the screen", () => {
+  const h = host([before]);
+  const { status, error } = h.run(["ui", "diff", "--from", "nope", "--udid", UDID]);
+  assert.notEqual(status, 0);
+  assert.match(error.error, /No snapshot named "nope"/);
+  assert.ok(!h.calls().some((c) => c.startsWith("idb ui describe-all")));
+});
@@ -0,0 +1,57 @@
+// `ui wait` polling against stub idb trees that change from one describe-all call to the next.
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+
+import { stubHost } from "./helpers/cli.mjs";
+
+const UDID = "11111111-1111-4111-8111-111111111111";
+const APP = { type: "Application", AXLabel: "Example", frame: { x: 0, y: 0, width: 393, height: 852 }, enabled: true };
+const SPINNER = { type: "ActivityIndicator", AXLabel: "Loading", frame: { x: 180, y: 400, width: 30, height: 30 }, enabled: true };
+const WELCOME = { type: "StaticText", AXLabel: "Welcome back", frame: { x: 20, y: 100, width: 353, height: 30 }, enabled: true };
+const LOGIN_OFF = { type: "Button", AXLabel: "Log in", frame: { x: 20, y: 700, width: 353, height: 44 }, enabled: false };
+const hosts = [];
+
+function host(uiSequence) {
+  const h = stubHost({ devices: [{ udid: UDID, name: "iPhone 15", state: "Booted" }], uiSequence });
+  hosts.push(h);
+  return h;
+}
+
+const polls = (h) => h.calls().filter((c) => c.startsWith("idb ui describe-all")).length;
+
+after(() => hosts.forEach((h) => h.cleanup()));
+
+test("waits until the element appears", () => {
+  const h = host([[APP, SPINNER], [APP, SPINNER], [APP, WELCOME]]);
+  const { status, result } = h.run(["ui", "wait", "--query", "Welcome back", "--interval", "0.05", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.equal(result.ok, true);
+  assert.equal(polls(h), 3);
+});
+
+test("static text and disabled controls count as present", () => {
+  const h = host([[APP, WELCOME, LOGIN_OFF]]);
+  assert.equal(h.run(["ui", "wait", "--query", "Welcome back", "--udid", UDID]).status, 0);
+  assert.equal(h.run(["ui", "wait", "--query", "Log in", "--udid", UDID]).status, 0);
+});
+
+test("--gone waits until the element disappears", () => {
+  const h = host([[APP, SPINNER], [APP, SPINNER], [APP, WELCOME]]);
+  const { status } = h.run(["ui", "wait", "--query", "Loading", "--gone", "--interval", "0.05", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.equal(polls(h), 3);
+});
+
+test("--stable waits for two identical trees in a row", () => {
+  const h = host([[APP, SPINNER], [APP, WELCOME], [APP, WELCOME]]);
+  const { status } = h.run(["ui", "wait", "--stable", "--interval", "0.05", "--udid", UDID]);
+  assert.equal(status, 0);
+  assert.equal(polls(h), 3);
+});
+
+test("times out when the element never appears", () => {
+  const h = host([[APP, SPINNER]]);
+  const { status, error } = h.run(["ui", "wait", "--query", "Welcome back", "--timeout", "0.2", "--interval", "0.05", "--udid", UDID]);
+  assert.notEqual(status, 0);
+  assert.match(error.error, /Timed out/);
+});